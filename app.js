@@ -1,36 +1,158 @@
 /**
  * Clypse - Complete Cross-Device File & Clipboard Sharing
- * Telegraph.ph for file hosting + Firebase for real-time clipboard sync
+ * Pluggable file hosting (Telegraph by default) + Firebase for real-time clipboard sync
  * FIXED VERSION - Theme toggle and message input bugs resolved
  */
 
 class ClypseApp {
-    constructor() {
-        this.config = {
-            telegraph: {
-                uploadUrl: 'https://telegra.ph/upload',
-                baseUrl: 'https://telegra.ph',
-                maxFileSize: 1610612736 // 1.5GB
+    // overrides come from ClypseConfig.load; a bad value throws a ConfigError.
+    // i18n is a translator from ClypseI18n.init; without one keys show through.
+    constructor(overrides = {}, i18n = ClypseI18n.createTranslator(ClypseI18n.DEFAULT_LOCALE, {})) {
+        this.config = ClypseConfig.resolve({
+            publicUrl: null, // where share links point; defaults to wherever this page is served from
+            branding: {
+                title: null,
+                subtitle: null,
+                logo: null,
+                accentColor: null
+            },
+            features: {
+                files: true,
+                rooms: true
+            },
+            storage: {
+                backend: 'telegraph', // telegraph | http | s3 | indexeddb
+                maxFileSize: 1610612736, // 1.5GB
+                telegraph: {
+                    uploadUrl: 'https://telegra.ph/upload',
+                    baseUrl: 'https://telegra.ph'
+                },
+                http: {
+                    uploadUrl: '',
+                    baseUrl: '',
+                    method: 'PUT',
+                    headers: {}
+                },
+                s3: {
+                    presignUrl: '',
+                    publicBaseUrl: ''
+                },
+                indexeddb: {
+                    dbName: 'clypse_storage'
+                }
+            },
+            upload: {
+                retries: 3,
+                retryDelay: 1000, // doubled after every failed attempt
+                chunkThreshold: 33554432, // files above 32MB are uploaded in chunks
+                chunkSize: 8388608 // 8MB
+            },
+            preview: {
+                maxSize: 52428800, // chunked or encrypted files are assembled in memory up to 50MB
+                maxTextSize: 524288, // text previews show the first 512KB
+                thumbnailMaxSize: 5242880
             },
             firebase: {
-                databaseURL: 'https://clypse-app-default-rtdb.firebaseio.com/'
+                apiKey: null, // needed for anonymous sign-in; without it the app runs without a device identity
+                databaseURL: 'https://clypse-app-default-rtdb.firebaseio.com/',
+                emulators: null // e.g. { host: '127.0.0.1', database: 9000, auth: 9099 } for `firebase emulators:start`
             },
+            codeFormat: 'chars', // chars ("K7QM") | words ("apple-river-seven")
             codeChars: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789',
             codeLength: 4,
+            codeWords: 3,
+            codeAttempts: 10, // collisions tolerated before giving up
+            lookupDelays: ClypseLimits.LOOKUP_DELAYS, // wait between code lookups, as database.rules.json enforces
             notificationDuration: 15000,
-            maxMessages: 100,
-            cleanupDays: 7
-        };
+            messagePageSize: 50, // a room opens with this many recent messages; older pages load on scroll
+            inlineAttachmentSize: 262144, // room attachments up to 256KB travel inside the message
+            presence: {
+                typingTimeout: 3000 // typing stops showing after this long without input
+            },
+            offline: {
+                historySize: 50, // newest messages per room kept for reading offline
+                saveDelay: 1000
+            },
+            liveSync: {
+                pollInterval: 1500, // how often the focused tab looks for clipboard changes
+                maxTextLength: 100000
+            },
+            cleanupDays: 7, // default expiry for uploads
+            maxExpiryDays: 30,
+            pairingExpiry: 600000, // pairing codes for linking devices stop working after 10 minutes
+            retention: {
+                ...ClypseRetention.DEFAULT_POLICY,
+                sweepIntervalHours: 6, // how often one browser helps purge expired data
+                sweepBatchSize: 25
+            }
+        }, overrides);
 
         this.currentRoom = null;
         this.currentTheme = 'light'; // Track current theme
-        this.deviceId = this.generateId();
+        this.i18n = i18n;
+        this.deviceId = this.getDeviceId();
+        this.owner = this.getOwner();
+        this.ownerKey = null;
+        this.ownedFiles = {};
+        this.ownedFilesRef = null;
+        this.ownedFilesListener = null;
         this.database = null;
+        this.authUser = null;
+        this.authReady = Promise.resolve(null);
         this.roomRef = null;
-        this.messagesListener = null;
+        this.roomKey = null;
+        this.roomKeys = {};
+        this.roomMessages = {};
+        this.attachmentUrls = new Map();
+        this.highlightCache = new Map();
+        this.liveSync = {
+            enabled: false,
+            mode: localStorage.getItem('clypse_live_sync_mode') || 'both', // both | send | receive
+            since: 0,
+            lastContent: null,
+            lastReceivedId: null,
+            pendingWrite: null,
+            timer: null
+        };
+        this.connection = {
+            firebase: null, // null until Firebase has connected once
+            outbox: 0,
+            flushing: false
+        };
+        this.roomRecords = {};
+        this.roomEncryption = null;
+        this.historyTimer = null;
+        this.settingsListener = null;
+        this.roomSettings = null;
+        this.editingKey = null;
+        this.expiryTimer = null;
+        this.presenceRef = null;
+        this.presenceListener = null;
+        this.connectedListener = null;
+        this.typingTimer = null;
+        this.isTyping = false;
+        this.uploadQueue = new Map();
+        this.uploadQueueRunning = false;
+        this.fileKeys = {};
+        this.openedBundle = null;
+        this.currentPreview = null;
+        this.thumbnailUrls = new Map();
+        this.promptResolve = null;
+        this.sharedText = null;
+        this.qrTarget = null;
 
         // Initialize Firebase
         this.initFirebase();
+
+        // Codes, uploads, downloads and room messages; everything below is the page around it
+        this.client = new ClypseClient({
+            database: this.database,
+            config: this.config,
+            deviceId: this.deviceId,
+            device: this.getDeviceType()
+        });
+        this.client.on('message', (key, message, record) => this.handleRoomMessage(key, message, record));
+        this.client.on('messageRemoved', key => this.removeMessageFromView(key));
         
         // Wait for DOM
         if (document.readyState === 'loading') {
@@ -43,13 +165,20 @@ class ClypseApp {
     initFirebase() {
         try {
             // Initialize Firebase
+            const { apiKey, databaseURL, emulators } = this.config.firebase;
             const firebaseConfig = {
-                databaseURL: this.config.firebase.databaseURL
+                apiKey: apiKey || undefined,
+                databaseURL: databaseURL
             };
             
             if (typeof firebase !== 'undefined') {
                 firebase.initializeApp(firebaseConfig);
                 this.database = firebase.database();
+                if (emulators) {
+                    this.database.useEmulator(emulators.host, emulators.database);
+                    if (firebase.auth) firebase.auth().useEmulator(`http://${emulators.host}:${emulators.auth}`);
+                }
+                this.authReady = this.signIn();
                 console.log('Firebase initialized successfully');
             } else {
                 console.error('Firebase not loaded');
@@ -61,11 +190,120 @@ class ClypseApp {
 
     init() {
         console.log('Initializing Clypse app...');
+        this.applyLanguage();
+        this.applyBranding();
+        this.applyFeatures();
         this.setupTheme();
         this.setupEventListeners();
-        this.checkUrlParams();
         this.loadUserFiles();
-        console.log('Clypse app initialized successfully!');
+        this.checkPendingUploads();
+        this.registerServiceWorker();
+
+        // The security rules check every read and write against the signed-in device
+        this.authReady.then(() => {
+            this.checkUrlParams();
+            this.watchOwnedFiles();
+            this.scheduleRetentionSweep();
+            this.watchConnection();
+            console.log('Clypse app initialized successfully!');
+        });
+    }
+
+    // Anonymous sign-in gives each device the uid the security rules know it by. The
+    // uid survives reloads, so it replaces the locally generated device id.
+    async signIn() {
+        const { apiKey, emulators } = this.config.firebase;
+        if (!firebase.auth || !(apiKey || emulators)) {
+            console.warn('Anonymous sign-in is not configured, continuing without a device identity');
+            return null;
+        }
+
+        try {
+            const { user } = await firebase.auth().signInAnonymously();
+            this.authUser = user;
+            this.deviceId = user.uid;
+            this.client.deviceId = user.uid;
+            this.client.uid = user.uid;
+            localStorage.setItem('clypse_device_id', user.uid);
+            await this.registerOwnerDevice();
+            return user;
+        } catch (error) {
+            console.error('Anonymous sign-in failed:', error);
+            return null;
+        }
+    }
+
+    applyBranding() {
+        const { title, subtitle, logo, accentColor } = this.config.branding;
+
+        // An instance's own wording is not translated, so it loses its catalog key
+        if (title) {
+            document.querySelector('title').removeAttribute('data-i18n');
+            document.title = title;
+            document.querySelector('.app-title').removeAttribute('data-i18n');
+            document.querySelector('.app-title').textContent = title;
+        }
+        if (subtitle) {
+            document.querySelector('.app-subtitle').removeAttribute('data-i18n');
+            document.querySelector('.app-subtitle').textContent = subtitle;
+        }
+        if (logo) {
+            const image = document.createElement('img');
+            image.className = 'app-logo';
+            image.src = logo;
+            image.alt = '';
+            document.querySelector('.brand').prepend(image);
+        }
+        if (accentColor) {
+            // The same accent in both themes; hover and active states are shaded from it
+            const root = document.documentElement.style;
+            root.setProperty('--color-primary', accentColor);
+            root.setProperty('--color-primary-hover', `color-mix(in srgb, ${accentColor} 85%, black)`);
+            root.setProperty('--color-primary-active', `color-mix(in srgb, ${accentColor} 70%, black)`);
+            document.querySelector('meta[name="theme-color"]').setAttribute('content', accentColor);
+        }
+    }
+
+    // A turned-off feature loses its tab; with one tab left the tab bar goes too
+    applyFeatures() {
+        const { files, rooms } = this.config.features;
+        document.querySelector('[data-tab="files"]').classList.toggle('hidden', !files);
+        document.querySelector('[data-tab="clipboard"]').classList.toggle('hidden', !rooms);
+        document.querySelector('.tab-nav').classList.toggle('hidden', !(files && rooms));
+
+        // Not through switchTab, which would drop ?room= before checkUrlParams reads it
+        if (!files) {
+            document.querySelector('[data-tab="files"]').classList.remove('active');
+            document.getElementById('files-content').classList.remove('active');
+            document.querySelector('[data-tab="clipboard"]').classList.add('active');
+            document.getElementById('clipboard-content').classList.add('active');
+        }
+    }
+
+    applyLanguage() {
+        const { locale, dir } = this.i18n;
+        document.documentElement.lang = locale;
+        document.documentElement.dir = dir;
+        this.i18n.translatePage(document);
+        document.getElementById('languageSelect').value = locale;
+
+        if (this.editingKey) {
+            document.getElementById('sendMessageBtn').textContent = this.t('messages.saveEdit');
+        }
+    }
+
+    // Static text is swapped in place; lists built from templates are rendered again
+    async setLanguage(locale) {
+        localStorage.setItem('clypse_language', locale);
+        this.i18n = await ClypseI18n.init({ locale });
+        this.applyLanguage();
+        this.loadUserFiles();
+        this.renderMessages();
+        this.updateConnectionStatus();
+    }
+
+    isTabEnabled(tabName) {
+        return tabName === 'files' ? this.config.features.files : this.config.features.rooms;
     }
 
     setupTheme() {
@@ -85,17 +323,31 @@ class ClypseApp {
 
     checkUrlParams() {
         const params = new URLSearchParams(window.location.search);
-        const fileCode = params.get('file');
-        const roomCode = params.get('room');
-
-        if (fileCode) {
+        const fileCode = params.get('file') && ClypseCodes.normalize(params.get('file'));
+        const roomCode = params.get('room') && ClypseCodes.normalize(params.get('room'));
+        const shareId = Number(params.get('share'));
+        const pairCode = params.get('pair') && ClypseCodes.normalize(params.get('pair'));
+        // Decryption keys travel in the fragment so they never reach a server
+        const fileKey = new URLSearchParams(window.location.hash.slice(1)).get('key');
+
+        if (fileCode && this.config.features.files) {
+            if (fileKey) {
+                this.fileKeys[fileCode] = fileKey;
+            }
             document.getElementById('downloadCode').value = fileCode;
             this.switchTab('files');
             this.downloadFile();
-        } else if (roomCode) {
+        } else if (roomCode && this.config.features.rooms) {
             document.getElementById('roomCode').value = roomCode;
             this.switchTab('clipboard');
             this.joinRoom();
+        } else if (pairCode && this.config.features.files) {
+            // A reload should not try the used code again
+            window.history.replaceState(null, '', window.location.pathname);
+            this.switchTab('files');
+            this.linkDevice(pairCode);
+        } else if (shareId) {
+            this.receiveShare(shareId);
         }
     }
 
@@ -110,9 +362,16 @@ class ClypseApp {
             console.log('Theme toggle clicked. Current:', this.currentTheme, 'New:', newTheme);
             
             this.setTheme(newTheme);
-            this.showToast(`Switched to ${newTheme} mode`, 'info');
+            this.showToast(this.t(newTheme === 'dark' ? 'theme.switchedDark' : 'theme.switchedLight'), 'info');
         });
 
+        const languageSelect = document.getElementById('languageSelect');
+        languageSelect.innerHTML = Object.entries(ClypseI18n.LOCALES)
+            .map(([locale, { name }]) => `<option value="${locale}" lang="${locale}">${name}</option>`)
+            .join('');
+        languageSelect.value = this.i18n.locale;
+        languageSelect.addEventListener('change', () => this.setLanguage(languageSelect.value));
+
         // Tab navigation
         document.querySelectorAll('.nav-tab').forEach(tab => {
             tab.addEventListener('click', (e) => {
@@ -131,18 +390,19 @@ class ClypseApp {
             if (e.key === 'Enter') this.downloadFile();
         });
         document.getElementById('downloadCode').addEventListener('input', (e) => {
-            e.target.value = e.target.value.toUpperCase().replace(/[^A-Z0-9]/g, '').substring(0, 4);
+            e.target.value = ClypseCodes.normalize(e.target.value);
         });
 
         // Room management
         document.getElementById('createRoomBtn').addEventListener('click', () => this.createRoom());
         document.getElementById('joinRoomBtn').addEventListener('click', () => this.joinRoom());
         document.getElementById('leaveRoomBtn').addEventListener('click', () => this.leaveRoom());
+        document.getElementById('clearRoomBtn').addEventListener('click', () => this.clearRoom());
         document.getElementById('roomCode').addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.joinRoom();
         });
         document.getElementById('roomCode').addEventListener('input', (e) => {
-            e.target.value = e.target.value.toUpperCase().replace(/[^A-Z0-9]/g, '').substring(0, 4);
+            e.target.value = ClypseCodes.normalize(e.target.value);
         });
 
         // Message handling - FIXED
@@ -158,15 +418,96 @@ class ClypseApp {
             
             messageInput.addEventListener('input', (e) => {
                 console.log('Message input changed:', e.target.value);
+                this.setTyping(Boolean(e.target.value));
             });
             
             messageInput.addEventListener('keydown', (e) => {
                 if ((e.ctrlKey || e.metaKey) && e.key === 'Enter') {
                     e.preventDefault();
                     this.sendMessage();
+                } else if (e.key === 'Escape' && this.editingKey) {
+                    this.cancelEdit();
                 }
             });
+
+            // Pasted images and files are sent as attachments, pasted text stays in the input
+            messageInput.addEventListener('paste', (e) => {
+                const files = Array.from(e.clipboardData ? e.clipboardData.files : []);
+                if (files.length === 0) return;
+                e.preventDefault();
+                this.sendAttachments(files);
+            });
         }
+
+        // Older history loads when the list is scrolled near its end
+        const messagesList = document.getElementById('messagesList');
+        messagesList.addEventListener('scroll', () => {
+            if (messagesList.scrollTop + messagesList.clientHeight >= messagesList.scrollHeight - 100) {
+                this.client.loadOlderMessages();
+            }
+        });
+
+        // Message clicks are delegated and read the key from data-key; keys come from
+        // other writers, so they never go into inline handlers
+        const messageActions = ['downloadAttachment', 'editMessage', 'togglePin', 'setMessageExpiry', 'deleteMessage'];
+        messagesList.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-key]');
+            if (!item) return;
+
+            const button = e.target.closest('[data-action]');
+            if (button && messageActions.includes(button.dataset.action)) {
+                this[button.dataset.action](item.dataset.key);
+            } else if (!button) {
+                this.copyRoomMessage(item.dataset.key);
+            }
+        });
+
+        // File list clicks are delegated the same way; the list is synced through the
+        // database, so its codes are not trusted in inline handlers either
+        const fileActions = ['renameFile', 'extendFile', 'revokeFile', 'copyFileCode', 'downloadFile'];
+        document.getElementById('filesList').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-code]');
+            const button = e.target.closest('[data-action]');
+            if (item && button && fileActions.includes(button.dataset.action)) {
+                this[button.dataset.action](item.dataset.code);
+            }
+        });
+
+        // Files dragged onto the composer or the message list go to the room
+        [messageInput, document.getElementById('messagesList')].forEach((target) => {
+            target.addEventListener('dragover', (e) => {
+                if (!this.currentRoom || !e.dataTransfer.types.includes('Files')) return;
+                e.preventDefault();
+                target.classList.add('dragover');
+            });
+            target.addEventListener('dragleave', () => target.classList.remove('dragover'));
+            target.addEventListener('drop', (e) => {
+                target.classList.remove('dragover');
+                const files = Array.from(e.dataTransfer.files);
+                if (!this.currentRoom || files.length === 0) return;
+                e.preventDefault();
+                this.sendAttachments(files);
+            });
+        });
+
+        // Live sync
+        const liveSyncMode = document.getElementById('liveSyncMode');
+        liveSyncMode.value = this.liveSync.mode;
+        liveSyncMode.addEventListener('change', (e) => this.setLiveSyncMode(e.target.value));
+        document.getElementById('liveSyncToggle').addEventListener('change', (e) => this.setLiveSync(e.target.checked));
+        document.addEventListener('copy', () => this.handleCopyEvent());
+        document.addEventListener('cut', () => this.handleCopyEvent());
+        window.addEventListener('focus', () => this.flushLiveSync());
+
+        const attachmentInput = document.getElementById('attachmentInput');
+        document.getElementById('attachFileBtn').addEventListener('click', () => attachmentInput.click());
+        attachmentInput.addEventListener('change', (e) => {
+            const files = Array.from(e.target.files);
+            if (files.length > 0) {
+                this.sendAttachments(files);
+            }
+            e.target.value = '';
+        });
         
         if (sendBtn) {
             sendBtn.addEventListener('click', () => this.sendMessage());
@@ -180,11 +521,46 @@ class ClypseApp {
         document.getElementById('closeShareModal').addEventListener('click', () => this.closeShareModal());
         document.getElementById('copyCodeBtn').addEventListener('click', () => this.copyShareCode());
         document.getElementById('copyUrlBtn').addEventListener('click', () => this.copyShareUrl());
+        // Linked devices
+        document.getElementById('linkDeviceBtn').addEventListener('click', () => this.createPairingCode());
+        document.getElementById('pairDeviceBtn').addEventListener('click', () => this.linkDevice());
+        document.getElementById('closePairingModal').addEventListener('click', () => this.closePairingModal());
+
+        // QR scanning fills in the code field it was started from
+        document.getElementById('scanFileQrBtn').addEventListener('click', () => this.openQrScan('downloadCode'));
+        document.getElementById('scanRoomQrBtn').addEventListener('click', () => this.openQrScan('roomCode'));
+        document.getElementById('qrImageInput').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (file) this.scanQrImage(file);
+        });
+
+        const nativeShareBtn = document.getElementById('nativeShareBtn');
+        nativeShareBtn.classList.toggle('hidden', !navigator.share);
+        nativeShareBtn.addEventListener('click', () => this.nativeShare());
+
+        // Preview modal
+        document.getElementById('previewDownloadBtn').addEventListener('click', () => this.confirmDownload());
+        document.getElementById('previewCancelBtn').addEventListener('click', () => this.closePreview());
+        document.getElementById('closePreviewModal').addEventListener('click', () => this.closePreview());
+
+        // Bundle modal
+        document.getElementById('closeBundleModal').addEventListener('click', () => this.closeBundle());
+        document.getElementById('downloadZipBtn').addEventListener('click', () => this.downloadBundleZip());
+
+        // Prompt modal
+        document.getElementById('promptForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.closePrompt(document.getElementById('promptInput').value.trim() || null);
+        });
+        document.getElementById('promptCancelBtn').addEventListener('click', () => this.closePrompt(null));
+        document.getElementById('closePromptModal').addEventListener('click', () => this.closePrompt(null));
     }
 
     setupFileUpload() {
         const uploadArea = document.getElementById('uploadArea');
         const fileInput = document.getElementById('fileInput');
+        const folderInput = document.getElementById('folderInput');
 
         uploadArea.addEventListener('click', (e) => {
             e.preventDefault();
@@ -199,6 +575,17 @@ class ClypseApp {
             e.target.value = '';
         });
 
+        // Folder picker: files carry webkitRelativePath, so they become one bundle
+        folderInput.addEventListener('change', (e) => {
+            const files = Array.from(e.target.files);
+            if (files.length > 0) {
+                this.uploadFiles(files);
+            }
+            e.target.value = '';
+        });
+
+        document.getElementById('uploadFolderBtn').addEventListener('click', () => folderInput.click());
+
         // Drag and drop
         uploadArea.addEventListener('dragover', (e) => {
             e.preventDefault();
@@ -210,17 +597,24 @@ class ClypseApp {
             uploadArea.classList.remove('dragover');
         });
 
-        uploadArea.addEventListener('drop', (e) => {
+        uploadArea.addEventListener('drop', async (e) => {
             e.preventDefault();
             uploadArea.classList.remove('dragover');
-            const files = Array.from(e.dataTransfer.files);
-            if (files.length > 0) {
-                this.uploadFiles(files);
+            try {
+                const files = await this.collectDroppedFiles(e.dataTransfer);
+                if (files.length > 0) {
+                    this.uploadFiles(files);
+                }
+            } catch (error) {
+                console.error('Drop read error:', error);
+                this.showToast(this.t('upload.dropFailed'), 'error');
             }
         });
     }
 
     switchTab(tabName) {
+        if (!this.isTabEnabled(tabName)) return;
+
         // Update nav tabs
         document.querySelectorAll('.nav-tab').forEach(tab => tab.classList.remove('active'));
         document.querySelector(`[data-tab="${tabName}"]`).classList.add('active');
@@ -233,307 +627,2604 @@ class ClypseApp {
         const url = new URL(window.location);
         url.searchParams.delete('file');
         url.searchParams.delete('room');
+        url.hash = '';
         history.replaceState(null, '', url.toString());
     }
 
     // FILE SHARING METHODS
 
     async uploadFiles(files) {
-        for (const file of files) {
-            if (file.size > this.config.telegraph.maxFileSize) {
-                this.showToast(`File "${file.name}" exceeds 1.5GB limit`, 'error');
-                continue;
+        const options = this.getUploadOptions();
+        const entries = files
+            .map(entry => entry instanceof File ? { file: entry, path: entry.webkitRelativePath || entry.name } : entry)
+            .filter(({ file }) => {
+                if (file.size > this.config.storage.maxFileSize) {
+                    this.showToast(this.t('upload.tooLarge', { name: file.name, limit: this.formatFileSize(this.config.storage.maxFileSize) }), 'error');
+                    return false;
+                }
+                return true;
+            });
+
+        if (entries.length === 0) return;
+
+        if (!this.isOnline()) {
+            await this.queueUploads(entries, options);
+            return;
+        }
+
+        this.enqueueEntries(entries, options);
+        await this.processUploadQueue();
+    }
+
+    // Several files or a folder travel together under one code. Returns the queued
+    // job: the upload item or the bundle.
+    enqueueEntries(entries, options) {
+        if (entries.length > 1 || entries[0].path.includes('/')) {
+            return this.enqueueBundle(entries, options);
+        }
+        return this.enqueueUpload(entries[0].file, options);
+    }
+
+    // job.done resolves with 'done', 'failed' or 'cancelled' once the queue is through with it
+    trackUploadJob(job) {
+        job.done = new Promise((resolve) => {
+            job.settle = resolve;
+        });
+        return job;
+    }
+
+    // Files dropped as folders keep their path relative to the dropped folder
+    async collectDroppedFiles(dataTransfer) {
+        // Entries have to be taken before the drop handler yields, the list is emptied afterwards
+        const entries = Array.from(dataTransfer.items || [])
+            .map(item => item.webkitGetAsEntry ? item.webkitGetAsEntry() : null)
+            .filter(Boolean);
+
+        if (entries.length === 0) {
+            return Array.from(dataTransfer.files).map(file => ({ file, path: file.name }));
+        }
+
+        const results = [];
+        for (const entry of entries) {
+            await this.walkEntry(entry, '', results);
+        }
+        return results;
+    }
+
+    async walkEntry(entry, prefix, results) {
+        if (entry.isFile) {
+            const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+            results.push({ file, path: prefix + file.name });
+            return;
+        }
+
+        if (entry.isDirectory) {
+            const reader = entry.createReader();
+            let batch;
+            // readEntries returns at most 100 entries per call
+            do {
+                batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+                for (const child of batch) {
+                    await this.walkEntry(child, `${prefix}${entry.name}/`, results);
+                }
+            } while (batch.length > 0);
+        }
+    }
+
+    async processUploadQueue() {
+        if (this.uploadQueueRunning) return;
+        this.uploadQueueRunning = true;
+
+        try {
+            let item;
+            while ((item = Array.from(this.uploadQueue.values()).find(entry => entry.status === 'queued'))) {
+                const job = item.bundle || item;
+                let result = null;
+                try {
+                    if (item.bundle) {
+                        item.bundle.running = true;
+                        result = await this.uploadBundle(item.bundle);
+                    } else {
+                        result = await this.uploadFile(item.file, item);
+                    }
+                } catch (error) {
+                    console.error('Upload queue error:', error);
+                    // Nothing else takes the bundle's rows out of the queue
+                    (job.items || [job])
+                        .filter(entry => entry.status === 'queued')
+                        .forEach(entry => this.updateUploadItem(entry, 'failed', this.t('upload.failedItem', { reason: error.message })));
+                }
+                job.settle(result ? 'done' : this.getUploadJobOutcome(job));
+            }
+        } finally {
+            this.uploadQueueRunning = false;
+        }
+    }
+
+    getUploadOptions() {
+        const hour = 60 * 60 * 1000;
+        const expiresIn = Number(document.getElementById('uploadExpiry').value) || this.config.cleanupDays * 24 * hour;
+        const maxDownloads = parseInt(document.getElementById('uploadMaxDownloads').value, 10);
+
+        return {
+            encrypt: document.getElementById('encryptUpload').checked,
+            expiresIn: Math.min(Math.max(expiresIn, hour), this.config.maxExpiryDays * 24 * hour),
+            maxDownloads: maxDownloads > 0 ? maxDownloads : null,
+            burnAfterReading: document.getElementById('burnAfterReading').checked,
+            password: document.getElementById('uploadPassword').value || null
+        };
+    }
+
+    async uploadFile(file, item = this.enqueueUpload(file, this.getUploadOptions())) {
+        // An interrupted chunked upload of the same file continues under its old code
+        const pending = this.getPendingUpload(file);
+        this.updateUploadItem(item, 'uploading', this.t(pending ? 'upload.resuming' : 'upload.starting'));
+
+        item.controller = new AbortController();
+        let code = null;
+
+        try {
+            await this.authReady;
+            const { fileData, fileKey, sha256 } = await this.client.upload(file, { ...item.options, owner: this.owner.id }, {
+                ...this.createUploadTask(item),
+                pending,
+                onCode: (reserved) => {
+                    code = reserved;
+                    console.log(pending ? 'Resuming upload:' : 'Uploading file:', file.name, 'Code:', code);
+                },
+                onPending: state => this.savePendingUpload(file, state)
+            });
+
+            // Also save locally, with the real name and key so this device can re-share it
+            const record = {
+                ...fileData,
+                name: file.name,
+                type: file.type,
+                sha256: sha256,
+                fileKey: fileKey
+            };
+            localStorage.setItem(`clypse_file_${code}`, JSON.stringify(record));
+            this.indexOwnedFile(code, record);
+            this.clearPendingUpload(file);
+
+            this.updateUploadItem(item, 'done', this.t('upload.doneWithCode', { code }), 100);
+            if (!item.options.quiet) {
+                this.showUploadSuccess(code, fileData.url, file, fileKey);
+            }
+            this.loadUserFiles();
+
+            return { code, url: fileData.url, fileKey };
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                this.clearPendingUpload(file);
+                if (code) this.client.releaseCode('files', code);
+                this.updateUploadItem(item, 'cancelled', this.t('upload.cancelled'));
+                this.showToast(this.t('upload.cancelledFile', { name: file.name }), 'info');
+                return;
+            }
+
+            console.error('Upload error:', error);
+            this.updateUploadItem(item, 'failed', this.t('upload.failedItem', { reason: error.message }));
+
+            if (this.getPendingUpload(file)) {
+                this.showToast(this.t('upload.failedResumable', { reason: error.message }), 'error');
+            } else {
+                if (code) this.client.releaseCode('files', code);
+                this.showToast(this.t('upload.failed', { reason: error.message }), 'error');
+            }
+        } finally {
+            item.controller = null;
+        }
+    }
+
+    // A bundle is one files/{code} entry whose entries list every file by relative path
+    async uploadBundle(bundle) {
+        const items = bundle.items;
+
+        let result;
+        try {
+            await this.authReady;
+            result = await this.client.uploadBundle(items, { ...bundle.options, name: bundle.name, owner: this.owner.id }, {
+                onCode: code => console.log('Uploading bundle:', bundle.name, 'Files:', items.length, 'Code:', code),
+                // Items cancelled while they waited are left out
+                entryTask: (index) => {
+                    const item = items[index];
+                    if (item.status !== 'queued') return null;
+
+                    item.controller = new AbortController();
+                    this.updateUploadItem(item, 'uploading', this.t('upload.starting'));
+                    return this.createUploadTask(item);
+                },
+                onEntryDone: (index, stored) => {
+                    items[index].controller = null;
+                    this.updateUploadItem(items[index], 'done', this.t('upload.doneInBundle', { index: stored, total: items.length }), 100);
+                },
+                onEntryError: (index, error) => {
+                    const item = items[index];
+                    item.controller = null;
+                    if (error.name === 'AbortError') {
+                        this.updateUploadItem(item, 'cancelled', this.t('upload.cancelled'));
+                    } else {
+                        console.error('Bundle entry error:', error);
+                        this.updateUploadItem(item, 'failed', this.t('upload.failedItem', { reason: error.message }));
+                    }
+                }
+            });
+        } catch (error) {
+            console.error('Bundle upload error:', error);
+            items
+                .filter(item => item.status === 'queued')
+                .forEach(item => this.updateUploadItem(item, 'failed', this.t('upload.failedItem', { reason: error.message })));
+            this.showToast(this.t('upload.failed', { reason: error.message }), 'error');
+            return;
+        }
+
+        if (!result) {
+            this.showToast(this.t('upload.bundleFailed', { name: bundle.name }), 'error');
+            return;
+        }
+
+        const { code, fileData, fileKey } = result;
+        const record = {
+            ...fileData,
+            name: bundle.name,
+            fileKey: fileKey
+        };
+        localStorage.setItem(`clypse_file_${code}`, JSON.stringify(record));
+        this.indexOwnedFile(code, record);
+
+        if (fileData.count < items.length) {
+            this.showToast(this.t('upload.bundleIncomplete', { count: items.length - fileData.count }), 'warning');
+        }
+        this.showUploadSuccess(code, null, { name: bundle.name }, fileKey);
+        this.loadUserFiles();
+
+        return { code };
+    }
+
+    getUploadJobOutcome(job) {
+        const items = job.items || [job];
+        return items.every(item => item.status === 'cancelled') ? 'cancelled' : 'failed';
+    }
+
+    // Shows a client upload's progress on its queue item
+    createUploadTask(item) {
+        return {
+            signal: item.controller.signal,
+            onStart: (loaded) => {
+                item.started = Date.now();
+                item.startLoaded = loaded;
+            },
+            onProgress: (loaded, total) => this.updateUploadProgress(item, loaded, total),
+            onRetry: (attempt, delay) => this.showUploadRetry(item, attempt, delay)
+        };
+    }
+
+    // CHUNKED UPLOAD METHODS
+
+    getPendingUploadKey(file) {
+        return `clypse_upload_${file.name}:${file.size}:${file.lastModified}`;
+    }
+
+    getPendingUpload(file) {
+        try {
+            const pending = JSON.parse(localStorage.getItem(this.getPendingUploadKey(file)));
+            if (pending && Date.now() < pending.started + (this.config.cleanupDays * 24 * 60 * 60 * 1000)) {
+                return pending;
+            }
+        } catch (error) {
+            console.error('Pending upload read error:', error);
+        }
+        return null;
+    }
+
+    savePendingUpload(file, pending) {
+        localStorage.setItem(this.getPendingUploadKey(file), JSON.stringify({
+            ...pending,
+            name: file.name,
+            size: file.size
+        }));
+    }
+
+    clearPendingUpload(file) {
+        localStorage.removeItem(this.getPendingUploadKey(file));
+    }
+
+    checkPendingUploads() {
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (!key || !key.startsWith('clypse_upload_')) continue;
+
+            try {
+                const pending = JSON.parse(localStorage.getItem(key));
+                if (Date.now() > pending.started + (this.config.cleanupDays * 24 * 60 * 60 * 1000)) {
+                    localStorage.removeItem(key);
+                    i--;
+                    continue;
+                }
+
+                const percent = Math.floor((pending.confirmed / pending.chunkCount) * 100);
+                this.showToast(this.t('upload.interrupted', { name: pending.name, percent: this.formatNumber(percent / 100, { style: 'percent' }) }), 'warning');
+            } catch (error) {
+                localStorage.removeItem(key);
+                i--;
+            }
+        }
+    }
+
+    showUploadRetry(item, attempt, delay) {
+        this.updateUploadItem(item, 'retrying', this.t('upload.retrying', {
+            delay: this.formatDuration(delay / 1000),
+            attempt: attempt + 1,
+            total: this.config.upload.retries + 1
+        }));
+    }
+
+    cancelUpload(id) {
+        const item = this.uploadQueue.get(id);
+        if (!item) return;
+
+        if (item.controller) {
+            item.controller.abort();
+        } else if (item.status === 'queued') {
+            this.updateUploadItem(item, 'cancelled', this.t('upload.cancelled'));
+
+            // A job the queue will never reach is settled here
+            const job = item.bundle || item;
+            if (!job.running && !(job.items || [job]).some(entry => entry.status === 'queued')) {
+                job.settle('cancelled');
             }
-            await this.uploadFile(file);
         }
     }
 
-    async uploadFile(file) {
-        const code = this.generateCode();
-        console.log('Uploading file:', file.name, 'Code:', code);
+    async downloadFile(code = document.getElementById('downloadCode').value.trim()) {
+        code = ClypseCodes.normalize(code);
+
+        if (!ClypseCodes.isValid(code)) {
+            this.showToast(this.t('codes.invalid'), 'error');
+            return;
+        }
+
+        console.log('Downloading file with code:', code);
+
+        try {
+            if (!(await this.lookupCode('files', code))) return;
+
+            // Try Firebase first
+            let fileData = await this.client.getFile(code);
+            let fromFirebase = Boolean(fileData);
+
+            // Fallback to localStorage
+            if (!fileData) {
+                const stored = localStorage.getItem(`clypse_file_${code}`);
+                if (stored) {
+                    fileData = JSON.parse(stored);
+                }
+            }
+
+            if (!fileData) {
+                this.showToast(this.t('download.unavailable.missing'), 'error');
+                return;
+            }
+
+            const unavailable = this.client.checkAvailability(fileData);
+            if (unavailable) {
+                this.showToast(this.t(`download.unavailable.${unavailable}`), 'error');
+                return;
+            }
+
+            if (fileData.password) {
+                fileData = await this.unlockPasswordFile(code, fileData);
+                if (!fileData) return;
+            }
+
+            let cryptoKey = null;
+            let name = fileData.name;
+            let type = fileData.type;
+            let sha256 = fileData.sha256 || null;
+
+            if (fileData.encrypted) {
+                const decrypted = await this.unlockEncryptedFile(code, fileData);
+                if (!decrypted) return;
+                ({ cryptoKey, name, type, sha256 } = decrypted);
+            }
+
+            document.getElementById('downloadCode').value = '';
+            const download = { code, fileData, fromFirebase, name, type, cryptoKey, sha256 };
+
+            // The bundle list already shows what a bundle holds
+            if (fileData.bundle) {
+                await this.startDownload(download);
+            } else {
+                this.showFilePreview(download);
+            }
 
-        // Show progress
-        this.showUploadProgress(code, file.name);
+        } catch (error) {
+            console.error('Download error:', error);
+            this.showToast(this.t('download.failed'), 'error');
+        }
+    }
 
+    async startDownload({ code, fileData, fromFirebase, name, type, cryptoKey, sha256 }) {
         try {
-            // Upload to Telegraph
-            const formData = new FormData();
-            formData.append('file', file);
+            // The download counter is the last gate, so a cancelled prompt never uses up a download
+            const claim = fromFirebase ? await this.client.claimDownload(code) : { allowed: true, last: false };
+            if (!claim.allowed) {
+                this.showToast(this.t(`download.unavailable.${claim.reason}`), 'error');
+                return;
+            }
+
+            // Opening a bundle counts as one download, whichever of its files are taken
+            if (fileData.bundle) {
+                await this.openBundle(fileData, name, cryptoKey, claim.last);
+                return;
+            }
+
+            this.showToast(this.t('download.started', { name }), 'success');
+
+            // Files with a digest are fetched here so the bytes can be checked before they are saved
+            if (fileData.chunked || sha256) {
+                await this.saveStream(await this.client.openStream(fileData, { cryptoKey }), { name, type, sha256, size: fileData.size });
+                if (claim.last) this.purgeFile(fileData);
+                return;
+            }
+
+            // Files uploaded before digests were recorded go straight to the browser
+            const url = await this.client.getStorageAdapter(fileData.storage).getDownloadUrl(fileData);
+            this.triggerDownload(url, name);
+
+            if (claim.last) {
+                // Leave the browser time to start fetching before the object goes away
+                setTimeout(() => this.purgeFile(fileData), 60000);
+            }
+
+        } catch (error) {
+            console.error('Download error:', error);
+            this.showToast(this.t(error.name === 'IntegrityError' ? 'download.integrity' : 'download.failed', { name }), 'error');
+        }
+    }
+
+    // The password leads to where the file is stored, so without it there is nothing to fetch
+    async unlockPasswordFile(code, fileData) {
+        const password = await this.promptInput({
+            title: this.t('download.passwordTitle'),
+            label: this.t('download.passwordLabel'),
+            type: 'password'
+        });
+        if (!password) return null;
+
+        const unlocked = await this.client.unlockFile(code, fileData, password);
+        if (!unlocked) {
+            this.showToast(this.t('download.wrongPassword'), 'error');
+        }
+        return unlocked;
+    }
+
+    async purgeFile(fileData) {
+        await this.client.purge(fileData, this.owner.id);
+        localStorage.removeItem(`clypse_file_${fileData.code}`);
+        this.loadUserFiles();
+    }
+
+    async unlockEncryptedFile(code, fileData) {
+        const local = JSON.parse(localStorage.getItem(`clypse_file_${code}`) || 'null');
+        let keyText = this.fileKeys[code] || (local && local.fileKey);
+
+        if (!keyText) {
+            keyText = await this.promptInput({
+                title: this.t('download.keyTitle'),
+                label: this.t('download.keyLabel'),
+                placeholder: this.t('download.keyPlaceholder')
+            });
+            if (!keyText) return null;
+        }
+
+        // Accept a pasted share link as well as the bare key
+        if (keyText.includes('#')) {
+            keyText = new URLSearchParams(keyText.split('#')[1]).get('key') || '';
+        }
+
+        try {
+            const cryptoKey = await ClypseCrypto.importKey(keyText.trim());
+            const meta = await ClypseCrypto.decryptJson(cryptoKey, fileData.meta);
+            this.fileKeys[code] = keyText.trim();
+            return { cryptoKey, name: meta.name, type: meta.type, sha256: meta.sha256 || null };
+        } catch (error) {
+            console.error('Decryption error:', error);
+            delete this.fileKeys[code];
+            this.showToast(this.t('download.wrongKey'), 'error');
+            return null;
+        }
+    }
+
+    // PREVIEW METHODS
+
+    showFilePreview(download) {
+        const { fileData, name, type, sha256 } = download;
+        this.closePreview();
+        this.currentPreview = { ...download, urls: [] };
+
+        const details = [this.formatFileSize(fileData.size), type || this.t('preview.unknownType')];
+        if (fileData.expires) {
+            details.push(this.t('preview.expires', { date: this.i18n.formatDateTime(fileData.expires) }));
+        }
+        if (fileData.maxDownloads) {
+            details.push(this.t('preview.downloadsLeft', {
+                count: fileData.maxDownloads - (fileData.downloads || 0),
+                total: fileData.maxDownloads
+            }));
+        }
+
+        document.getElementById('previewTitle').textContent = name;
+        document.getElementById('previewMeta').innerHTML = details.map(detail => `<span>${this.escapeHtml(detail)}</span>`).join('') +
+            (sha256 ? `<span class="preview-digest">SHA-256 <code>${this.escapeHtml(sha256)}</code></span>` : '');
+        document.getElementById('previewContent').innerHTML = `<p class="preview-message">${this.escapeHtml(this.t('preview.loading'))}</p>`;
+        document.getElementById('previewModal').classList.remove('hidden');
+
+        this.renderPreviewContent(this.currentPreview);
+    }
+
+    async renderPreviewContent(preview) {
+        const { fileData, name, type, cryptoKey } = preview;
+        const kind = ClypsePreview.kindOf(name, type);
+        const container = document.getElementById('previewContent');
+
+        // The preview may have been closed or replaced while content was loading
+        const show = (content) => {
+            if (this.currentPreview !== preview) return;
+            if (typeof content === 'string') {
+                container.innerHTML = content;
+            } else {
+                container.innerHTML = '';
+                container.appendChild(content);
+            }
+        };
+        const message = (text) => `<p class="preview-message">${this.escapeHtml(text)}</p>`;
+
+        if (!kind) {
+            show(message(this.t('preview.unsupported')));
+            return;
+        }
+
+        // Fetching the content would hand the file out without counting a download
+        if (fileData.maxDownloads) {
+            show(message(this.t('preview.limited')));
+            return;
+        }
+
+        try {
+            if (kind === 'text') {
+                const text = await this.loadPreviewText(fileData, cryptoKey);
+                const html = await ClypsePreview.highlight(text.content, ClypsePreview.languageOf(name));
+                show(`<pre class="preview-code"><code class="hljs">${html}</code></pre>` +
+                    (text.truncated ? message(this.t('preview.truncated', { size: this.formatFileSize(this.config.preview.maxTextSize) })) : ''));
+                return;
+            }
+
+            // Blob URLs share this page's origin, so a PDF is never rendered with its own claimed type
+            const url = await this.getPreviewUrl(fileData, kind === 'pdf' ? 'application/pdf' : type, cryptoKey);
+            if (url.startsWith('blob:')) preview.urls.push(url);
+
+            const element = document.createElement({ image: 'img', audio: 'audio', video: 'video', pdf: 'iframe' }[kind]);
+            element.className = 'preview-media';
+            element.src = url;
+            if (kind === 'image') element.alt = name;
+            if (kind === 'audio' || kind === 'video') element.controls = true;
+            if (kind === 'pdf') element.title = name;
+            show(element);
+        } catch (error) {
+            console.warn('Preview failed:', error.message);
+            show(message(this.t('preview.failed', { reason: error.message })));
+        }
+    }
+
+    // Resolves a URL the browser can render: the stored URL when there is one, otherwise an object URL
+    async getPreviewUrl(fileData, type, cryptoKey) {
+        let blob;
+
+        if (fileData.chunked) {
+            if (fileData.size > this.config.preview.maxSize) {
+                throw new Error(this.t('preview.tooLarge'));
+            }
+            blob = await new Response(await this.client.openStream(fileData, { cryptoKey })).blob();
+        } else {
+            const url = await this.client.getStorageAdapter(fileData.storage).getDownloadUrl(fileData);
+            if (!url.startsWith('blob:')) return url;
+
+            blob = await (await fetch(url)).blob();
+            URL.revokeObjectURL(url);
+        }
+
+        return URL.createObjectURL(new Blob([blob], { type: type || 'application/octet-stream' }));
+    }
+
+    async loadPreviewText(fileData, cryptoKey) {
+        const stream = await this.client.openStream(fileData, { cryptoKey });
+        const limit = this.config.preview.maxTextSize;
+        const reader = stream.getReader();
+        const parts = [];
+        let length = 0;
+
+        while (length < limit) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            parts.push(value);
+            length += value.length;
+        }
+        reader.cancel().catch(() => {});
+
+        const bytes = new Uint8Array(Math.min(length, limit));
+        let offset = 0;
+        for (const part of parts) {
+            const slice = part.subarray(0, bytes.length - offset);
+            bytes.set(slice, offset);
+            offset += slice.length;
+        }
+
+        return {
+            content: new TextDecoder().decode(bytes),
+            truncated: fileData.size > limit
+        };
+    }
+
+    async confirmDownload() {
+        const preview = this.currentPreview;
+        if (!preview) return;
+
+        this.closePreview();
+        await this.startDownload(preview);
+    }
+
+    closePreview() {
+        const preview = this.currentPreview;
+        this.currentPreview = null;
+        document.getElementById('previewModal').classList.add('hidden');
+        document.getElementById('previewContent').innerHTML = '';
+
+        if (preview) {
+            preview.urls.forEach(url => URL.revokeObjectURL(url));
+        }
+    }
+
+    getFileIcon(file) {
+        if (file.bundle) return '🗂️';
+        const icons = { image: '🖼️', audio: '🎵', video: '🎬', pdf: '📕', text: '📝' };
+        return icons[ClypsePreview.kindOf(file.name, file.type)] || '📄';
+    }
+
+    // Thumbnails go through the same URL resolution as the preview and are kept per code
+    async loadThumbnails(files) {
+        const codes = new Set(files.map(file => file.code));
+        this.thumbnailUrls.forEach((url, code) => {
+            if (codes.has(code)) return;
+            if (url.startsWith('blob:')) URL.revokeObjectURL(url);
+            this.thumbnailUrls.delete(code);
+        });
+
+        for (const file of files) {
+            // Files from linked devices have no storage entry in the synced list
+            if (file.bundle || file.remote || ClypsePreview.kindOf(file.name, file.type) !== 'image' ||
+                file.size > this.config.preview.thumbnailMaxSize) {
+                continue;
+            }
+
+            try {
+                if (!this.thumbnailUrls.has(file.code)) {
+                    const cryptoKey = file.fileKey ? await ClypseCrypto.importKey(file.fileKey) : null;
+                    this.thumbnailUrls.set(file.code, await this.getPreviewUrl(file, file.type, cryptoKey));
+                }
+
+                const element = document.querySelector(`[data-thumb="${CSS.escape(file.code)}"]`);
+                if (!element) continue;
+
+                const image = document.createElement('img');
+                image.src = this.thumbnailUrls.get(file.code);
+                image.alt = '';
+                image.loading = 'lazy';
+                element.innerHTML = '';
+                element.appendChild(image);
+            } catch (error) {
+                console.warn('Thumbnail failed:', file.code, error.message);
+            }
+        }
+    }
+
+    // BUNDLE METHODS
+
+    async openBundle(fileData, name, cryptoKey, last) {
+        const entries = [];
+
+        for (const [index, entry] of Object.entries(fileData.entries || {})) {
+            if (!entry) continue;
+
+            let details = { path: entry.path, name: entry.name, type: entry.type };
+            if (entry.encrypted) {
+                details = await ClypseCrypto.decryptJson(cryptoKey, entry.meta);
+            }
+
+            entries.push({
+                ...entry,
+                ...details,
+                index: Number(index),
+                path: this.sanitizeBundlePath(details.path || details.name)
+            });
+        }
+
+        entries.sort((a, b) => a.index - b.index);
+        this.openedBundle = { fileData, name, cryptoKey, last, entries };
+
+        document.getElementById('bundleTitle').textContent = name;
+        document.getElementById('bundleSummary').textContent =
+            `${this.t('bundle.fileCount', { count: entries.length })} · ${this.formatFileSize(fileData.size)}`;
+        document.getElementById('bundleList').innerHTML = entries.map((entry, position) => `
+            <div class="bundle-entry">
+                <span class="bundle-entry-path" title="${this.escapeHtml(entry.path)}">${this.escapeHtml(entry.path)}</span>
+                <span class="bundle-entry-size">${this.formatFileSize(entry.size)}</span>
+                <button class="btn btn--sm btn--outline" onclick="app.downloadBundleEntry(${position})">${this.escapeHtml(this.t('bundle.download'))}</button>
+            </div>
+        `).join('');
+        document.getElementById('bundleModal').classList.remove('hidden');
+    }
+
+    // Paths come from the uploader, so nothing may climb out of the download folder
+    sanitizeBundlePath(path) {
+        const parts = String(path || '').split(/[\\/]+/).filter(part => part && part !== '.' && part !== '..');
+        return parts.join('/') || 'file';
+    }
+
+    async downloadBundleEntry(position) {
+        const bundle = this.openedBundle;
+        const entry = bundle && bundle.entries[position];
+        if (!entry) return;
+
+        const name = entry.path.split('/').pop();
+        try {
+            if (entry.chunked || entry.sha256) {
+                await this.saveStream(await this.openBundleEntryStream(entry, bundle), { name, type: entry.type, size: entry.size });
+            } else {
+                this.triggerDownload(await this.client.getStorageAdapter(bundle.fileData.storage).getDownloadUrl(entry), name);
+            }
+        } catch (error) {
+            console.error('Bundle entry download error:', error);
+            this.showToast(this.t(error.name === 'IntegrityError' ? 'download.integrity' : 'bundle.entryFailed', { name }), 'error');
+        }
+    }
+
+    async downloadBundleZip() {
+        const bundle = this.openedBundle;
+        if (!bundle) return;
+
+        try {
+            const stream = ClypseZip.createStream(bundle.entries.map(entry => ({
+                name: entry.path,
+                size: entry.size,
+                modified: bundle.fileData.uploaded,
+                open: () => this.openBundleEntryStream(entry, bundle)
+            })));
+
+            this.showToast(this.t('download.started', { name: `${bundle.name}.zip` }), 'success');
+            await this.saveStream(stream, {
+                name: `${this.sanitizeBundlePath(bundle.name).replace(/\//g, '_')}.zip`,
+                type: 'application/zip',
+                size: bundle.fileData.size
+            });
+        } catch (error) {
+            console.error('ZIP download error:', error);
+            this.showToast(error.name === 'IntegrityError' ? this.t('bundle.zipIntegrity') : this.t('bundle.zipFailed', { reason: error.message }), 'error');
+        }
+    }
+
+    // Each entry is checked on its own, so a bad file fails the ZIP rather than ending up in it
+    async openBundleEntryStream(entry, bundle) {
+        const stream = await this.client.openStream(entry, {
+            cryptoKey: bundle.cryptoKey,
+            aadPrefix: `entry:${entry.index}/`,
+            storage: bundle.fileData.storage
+        });
+
+        return entry.sha256 ? stream.pipeThrough(ClypseHash.createVerifier(entry.sha256, `"${entry.path}"`)) : stream;
+    }
+
+    closeBundle() {
+        const bundle = this.openedBundle;
+        this.openedBundle = null;
+        document.getElementById('bundleModal').classList.add('hidden');
+        document.getElementById('bundleList').innerHTML = '';
+
+        // A bundle on its last allowed download goes away once the recipient is done with it
+        if (bundle && bundle.last) {
+            this.purgeFile(bundle.fileData);
+        }
+    }
+
+    // With a digest the stream errors at its end on a mismatch, which aborts the save
+    // Saves a download as it arrives: through the save picker where there is one, else
+    // through the service worker. Only without either is the file gathered in memory.
+    async saveStream(stream, { name, type, sha256, size = 0 }) {
+        const verifier = sha256 ? ClypseHash.createVerifier(sha256, `"${name}"`) : null;
+        if (verifier) {
+            stream = stream.pipeThrough(verifier);
+        }
+
+        if (window.showSaveFilePicker) {
+            try {
+                const handle = await window.showSaveFilePicker({ suggestedName: name });
+                await stream.pipeTo(await handle.createWritable());
+                return;
+            } catch (error) {
+                if (error.name === 'AbortError') return;
+                // The picker needs a recent user gesture; fall back to a blob download
+                if (error.name !== 'SecurityError' && error.name !== 'NotAllowedError') throw error;
+            }
+        }
+
+        try {
+            if (await this.streamThroughWorker(stream, name, type)) return;
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            throw error;
+        }
+
+        // Some browsers keep a blob this size in memory, which a tab may not have to spare
+        if (size > 512 * 1024 * 1024) {
+            this.showToast(this.t('download.inMemory', { name }), 'warning');
+        }
+        let blob;
+        try {
+            blob = await new Response(stream).blob();
+        } catch (error) {
+            // Reading a body can report a failed stream as a generic network error
+            throw (verifier && verifier.failure) || error;
+        }
+        const url = URL.createObjectURL(type ? new Blob([blob], { type }) : blob);
+        this.triggerDownload(url, name);
+    }
+
+    // The service worker answers a one-off downloads/ URL with what this page posts to it,
+    // a chunk for every pull, so the browser saves the file as it arrives. Resolves false
+    // when no service worker controls the page or it does not take the download.
+    async streamThroughWorker(stream, name, type) {
+        const worker = navigator.serviceWorker && navigator.serviceWorker.controller;
+        if (!worker) return false;
+
+        const id = this.generateId();
+        const channel = new MessageChannel();
+        const port = channel.port1;
+
+        // A worker from before streamed downloads never answers
+        const ready = await new Promise((resolve) => {
+            const timer = setTimeout(() => resolve(false), 3000);
+            port.onmessage = ({ data }) => {
+                clearTimeout(timer);
+                resolve(data.type === 'ready');
+            };
+            worker.postMessage({ type: 'download', id, name, contentType: type }, [channel.port2]);
+        });
+        if (!ready) {
+            port.close();
+            return false;
+        }
+
+        const reader = stream.getReader();
+        const frame = document.createElement('iframe');
+        frame.hidden = true;
+
+        try {
+            await new Promise((resolve, reject) => {
+                port.onmessage = async ({ data }) => {
+                    if (data.type === 'cancel') {
+                        reader.cancel().catch(() => {});
+                        reject(new DOMException('Download cancelled', 'AbortError'));
+                        return;
+                    }
+
+                    try {
+                        const { done, value } = await reader.read();
+                        port.postMessage(done ? { type: 'done' } : { type: 'chunk', chunk: value });
+                        if (done) resolve();
+                    } catch (error) {
+                        port.postMessage({ type: 'error', message: error.message });
+                        reject(error);
+                    }
+                };
+
+                frame.src = new URL(`downloads/${id}/${encodeURIComponent(name)}`, worker.scriptURL).href;
+                document.body.appendChild(frame);
+            });
+        } finally {
+            port.close();
+            // The browser's download keeps going once the frame has handed it over
+            setTimeout(() => frame.remove(), 1000);
+        }
+        return true;
+    }
+
+    triggerDownload(url, name) {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = name;
+        link.target = '_blank';
+        link.style.display = 'none';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        if (url.startsWith('blob:')) {
+            setTimeout(() => URL.revokeObjectURL(url), 60000);
+        }
+    }
+
+    // OWNER METHODS
+
+    // The owner secret doubles as the AES key that seals the synced file list
+    getOwnerKey() {
+        if (!this.ownerKey) {
+            this.ownerKey = ClypseCrypto.importKey(this.owner.secret);
+        }
+        return this.ownerKey;
+    }
+
+    watchOwnedFiles() {
+        if (!this.database) return;
+
+        if (this.ownedFilesRef) {
+            this.ownedFilesRef.off('value', this.ownedFilesListener);
+        }
+
+        const owner = this.owner;
+        this.ownedFilesRef = this.database.ref(`owners/${owner.id}/files`);
+        this.ownedFilesListener = this.ownedFilesRef.on('value', async (snapshot) => {
+            const files = await this.openOwnedFiles(snapshot.val() || {});
+            if (owner !== this.owner) return;
+
+            this.ownedFiles = files;
+            this.loadUserFiles();
+        }, (error) => {
+            console.warn('Synced file list not available:', error.message);
+        });
+    }
+
+    async registerOwnerDevice() {
+        try {
+            await this.client.registerOwnerDevice(this.owner);
+        } catch (error) {
+            console.warn('This device could not join its synced file list:', error.message);
+        }
+    }
+
+    async openOwnedFiles(entries) {
+        const key = await this.getOwnerKey();
+        const files = {};
+
+        for (const [code, entry] of Object.entries(entries)) {
+            try {
+                const details = await ClypseCrypto.decryptJson(key, entry.payload);
+                files[code] = { ...details, code, uploaded: entry.uploaded, expires: entry.expires };
+            } catch (error) {
+                console.warn('Could not open file list entry:', code);
+            }
+        }
+        return files;
+    }
+
+    async indexOwnedFile(code, file) {
+        if (!this.database) return;
+
+        try {
+            await this.client.indexOwnedFile(this.owner, code, file);
+        } catch (error) {
+            console.error('Failed to add file to the synced list:', error);
+        }
+    }
+
+    // Keeps this device's copy and the synced list in step after a change
+    async updateOwnedFile(code, changes) {
+        const stored = JSON.parse(localStorage.getItem(`clypse_file_${code}`) || 'null');
+        if (stored) {
+            localStorage.setItem(`clypse_file_${code}`, JSON.stringify({ ...stored, ...changes }));
+        }
+
+        const file = stored || this.ownedFiles[code];
+        if (file) {
+            await this.indexOwnedFile(code, { ...file, ...changes });
+        }
+        this.loadUserFiles();
+    }
+
+    // Applies change(current) to files/{code} if the file still exists and belongs to this owner
+    async changeOwnedRecord(code, change) {
+        let message = this.t('owned.missing');
+
+        const result = await this.database.ref(`files/${code}`).transaction((current) => {
+            if (current === null) {
+                return null;
+            }
+            if (current.owner && current.owner !== this.owner.id) {
+                message = this.t('owned.notOwner');
+                return;
+            }
+            return change(current);
+        }, undefined, false);
+
+        if (!result.committed || !result.snapshot.val()) {
+            throw new Error(message);
+        }
+        return result.snapshot.val();
+    }
+
+    findUserFile(code) {
+        return this.getUserFiles().find(file => file.code === code) || null;
+    }
+
+    async revokeFile(code) {
+        const file = this.findUserFile(code);
+        if (!file) return;
+
+        const value = await this.promptInput({
+            title: this.t('owned.revokeTitle'),
+            label: this.t('owned.revokeLabel', { name: file.name, code })
+        });
+        if (!value || ClypseCodes.normalize(value) !== code) return;
+
+        try {
+            const fileData = await this.client.getFile(code);
+            if (fileData && fileData.owner && fileData.owner !== this.owner.id) {
+                throw new Error(this.t('owned.notOwnerRevoke'));
+            }
+
+            if (fileData) {
+                await this.purgeFile({ ...fileData, code });
+            } else {
+                localStorage.removeItem(`clypse_file_${code}`);
+            }
+            // Also covers entries whose file is already gone
+            await this.database.ref(`owners/${this.owner.id}/files/${code}`).remove();
+
+            this.loadUserFiles();
+            this.showToast(this.t('owned.revoked', { code }), 'success');
+        } catch (error) {
+            console.error('Revoke error:', error);
+            this.showToast(this.t('owned.revokeFailed', { reason: error.message }), 'error');
+        }
+    }
+
+    async extendFile(code) {
+        const file = this.findUserFile(code);
+        if (!file) return;
+
+        const value = await this.promptInput({
+            title: this.t('owned.extendTitle'),
+            label: this.t('owned.extendLabel', { name: file.name, count: this.config.maxExpiryDays }),
+            type: 'number',
+            value: String(this.config.cleanupDays)
+        });
+        if (value === null) return;
+
+        const days = Number(value);
+        if (!Number.isFinite(days) || days <= 0) {
+            this.showToast(this.t('owned.extendInvalid'), 'error');
+            return;
+        }
+
+        const day = 24 * 60 * 60 * 1000;
+        try {
+            const data = await this.changeOwnedRecord(code, (current) => {
+                const now = Date.now();
+                const expires = Math.min(Math.max(current.expires || now, now) + days * day, now + this.config.maxExpiryDays * day);
+                return { ...current, expires };
+            });
+
+            await this.updateOwnedFile(code, { expires: data.expires });
+            this.showToast(this.t('owned.extended', { name: file.name, date: this.i18n.formatDate(data.expires) }), 'success');
+        } catch (error) {
+            console.error('Extend error:', error);
+            this.showToast(this.t('owned.extendFailed', { reason: error.message }), 'error');
+        }
+    }
+
+    async renameFile(code) {
+        const file = this.findUserFile(code);
+        if (!file) return;
+
+        const value = await this.promptInput({
+            title: this.t('owned.renameTitle'),
+            label: this.t('owned.renameLabel'),
+            value: file.name
+        });
+        const name = value && value.trim();
+        if (!name || name === file.name) return;
+
+        try {
+            // Encrypted files keep their name inside the sealed meta
+            const changes = file.fileKey
+                ? { meta: await ClypseCrypto.encryptJson(await ClypseCrypto.importKey(file.fileKey), { name, type: file.type, sha256: file.sha256 }) }
+                : { name };
+            await this.changeOwnedRecord(code, current => ({ ...current, ...changes }));
+
+            await this.updateOwnedFile(code, { name });
+            this.showToast(this.t('owned.renamed', { name }), 'success');
+        } catch (error) {
+            console.error('Rename error:', error);
+            this.showToast(this.t('owned.renameFailed', { reason: error.message }), 'error');
+        }
+    }
+
+    // The pairing code is also the passphrase, so the owner secret is never stored readable
+    async createPairingCode() {
+        if (!this.database) {
+            this.showToast(this.t('app.firebaseUnavailable'), 'error');
+            return;
+        }
+
+        try {
+            await this.authReady;
+            const expires = Date.now() + this.config.pairingExpiry;
+            const code = await this.client.reserveCode('pairings', { status: 'reserved', uid: this.deviceId, expires });
+            const salt = ClypseCrypto.randomSalt();
+            const iterations = ClypseCrypto.PBKDF2_ITERATIONS;
+            const key = await ClypseCrypto.deriveKey(code, salt, iterations);
+
+            // The plain owner id is what the rules check a new device's registration against
+            await this.database.ref(`pairings/${code}`).set({
+                uid: this.deviceId,
+                owner: this.owner.id,
+                salt,
+                iterations,
+                expires,
+                payload: await ClypseCrypto.encryptJson(key, this.owner)
+            });
+
+            document.getElementById('pairingCode').textContent = code;
+            document.getElementById('pairingHint').textContent =
+                this.t('pairing.hint', { count: Math.round(this.config.pairingExpiry / 60000) });
+            this.renderQr('pairingQr', this.buildPairingUrl(code));
+            document.getElementById('pairingModal').classList.remove('hidden');
+        } catch (error) {
+            console.error('Pairing error:', error);
+            this.showToast(this.t('pairing.createFailed', { reason: error.message }), 'error');
+        }
+    }
+
+    closePairingModal() {
+        document.getElementById('pairingModal').classList.add('hidden');
+    }
+
+    async linkDevice(code) {
+        if (!code) {
+            const value = await this.promptInput({
+                title: this.t('pairing.linkTitle'),
+                label: this.t('pairing.linkLabel'),
+                placeholder: 'AB12'
+            });
+            if (!value) return;
+            code = ClypseCodes.normalize(value);
+        }
+
+        if (!this.database) {
+            this.showToast(this.t('app.firebaseUnavailable'), 'error');
+            return;
+        }
+
+        try {
+            if (!(await this.lookupCode('pairings', code))) return;
+
+            const owner = await this.client.openPairing(code);
+            if (!owner) {
+                this.showToast(this.t('pairing.invalid'), 'error');
+                return;
+            }
+
+            if (owner.id === this.owner.id) {
+                await this.database.ref(`pairings/${code}`).remove();
+                this.showToast(this.t('pairing.alreadyLinked'), 'info');
+                return;
+            }
+
+            await this.client.completePairing(code, owner);
+            await this.switchOwner(owner);
+            this.showToast(this.t('pairing.linked'), 'success');
+        } catch (error) {
+            console.error('Link device error:', error);
+            this.showToast(this.t('pairing.linkFailed'), 'error');
+        }
+    }
+
+    // Everything this device already lists moves over to the linked owner
+    async switchOwner(owner) {
+        const previous = this.owner;
+        const files = this.getUserFiles();
+
+        for (const file of files) {
+            try {
+                await this.database.ref(`files/${file.code}`).transaction((current) => {
+                    if (current === null) {
+                        return null;
+                    }
+                    if (current.owner !== previous.id) {
+                        return;
+                    }
+                    return { ...current, owner: owner.id };
+                }, undefined, false);
+            } catch (error) {
+                console.warn('File not moved to the linked owner:', file.code, error.message);
+            }
+        }
+
+        this.owner = owner;
+        this.ownerKey = null;
+        this.ownedFiles = {};
+        localStorage.setItem('clypse_owner', JSON.stringify(owner));
+        this.watchOwnedFiles();
+
+        for (const file of files) {
+            await this.indexOwnedFile(file.code, file);
+        }
+        this.database.ref(`owners/${previous.id}`).remove().catch((error) => {
+            console.error('Failed to remove the old file list:', error);
+        });
+    }
+
+    // CLIPBOARD SYNC METHODS
+
+    async createRoom() {
+        if (!this.database) {
+            this.showToast(this.t('app.firebaseUnavailable'), 'error');
+            return;
+        }
+
+        const room = {
+            created: Date.now(),
+            settings: {
+                creator: null,
+                anyoneCanDelete: document.getElementById('roomAnyoneCanDelete').checked
+            }
+        };
+
+        // Asked before the code is reserved, so cancelling leaves nothing behind
+        let key = null;
+        if (document.getElementById('encryptRoom').checked) {
+            const passphrase = await this.promptInput({
+                title: this.t('rooms.protectTitle'),
+                label: this.t('rooms.protectLabel'),
+                type: 'password'
+            });
+            if (!passphrase) return;
+
+            // The check value lets joiners verify a passphrase before reading messages
+            const salt = ClypseCrypto.randomSalt();
+            const iterations = ClypseCrypto.PBKDF2_ITERATIONS;
+            key = await ClypseCrypto.deriveKey(passphrase, salt, iterations);
+            room.encryption = {
+                salt: salt,
+                iterations: iterations,
+                check: await ClypseCrypto.encryptJson(key, 'clypse')
+            };
+        }
+
+        await this.authReady;
+        room.settings.creator = this.deviceId;
+        let code;
+        try {
+            code = await this.client.reserveCode('rooms', room);
+        } catch (error) {
+            console.error('Create room error:', error);
+            this.showToast(this.t('rooms.createFailed'), 'error');
+            return;
+        }
+        console.log('Creating room:', code);
+
+        if (key) {
+            this.roomKeys[code] = key;
+        }
+
+        document.getElementById('roomCode').value = code;
+        await this.joinRoom();
+    }
+
+    async joinRoom() {
+        if (!this.database) {
+            this.showToast(this.t('app.firebaseUnavailable'), 'error');
+            return;
+        }
+
+        const code = ClypseCodes.normalize(document.getElementById('roomCode').value.trim());
+
+        if (!ClypseCodes.isValid(code)) {
+            this.showToast(this.t('rooms.invalidCode'), 'error');
+            return;
+        }
+
+        console.log('Joining room:', code);
+
+        // Leave current room first
+        if (this.currentRoom) {
+            this.leaveRoom();
+        }
+
+        try {
+            const cached = await this.loadRoomHistory(code);
+            if (!cached && !this.isOnline()) {
+                this.showToast(this.t('rooms.offlineNoHistory'), 'error');
+                return;
+            }
+
+            // Rooms are made with Create Room, so a code that does not exist counts as a miss
+            if (this.isOnline()) {
+                if (!(await this.lookupCode('rooms', code))) return;
+                if (!(await this.client.roomExists(code))) {
+                    this.showToast(this.t('rooms.notFound'), 'error');
+                    return;
+                }
+            }
+
+            const unlocked = await this.unlockRoom(code, cached);
+            if (!unlocked) return;
+
+            this.currentRoom = code;
+            this.roomRef = this.database.ref(`rooms/${code}`);
+            this.roomKey = unlocked.key;
+            this.roomEncryption = unlocked.encryption;
+
+            // Listen for messages; the cached history shows until the database answers
+            this.roomMessages = {};
+            this.roomRecords = {};
+            this.renderMessages();
+            const subscribed = this.client.joinRoom(code, { key: unlocked.key });
+            await this.showCachedHistory(code, cached);
+            subscribed.then(keys => this.dropDeletedHistory(keys)).catch((error) => {
+                console.error('Failed to load messages:', error);
+            });
+            this.settingsListener = this.roomRef.child('settings').on('value', (snapshot) => {
+                this.roomSettings = snapshot.val();
+                document.getElementById('clearRoomBtn').classList.toggle('hidden', !this.canModerateRoom());
+                this.renderMessages();
+            });
+            this.joinPresence();
+
+            this.showRoomStatus(code, Boolean(this.roomKey));
+            this.enableMessageInput();
+            this.showToast(this.t('rooms.joined', { code }), 'success');
+            localStorage.setItem('clypse_last_room', code);
+
+            // Text from the OS share sheet waits for a room to go to
+            if (this.sharedText) {
+                document.getElementById('messageInput').value = this.sharedText;
+                this.sharedText = null;
+                await this.sendMessage();
+            }
+
+        } catch (error) {
+            console.error('Join room error:', error);
+            this.showToast(this.t('rooms.joinFailed'), 'error');
+        }
+    }
+
+    async unlockRoom(code, cached) {
+        // Offline, the passphrase is checked against the copy kept with the cached history
+        const encryption = cached && !this.isOnline()
+            ? cached.encryption
+            : await this.client.getRoomEncryption(code);
+
+        if (!encryption) return { key: null, encryption: null };
+        if (this.roomKeys[code]) return { key: this.roomKeys[code], encryption };
+
+        const passphrase = await this.promptInput({
+            title: this.t('rooms.unlockTitle'),
+            label: this.t('rooms.unlockLabel', { code }),
+            type: 'password'
+        });
+        if (!passphrase) return null;
+
+        const key = await this.client.unlockRoom(encryption, passphrase);
+        if (!key) {
+            this.showToast(this.t('rooms.wrongPassphrase'), 'error');
+            return null;
+        }
+
+        this.roomKeys[code] = key;
+        return { key, encryption };
+    }
+
+    // Cached messages that were deleted while this device was away
+    dropDeletedHistory(keys) {
+        const live = new Set(keys);
+        Object.keys(this.roomMessages)
+            .filter(key => this.roomMessages[key].cached && !live.has(key))
+            .forEach(key => this.removeMessageFromView(key));
+    }
+
+    handleRoomMessage(key, message, record) {
+        this.roomMessages[key] = { ...message, key };
+        this.roomRecords[key] = record;
+        this.renderMessage(key);
+        this.receiveLiveSync(this.roomMessages);
+        this.scheduleHistorySave();
+    }
+
+    leaveRoom() {
+        this.setLiveSync(false);
+        this.leavePresence();
+        this.client.leaveRoom();
+        if (this.settingsListener && this.roomRef) {
+            this.roomRef.child('settings').off('value', this.settingsListener);
+            this.settingsListener = null;
+        }
+
+        this.cancelEdit();
+        clearTimeout(this.expiryTimer);
+        clearTimeout(this.historyTimer);
+        if (this.currentRoom) {
+            this.saveRoomHistory(this.currentRoom);
+        }
+        this.roomSettings = null;
+        this.roomEncryption = null;
+        this.roomRecords = {};
+        this.roomRef = null;
+        this.roomKey = null;
+        this.currentRoom = null;
+        this.highlightCache.clear();
+        this.attachmentUrls.forEach((url) => {
+            url.then(value => value.startsWith('blob:') && URL.revokeObjectURL(value)).catch(() => {});
+        });
+        this.attachmentUrls.clear();
+        this.hideRoomStatus();
+        this.disableMessageInput();
+        this.showToast(this.t('rooms.left'), 'info');
+        this.roomMessages = {};
+        this.renderMessages();
+    }
+
+    async sendMessage() {
+        if (!this.currentRoom || !this.roomRef) {
+            this.showToast(this.t('rooms.joinFirst'), 'error');
+            return;
+        }
+
+        const messageInput = document.getElementById('messageInput');
+        const text = messageInput.value.trim();
+
+        if (!text) {
+            this.showToast(this.t('messages.empty'), 'error');
+            return;
+        }
+
+        const language = document.getElementById('messageLanguage').value;
+        if (this.editingKey) {
+            await this.saveEdit(this.editingKey, text, language);
+            return;
+        }
+
+        const message = {
+            id: this.generateId(),
+            type: language ? 'code' : 'text',
+            text: text,
+            device: this.getDeviceType(),
+            timestamp: Date.now()
+        };
+        if (language) {
+            message.language = language;
+        }
+
+        try {
+            const queued = await this.postMessage(message);
+            messageInput.value = '';
+            this.setTyping(false);
+            if (queued) {
+                this.showToast(this.t('messages.queued'), 'info');
+            } else {
+                this.showToast(this.t('messages.sent'), 'success');
+            }
+        } catch (error) {
+            console.error('Send message error:', error);
+            this.showToast(this.t('messages.sendFailed'), 'error');
+        }
+    }
+
+    // Resolves true when the message went to the outbox instead of the room
+    async postMessage(message) {
+        const expiresIn = Number(document.getElementById('messageExpiry').value);
+        const { key, stored, record } = await this.client.prepareMessage(message, { expiresIn });
+        if (!this.isOnline()) {
+            await this.queueOutbox({ kind: 'message', room: this.currentRoom, key, record });
+            this.roomMessages[key] = { ...stored, pending: true };
+            this.renderMessage(key);
+            return true;
+        }
+
+        await this.client.publish(key, record);
+        return false;
+    }
+
+    async sendAttachments(files) {
+        for (const file of files) {
+            await this.sendAttachment(file);
+        }
+    }
+
+    // Small attachments travel inside the message; larger ones go through the file upload path
+    async sendAttachment(file) {
+        if (!this.currentRoom || !this.roomRef) {
+            this.showToast(this.t('rooms.joinFirst'), 'error');
+            return;
+        }
+
+        const message = {
+            id: this.generateId(),
+            type: file.type.startsWith('image/') ? 'image' : 'file',
+            name: file.name || 'attachment',
+            mime: file.type || 'application/octet-stream',
+            size: file.size,
+            device: this.getDeviceType(),
+            timestamp: Date.now()
+        };
+
+        try {
+            if (file.size <= this.config.inlineAttachmentSize) {
+                message.data = ClypseCrypto.toBase64Url(new Uint8Array(await file.arrayBuffer()));
+            } else {
+                if (!this.config.features.files) {
+                    throw new Error(this.t('attachments.needsFiles'));
+                }
+                if (file.size > this.config.storage.maxFileSize) {
+                    throw new Error(this.t('attachments.tooLarge', { name: message.name, size: this.formatFileSize(this.config.storage.maxFileSize) }));
+                }
+                if (!this.isOnline()) {
+                    throw new Error(this.t('attachments.needsConnection'));
+                }
+
+                this.showToast(this.t('attachments.uploading', { name: message.name }), 'info');
+                const result = await this.uploadFile(file, this.enqueueUpload(file, this.getAttachmentUploadOptions()));
+                // uploadFile has already reported why it stopped
+                if (!result) return;
+
+                message.file = { code: result.code };
+                if (result.fileKey) message.file.key = result.fileKey;
+                message.timestamp = Date.now();
+            }
+
+            if (await this.postMessage(message)) {
+                this.showToast(this.t('attachments.queued', { name: message.name }), 'info');
+            } else {
+                this.showToast(this.t('attachments.sent', { name: message.name }), 'success');
+            }
+        } catch (error) {
+            console.error('Send attachment error:', error);
+            this.showToast(this.t('attachments.failed', { error: error.message }), 'error');
+        }
+    }
+
+    // Attachments live as long as the messages that point at them; in encrypted
+    // rooms the file key only ever appears inside the encrypted payload
+    getAttachmentUploadOptions() {
+        const day = 24 * 60 * 60 * 1000;
+        return {
+            encrypt: Boolean(this.roomKey),
+            expiresIn: Math.min(this.config.retention.messageMaxAgeDays, this.config.maxExpiryDays) * day,
+            maxDownloads: null,
+            burnAfterReading: false,
+            password: null,
+            quiet: true,
+            room: this.currentRoom // members of the room may read the file without looking up its code
+        };
+    }
+
+    getAttachmentUrl(message) {
+        if (!this.attachmentUrls.has(message.id)) {
+            const url = this.resolveAttachmentUrl(message);
+            url.catch(() => this.attachmentUrls.delete(message.id));
+            this.attachmentUrls.set(message.id, url);
+        }
+        return this.attachmentUrls.get(message.id);
+    }
+
+    async resolveAttachmentUrl(message) {
+        const type = message.type === 'image' ? message.mime : 'application/octet-stream';
+
+        if (message.data) {
+            return URL.createObjectURL(new Blob([ClypseCrypto.fromBase64Url(message.data)], { type }));
+        }
+
+        const fileData = await this.client.getFile(message.file.code);
+        if (!fileData) {
+            throw new Error(this.t('attachments.unavailable'));
+        }
+        const cryptoKey = message.file.key ? await ClypseCrypto.importKey(message.file.key) : null;
+        return this.getPreviewUrl(fileData, type, cryptoKey);
+    }
+
+    async downloadAttachment(key) {
+        const message = this.roomMessages[key];
+        if (!message) return;
+
+        // Uploaded attachments open in the normal preview
+        if (message.file) {
+            if (message.file.key) this.fileKeys[message.file.code] = message.file.key;
+            await this.downloadFile(message.file.code);
+            return;
+        }
+
+        const blob = new Blob([ClypseCrypto.fromBase64Url(message.data)], { type: 'application/octet-stream' });
+        this.triggerDownload(URL.createObjectURL(blob), message.name);
+    }
+
+    async copyRoomMessage(key) {
+        const message = this.roomMessages[key];
+        if (!message || message.locked) return;
+
+        if (message.type === 'image') {
+            try {
+                // The promise is handed over directly so the copy stays inside the click gesture
+                const png = this.getAttachmentUrl(message)
+                    .then(url => fetch(url))
+                    .then(response => response.blob())
+                    .then(blob => this.toPngBlob(blob));
+                await navigator.clipboard.write([new ClipboardItem({ 'image/png': png })]);
+                this.showToast(this.t('messages.imageCopied'), 'success');
+            } catch (error) {
+                console.error('Image copy error:', error);
+                this.showToast(this.t('messages.imageCopyFailed'), 'error');
+            }
+            return;
+        }
+
+        if (message.type === 'file') {
+            if (message.data && ClypsePreview.kindOf(message.name, message.mime) === 'text') {
+                this.copyMessageText(new TextDecoder().decode(ClypseCrypto.fromBase64Url(message.data)));
+            } else if (message.file) {
+                this.fallbackCopy(this.buildShareUrl(message.file.code, message.file.key));
+                this.showToast(this.t('messages.linkCopied'), 'success');
+            } else {
+                this.showToast(this.t('messages.useDownload'), 'info');
+            }
+            return;
+        }
+
+        this.copyMessageText(message.text);
+    }
+
+    // Image clipboard writes are only guaranteed for PNG
+    async toPngBlob(blob) {
+        if (blob.type === 'image/png') return blob;
+
+        const bitmap = await createImageBitmap(blob);
+        const canvas = document.createElement('canvas');
+        canvas.width = bitmap.width;
+        canvas.height = bitmap.height;
+        canvas.getContext('2d').drawImage(bitmap, 0, 0);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(png => png ? resolve(png) : reject(new Error('Image conversion failed')), 'image/png');
+        });
+    }
+
+    // MESSAGE ACTIONS
+
+    // Rooms created before settings existed have no creator, so anyone may moderate them
+    canModerateRoom() {
+        const settings = this.roomSettings;
+        return !settings || !settings.creator || settings.anyoneCanDelete === true || settings.creator === this.deviceId;
+    }
+
+    canDeleteMessage(message) {
+        return message.sender === this.deviceId || this.canModerateRoom();
+    }
+
+    editMessage(key) {
+        const message = this.roomMessages[key];
+        if (!message || message.sender !== this.deviceId) return;
+
+        this.editingKey = key;
+        const messageInput = document.getElementById('messageInput');
+        messageInput.value = message.text;
+        document.getElementById('messageLanguage').value = message.language || '';
+        document.getElementById('sendMessageBtn').textContent = this.t('messages.saveEdit');
+        messageInput.focus();
+        this.showToast(this.t('messages.editing'), 'info');
+    }
+
+    cancelEdit() {
+        if (!this.editingKey) return;
+
+        this.editingKey = null;
+        document.getElementById('messageInput').value = '';
+        document.getElementById('messageLanguage').value = '';
+        document.getElementById('sendMessageBtn').textContent = this.t('messages.send');
+    }
+
+    async saveEdit(key, text, language) {
+        const content = { type: language ? 'code' : 'text', text: text, language: language || null };
+        const updates = { edited: Date.now() };
+
+        if (this.roomKey) {
+            if (!language) delete content.language;
+            updates.payload = await ClypseCrypto.encryptJson(this.roomKey, content);
+        } else {
+            Object.assign(updates, content);
+        }
+
+        try {
+            await this.roomRef.child(`messages/${key}`).update(updates);
+            this.cancelEdit();
+            this.setTyping(false);
+            this.showToast(this.t('messages.updated'), 'success');
+        } catch (error) {
+            console.error('Edit message error:', error);
+            this.showToast(this.t('messages.editFailed'), 'error');
+        }
+    }
+
+    async deleteMessage(key) {
+        const message = this.roomMessages[key];
+        if (!message) return;
+
+        if (!this.canDeleteMessage(message)) {
+            this.showToast(this.t('messages.notSender'), 'error');
+            return;
+        }
+
+        try {
+            await this.roomRef.child(`messages/${key}`).remove();
+            if (this.editingKey === key) this.cancelEdit();
+
+            // An attachment uploaded from this device goes with its message
+            if (message.file && message.sender === this.deviceId) {
+                const fileData = await this.client.getFile(message.file.code);
+                if (fileData) this.purgeFile(fileData);
+            }
+            this.showToast(this.t('messages.deleted'), 'success');
+        } catch (error) {
+            console.error('Delete message error:', error);
+            this.showToast(this.t('messages.deleteFailed'), 'error');
+        }
+    }
+
+    async togglePin(key) {
+        const message = this.roomMessages[key];
+        if (!message) return;
+
+        try {
+            await this.roomRef.child(`messages/${key}/pinned`).set(message.pinned ? null : true);
+        } catch (error) {
+            console.error('Pin message error:', error);
+            this.showToast(this.t('messages.pinFailed'), 'error');
+        }
+    }
+
+    async setMessageExpiry(key) {
+        const message = this.roomMessages[key];
+        if (!message || !this.canDeleteMessage(message)) return;
+
+        const current = message.expires ? Math.max(1, Math.ceil((message.expires - Date.now()) / 60000)) : 0;
+        const value = await this.promptInput({
+            title: this.t('messages.expiryTitle'),
+            label: this.t('messages.expiryLabel'),
+            type: 'number',
+            value: String(current)
+        });
+        if (value === null) return;
+
+        const minutes = Number(value);
+        if (!Number.isFinite(minutes) || minutes < 0) {
+            this.showToast(this.t('messages.expiryInvalid'), 'error');
+            return;
+        }
+
+        try {
+            await this.roomRef.child(`messages/${key}/expires`).set(minutes > 0 ? Date.now() + minutes * 60000 : null);
+            this.showToast(minutes > 0 ? this.t('messages.expirySet', { count: minutes }) : this.t('messages.expiryRemoved'), 'success');
+        } catch (error) {
+            console.error('Message expiry error:', error);
+            this.showToast(this.t('messages.expiryFailed'), 'error');
+        }
+    }
+
+    async clearRoom() {
+        if (!this.roomRef || !this.canModerateRoom()) {
+            this.showToast(this.t('rooms.notCreator'), 'error');
+            return;
+        }
+
+        const code = this.currentRoom;
+        const value = await this.promptInput({
+            title: this.t('rooms.clearTitle'),
+            label: this.t('rooms.clearLabel', { code })
+        });
+        if (!value || ClypseCodes.normalize(value) !== code || code !== this.currentRoom) return;
+
+        try {
+            await this.roomRef.child('messages').remove();
+            this.cancelEdit();
+            this.showToast(this.t('rooms.cleared'), 'success');
+        } catch (error) {
+            console.error('Clear room error:', error);
+            this.showToast(this.t('rooms.clearFailed'), 'error');
+        }
+    }
+
+    // Whoever sees an expired message removes it; the retention sweep catches the rest
+    removeExpiredMessages(keys) {
+        if (!this.roomRef || keys.length === 0) return;
+
+        const removals = {};
+        keys.forEach((key) => {
+            removals[key] = null;
+        });
+        this.roomRef.child('messages').update(removals).catch((error) => {
+            console.warn('Expired messages not removed:', error.message);
+        });
+    }
+
+    scheduleMessageExpiry(messages) {
+        clearTimeout(this.expiryTimer);
+
+        const next = Math.min(...messages.filter(message => message.expires).map(message => message.expires));
+        if (Number.isFinite(next)) {
+            // setTimeout overflows above ~24.8 days
+            const delay = Math.min(Math.max(next - Date.now(), 0) + 100, 2147483647);
+            this.expiryTimer = setTimeout(() => this.renderMessages(), delay);
+        }
+    }
+
+    async copyMessage() {
+        const text = document.getElementById('messageInput').value.trim();
+        
+        if (!text) {
+            this.showToast(this.t('messages.nothingToCopy'), 'error');
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(text);
+            this.showToast(this.t('messages.copied'), 'success');
+        } catch (error) {
+            this.fallbackCopy(text);
+            this.showToast(this.t('messages.copied'), 'success');
+        }
+    }
+
+    // PRESENCE METHODS
+
+    joinPresence() {
+        const presenceRef = this.roomRef.child(`presence/${this.deviceId}`);
+        this.presenceRef = presenceRef;
+        this.isTyping = false;
+
+        // onDisconnect fires once, so it is registered again on every reconnect
+        this.connectedListener = this.database.ref('.info/connected').on('value', async (snapshot) => {
+            if (snapshot.val() !== true || this.presenceRef !== presenceRef) return;
+
+            try {
+                await presenceRef.onDisconnect().update({
+                    online: false,
+                    typing: false,
+                    lastSeen: firebase.database.ServerValue.TIMESTAMP
+                });
+                await presenceRef.set({
+                    device: this.getDeviceType(),
+                    online: true,
+                    typing: false,
+                    lastSeen: firebase.database.ServerValue.TIMESTAMP
+                });
+            } catch (error) {
+                console.error('Presence error:', error);
+            }
+        });
+
+        this.presenceListener = this.roomRef.child('presence').on('value', (snapshot) => {
+            this.renderPresence(snapshot.val() || {});
+        });
+    }
+
+    // Leaving on purpose removes the entry; a dropped connection leaves it offline with a last-seen time
+    leavePresence() {
+        if (this.connectedListener) {
+            this.database.ref('.info/connected').off('value', this.connectedListener);
+            this.connectedListener = null;
+        }
+
+        if (this.presenceListener && this.roomRef) {
+            this.roomRef.child('presence').off('value', this.presenceListener);
+            this.presenceListener = null;
+        }
+
+        clearTimeout(this.typingTimer);
+        this.isTyping = false;
+
+        if (this.presenceRef) {
+            const presenceRef = this.presenceRef;
+            this.presenceRef = null;
+            presenceRef.onDisconnect().cancel();
+            presenceRef.remove().catch((error) => {
+                console.error('Failed to remove presence:', error);
+            });
+        }
+
+        this.renderPresence({});
+    }
+
+    setTyping(typing) {
+        if (!this.presenceRef) return;
+
+        clearTimeout(this.typingTimer);
+        if (typing) {
+            this.typingTimer = setTimeout(() => this.setTyping(false), this.config.presence.typingTimeout);
+        }
+
+        if (typing === this.isTyping) return;
+        this.isTyping = typing;
+        this.presenceRef.update({ typing }).catch((error) => {
+            console.error('Failed to update typing state:', error);
+        });
+    }
+
+    renderPresence(presence) {
+        const cutoff = Date.now() - this.config.retention.presenceMaxAgeHours * 60 * 60 * 1000;
+        const devices = Object.entries(presence)
+            .filter(([, device]) => device && (device.online || device.lastSeen > cutoff))
+            .sort(([, a], [, b]) => (b.online - a.online) || (b.lastSeen - a.lastSeen));
+
+        document.getElementById('presenceList').innerHTML = devices.map(([id, device]) => {
+            let status = this.t(device.typing ? 'presence.typing' : 'presence.online');
+            if (!device.online) {
+                status = Date.now() - device.lastSeen < 60000
+                    ? this.t('presence.lastSeenJustNow')
+                    : this.t('presence.lastSeen', { time: this.formatTime(device.lastSeen) });
+            }
+            return `
+                <li class="presence-item ${device.online ? 'presence-item--online' : ''}">
+                    <span class="presence-dot"></span>
+                    <span class="presence-device">${this.escapeHtml(device.device || this.t('messages.unknownDevice'))}${id === this.deviceId ? ` ${this.t('presence.thisDevice')}` : ''}</span>
+                    <small>${status}</small>
+                </li>
+            `;
+        }).join('');
+
+        const typing = devices
+            .filter(([id, device]) => id !== this.deviceId && device.online && device.typing)
+            .map(([, device]) => device.device || this.t('presence.anotherDevice'));
+        document.getElementById('typingIndicator').textContent = typing.length > 0
+            ? this.t('presence.typingNames', { count: typing.length, names: typing.join(', ') })
+            : '';
+    }
+
+    // LIVE SYNC METHODS
+
+    setLiveSync(enabled) {
+        const sync = this.liveSync;
+        clearInterval(sync.timer);
+        sync.timer = null;
+        sync.enabled = enabled && Boolean(this.currentRoom);
+        sync.pendingWrite = null;
+        document.getElementById('liveSyncToggle').checked = sync.enabled;
+
+        if (!sync.enabled) return;
+
+        // Only messages from now on are mirrored, never the backlog
+        sync.since = Date.now();
+        sync.lastReceivedId = null;
+        if (sync.mode !== 'receive') {
+            sync.timer = setInterval(() => this.pollClipboard(), this.config.liveSync.pollInterval);
+        }
+        this.showToast(this.t('liveSync.on'), 'info');
+    }
+
+    setLiveSyncMode(mode) {
+        this.liveSync.mode = mode;
+        localStorage.setItem('clypse_live_sync_mode', mode);
+
+        // Restart so polling matches the new direction
+        if (this.liveSync.enabled) {
+            this.setLiveSync(true);
+        }
+    }
+
+    handleCopyEvent() {
+        if (!this.liveSync.enabled || this.liveSync.mode === 'receive') return;
+
+        // Selections inside inputs are not part of the document selection
+        const active = document.activeElement;
+        let text = String(document.getSelection() || '');
+        if (active && (active.tagName === 'TEXTAREA' || active.tagName === 'INPUT')) {
+            text = active.value.substring(active.selectionStart, active.selectionEnd) || text;
+        }
+
+        this.pushLiveSync(text);
+    }
+
+    async pollClipboard() {
+        if (!document.hasFocus() || !navigator.clipboard || !navigator.clipboard.readText) return;
+
+        try {
+            this.pushLiveSync(await navigator.clipboard.readText());
+        } catch (error) {
+            if (error.name !== 'NotAllowedError') return;
+
+            // Without read permission only copies made in this tab are sent
+            clearInterval(this.liveSync.timer);
+            this.liveSync.timer = null;
+            this.showToast(this.t('liveSync.denied'), 'warning');
+        }
+    }
+
+    async pushLiveSync(text) {
+        const sync = this.liveSync;
+        if (!sync.enabled || sync.mode === 'receive' || !text || !text.trim()) return;
+        if (text.length > this.config.liveSync.maxTextLength || this.isDuplicateClipboard(text)) return;
+
+        sync.lastContent = text;
+        try {
+            await this.postMessage({
+                id: this.generateId(),
+                type: 'text',
+                text: text,
+                device: this.getDeviceType(),
+                timestamp: Date.now()
+            });
+        } catch (error) {
+            console.error('Live sync send error:', error);
+        }
+    }
+
+    // Echoes of what was just received or sent, and copies of the newest message, are skipped
+    isDuplicateClipboard(text) {
+        if (text === this.liveSync.lastContent) return true;
+
+        const newest = Object.values(this.roomMessages || {})
+            .sort((a, b) => b.timestamp - a.timestamp)[0];
+        return Boolean(newest) && newest.text === text;
+    }
+
+    receiveLiveSync(messages) {
+        const sync = this.liveSync;
+        if (!sync.enabled || sync.mode === 'send') return;
+
+        const newest = Object.values(messages).sort((a, b) => b.timestamp - a.timestamp)[0];
+        if (!newest || newest.locked || newest.timestamp < sync.since || newest.id === sync.lastReceivedId) return;
+        if (newest.type && newest.type !== 'text' && newest.type !== 'code') return;
+
+        sync.lastReceivedId = newest.id;
+        if (newest.text === sync.lastContent) return;
+
+        sync.lastContent = newest.text;
+        this.writeLiveSync(newest.text);
+    }
+
+    async writeLiveSync(text) {
+        // Clipboard writes need focus; otherwise the text waits until the tab is focused again
+        if (!document.hasFocus() || !navigator.clipboard) {
+            this.liveSync.pendingWrite = text;
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(text);
+            this.liveSync.pendingWrite = null;
+        } catch (error) {
+            console.warn('Live sync write deferred:', error.message);
+            this.liveSync.pendingWrite = text;
+        }
+    }
+
+    flushLiveSync() {
+        if (this.liveSync.enabled && this.liveSync.pendingWrite !== null) {
+            this.writeLiveSync(this.liveSync.pendingWrite);
+        }
+    }
+
+    // OFFLINE METHODS
+
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !window.location.protocol.startsWith('http')) return;
+
+        navigator.serviceWorker.register('sw.js').catch((error) => {
+            console.warn('Service worker registration failed:', error);
+        });
+    }
+
+    // Until Firebase has connected once, the browser's own flag is all there is to go on
+    isOnline() {
+        return navigator.onLine && this.connection.firebase !== false;
+    }
+
+    watchConnection() {
+        window.addEventListener('online', () => {
+            this.updateConnectionStatus();
+            this.flushOutbox();
+        });
+        window.addEventListener('offline', () => this.updateConnectionStatus());
+        this.refreshOutbox();
+
+        if (!this.database) return;
+
+        this.database.ref('.info/connected').on('value', (snapshot) => {
+            if (snapshot.val() === true) {
+                this.connection.firebase = true;
+                this.flushOutbox();
+            } else if (this.connection.firebase) {
+                this.connection.firebase = false;
+            }
+            this.updateConnectionStatus();
+        });
+    }
+
+    async refreshOutbox() {
+        try {
+            this.connection.outbox = (await ClypseOffline.pending()).length;
+        } catch (error) {
+            console.warn('Outbox not available:', error.message);
+        }
+        this.updateConnectionStatus();
+    }
+
+    async queueOutbox(entry) {
+        await ClypseOffline.queue(entry);
+        await this.refreshOutbox();
+    }
+
+    async queueUploads(entries, options) {
+        const { password, ...rest } = options;
+        const queued = { ...rest, password: null };
+        // Only the salted hash waits on disk, never the password
+        if (password) {
+            queued.passwordHash = await this.client.hashUploadPassword(password);
+        }
+
+        try {
+            await this.queueOutbox({ kind: 'upload', entries, options: queued });
+            this.showToast(entries.length === 1
+                ? this.t('offline.uploadQueued', { name: entries[0].file.name })
+                : this.t('offline.uploadsQueued', { count: entries.length }), 'info');
+        } catch (error) {
+            console.error('Queue upload error:', error);
+            this.showToast(this.t('offline.cannotQueue'), 'error');
+        }
+    }
+
+    // Replays in the order things were sent and stops at the first failure, so nothing overtakes it
+    async flushOutbox() {
+        if (this.connection.flushing || !this.isOnline()) return;
+        this.connection.flushing = true;
+        this.updateConnectionStatus();
+
+        let sent = 0;
+        try {
+            for (const entry of await ClypseOffline.pending()) {
+                if (!this.isOnline()) break;
+                await this.replayOutboxEntry(entry);
+                await ClypseOffline.remove(entry.id);
+                sent++;
+            }
+        } catch (error) {
+            console.error('Outbox replay error:', error);
+        } finally {
+            this.connection.flushing = false;
+            await this.refreshOutbox();
+        }
+
+        if (sent > 0) {
+            this.showToast(this.t('offline.sent', { count: sent }), 'success');
+        }
+    }
+
+    async replayOutboxEntry(entry) {
+        if (entry.kind === 'message') {
+            await this.client.publish(entry.key, entry.record, entry.room);
+        } else if (entry.kind === 'upload') {
+            const job = this.enqueueEntries(entry.entries, entry.options);
+            // Not awaited: if the queue is already running this returns at once and the
+            // running loop picks the job up
+            this.processUploadQueue();
+
+            // Cancelled by the user counts as handled; a failed upload stays in the outbox
+            if (await job.done === 'failed') {
+                throw new Error('Queued upload did not complete');
+            }
+        }
+    }
+
+    updateConnectionStatus() {
+        const status = document.getElementById('connectionStatus');
+        const { outbox, flushing } = this.connection;
+        const queued = outbox > 0 ? ` · ${this.t('connection.queued', { count: outbox })}` : '';
+
+        let state = 'online';
+        let text = this.t('connection.online');
+        if (!this.isOnline()) {
+            state = 'offline';
+            text = `${this.t('connection.offline')}${queued}`;
+        } else if (flushing || outbox > 0) {
+            state = 'syncing';
+            text = `${this.t('connection.sending')}${queued}`;
+        }
+
+        status.setAttribute('data-state', state);
+        status.querySelector('.connection-text').textContent = text;
+    }
+
+    async loadRoomHistory(room) {
+        try {
+            return await ClypseOffline.loadRoom(room);
+        } catch (error) {
+            console.warn('Room history not available:', error.message);
+            return null;
+        }
+    }
+
+    // Cached messages and this room's queued sends, shown before the live listeners catch up
+    async showCachedHistory(room, cached) {
+        let queued = [];
+        try {
+            queued = (await ClypseOffline.pending()).filter(entry => entry.kind === 'message' && entry.room === room);
+        } catch (error) {
+            console.warn('Outbox not available:', error.message);
+        }
+
+        for (const [key, record] of Object.entries(cached ? cached.messages : {})) {
+            const message = await this.client.openMessage(key, record);
+            if (room !== this.currentRoom) return;
+            if (this.roomMessages[key]) continue;
+            this.roomRecords[key] = record;
+            this.roomMessages[key] = { ...message, key, cached: true };
+        }
+
+        for (const entry of queued) {
+            const message = await this.client.openMessage(entry.key, entry.record);
+            if (room !== this.currentRoom) return;
+            if (this.roomMessages[entry.key]) continue;
+            this.roomMessages[entry.key] = { ...message, key: entry.key, pending: true };
+        }
+
+        this.renderMessages();
+    }
 
-            const response = await fetch(this.config.telegraph.uploadUrl, {
-                method: 'POST',
-                body: formData
-            });
+    scheduleHistorySave() {
+        const room = this.currentRoom;
+        clearTimeout(this.historyTimer);
+        this.historyTimer = setTimeout(() => this.saveRoomHistory(room), this.config.offline.saveDelay);
+    }
 
-            if (!response.ok) {
-                throw new Error(`Upload failed: ${response.status}`);
-            }
+    saveRoomHistory(room) {
+        if (room !== this.currentRoom) return;
 
-            const result = await response.json();
+        const messages = {};
+        Object.keys(this.roomRecords)
+            .sort()
+            .slice(-this.config.offline.historySize)
+            .forEach((key) => {
+                messages[key] = this.roomRecords[key];
+            });
 
-            if (result && result[0] && result[0].src) {
-                const fileUrl = this.config.telegraph.baseUrl + result[0].src;
+        ClypseOffline.saveRoom(room, { encryption: this.roomEncryption, messages }).catch((error) => {
+            console.warn('Failed to cache room history:', error.message);
+        });
+    }
 
-                // Save file metadata to Firebase for cross-device access
-                const fileData = {
-                    code: code,
-                    name: file.name,
-                    size: file.size,
-                    type: file.type,
-                    url: fileUrl,
-                    uploaded: Date.now(),
-                    expires: Date.now() + (this.config.cleanupDays * 24 * 60 * 60 * 1000)
-                };
+    // SHARE TARGET METHODS
 
-                await this.saveFileToFirebase(code, fileData);
-                
-                // Also save locally
-                localStorage.setItem(`clypse_file_${code}`, JSON.stringify(fileData));
+    // Files go through the normal upload; text goes to the last room this device used
+    async receiveShare(id) {
+        // A reload should not pick the share up again
+        window.history.replaceState(null, '', window.location.pathname);
 
-                this.hideUploadProgress();
-                this.showUploadSuccess(code, fileUrl, file);
-                this.loadUserFiles();
+        let share = null;
+        try {
+            share = await ClypseOffline.takeShare(id);
+        } catch (error) {
+            console.error('Failed to read share:', error);
+        }
+        if (!share) {
+            this.showToast(this.t('share.unavailable'), 'error');
+            return;
+        }
 
-                return { code, url: fileUrl };
+        if (share.files.length > 0) {
+            if (this.config.features.files) {
+                this.switchTab('files');
+                await this.uploadFiles(share.files);
             } else {
-                throw new Error('Invalid response from Telegraph');
+                this.showToast(this.t('share.filesDisabled'), 'error');
             }
-        } catch (error) {
-            console.error('Upload error:', error);
-            this.hideUploadProgress();
-            this.showToast(`Upload failed: ${error.message}`, 'error');
+        }
+
+        // Apps often repeat the URL inside the text
+        const parts = [share.text];
+        if (share.url && !share.text.includes(share.url)) {
+            parts.push(share.url);
+        }
+        const text = parts.filter(Boolean).join('\n') || (share.files.length === 0 ? share.title : '');
+        if (text && this.config.features.rooms) {
+            await this.sendSharedText(text);
         }
     }
 
-    async saveFileToFirebase(code, fileData) {
-        if (!this.database) return;
-        
+    async sendSharedText(text) {
+        const room = localStorage.getItem('clypse_last_room');
+        this.sharedText = text;
+        this.switchTab('clipboard');
+
+        if (!room) {
+            this.showToast(this.t('share.joinRoom'), 'info');
+            return;
+        }
+
+        document.getElementById('roomCode').value = room;
+        await this.joinRoom();
+    }
+
+    async nativeShare() {
+        const code = document.getElementById('shareCode').textContent;
+        const url = document.getElementById('shareUrl').textContent;
+
         try {
-            await this.database.ref(`files/${code}`).set(fileData);
-            console.log('File metadata saved to Firebase');
+            await navigator.share({ title: 'Clypse', text: this.t('share.nativeText', { code }), url });
         } catch (error) {
-            console.error('Firebase save error:', error);
+            // Closing the share sheet rejects with AbortError
+            if (error.name !== 'AbortError') {
+                console.error('Share error:', error);
+                this.showToast(this.t('share.failed'), 'error');
+            }
         }
     }
 
-    async getFileFromFirebase(code) {
-        if (!this.database) return null;
-        
+    // QR METHODS
+
+    renderQr(elementId, text) {
+        const element = document.getElementById(elementId);
         try {
-            const snapshot = await this.database.ref(`files/${code}`).once('value');
-            return snapshot.val();
+            element.innerHTML = ClypseQR.toSvg(text);
         } catch (error) {
-            console.error('Firebase get error:', error);
-            return null;
+            console.warn('QR code failed:', error.message);
+            element.innerHTML = '';
         }
     }
 
-    async downloadFile() {
-        const code = document.getElementById('downloadCode').value.trim();
-        
-        if (code.length !== 4) {
-            this.showToast('Please enter a valid 4-digit code', 'error');
-            return;
-        }
+    openQrScan(target) {
+        this.qrTarget = target;
+        document.getElementById('qrImageInput').click();
+    }
 
-        console.log('Downloading file with code:', code);
+    async scanQrImage(file) {
+        const target = this.qrTarget;
 
         try {
-            // Try Firebase first
-            let fileData = await this.getFileFromFirebase(code);
-            
-            // Fallback to localStorage
-            if (!fileData) {
-                const stored = localStorage.getItem(`clypse_file_${code}`);
-                if (stored) {
-                    fileData = JSON.parse(stored);
-                }
-            }
-
-            if (!fileData) {
-                this.showToast('File not found or expired', 'error');
+            const text = await ClypseQR.decodeImage(file);
+            if (!text) {
+                this.showToast(this.t('qr.notFound'), 'error');
                 return;
             }
 
-            // Check if expired
-            if (Date.now() > fileData.expires) {
-                this.showToast('File has expired', 'error');
+            const code = this.parseScannedCode(text, target === 'roomCode' ? 'room' : 'file');
+            if (!code) {
+                this.showToast(this.t('qr.notClypse'), 'error');
                 return;
             }
 
-            // Direct download from Telegraph
-            const link = document.createElement('a');
-            link.href = fileData.url;
-            link.download = fileData.name;
-            link.target = '_blank';
-            link.style.display = 'none';
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-
-            this.showToast(`Downloading: ${fileData.name}`, 'success');
-            document.getElementById('downloadCode').value = '';
-
+            document.getElementById(target).value = code;
+            this.showToast(this.t('qr.read', { code }), 'success');
         } catch (error) {
-            console.error('Download error:', error);
-            this.showToast('Download failed', 'error');
+            console.error('QR scan error:', error);
+            this.showToast(this.t('qr.failed', { error: error.message }), 'error');
         }
     }
 
-    // CLIPBOARD SYNC METHODS
+    // Accepts a share link (?file= or ?room=) or a bare code; file links bring their key along
+    parseScannedCode(text, param) {
+        let value = text.trim();
+        let key = null;
 
-    async createRoom() {
-        const code = this.generateCode();
-        console.log('Creating room:', code);
+        try {
+            const url = new URL(value);
+            value = url.searchParams.get(param) || '';
+            key = new URLSearchParams(url.hash.slice(1)).get('key');
+        } catch (error) {
+            // Not a link, so it should be the code itself
+        }
 
-        document.getElementById('roomCode').value = code;
-        await this.joinRoom();
-    }
+        const code = ClypseCodes.normalize(value);
+        if (!ClypseCodes.isValid(code)) return null;
 
-    async joinRoom() {
-        if (!this.database) {
-            this.showToast('Firebase not available', 'error');
-            return;
+        if (key && param === 'file') {
+            this.fileKeys[code] = key;
         }
+        return code;
+    }
 
-        const code = document.getElementById('roomCode').value.trim();
-        
-        if (code.length !== 4) {
-            this.showToast('Please enter a valid 4-digit room code', 'error');
-            return;
-        }
+    // RETENTION METHODS
 
-        console.log('Joining room:', code);
+    scheduleRetentionSweep() {
+        const last = Number(localStorage.getItem('clypse_last_sweep')) || 0;
+        const interval = this.config.retention.sweepIntervalHours * 60 * 60 * 1000;
 
-        // Leave current room first
-        if (this.currentRoom) {
-            this.leaveRoom();
-        }
+        if (!this.database || Date.now() - last < interval) return;
 
-        this.currentRoom = code;
-        this.roomRef = this.database.ref(`rooms/${code}`);
+        // Run once the page has settled so the sweep never competes with the user
+        setTimeout(() => this.sweepExpiredData(), 10000);
+    }
 
-        // Initialize room if it doesn't exist
-        try {
-            await this.roomRef.child('created').transaction((current) => {
-                if (current === null) {
-                    return Date.now();
-                }
-                return current;
-            });
+    async sweepExpiredData() {
+        localStorage.setItem('clypse_last_sweep', String(Date.now()));
 
-            // Listen for messages
-            this.messagesListener = this.roomRef.child('messages').on('value', (snapshot) => {
-                this.renderMessages(snapshot.val() || {});
-            });
+        const now = Date.now();
+        const { sweepBatchSize } = this.config.retention;
 
-            this.showRoomStatus(code);
-            this.enableMessageInput();
-            this.showToast(`Joined room: ${code}`, 'success');
+        // The rules block listing files/ and rooms/, so a browser only purges its own
+        // uploads; scripts/cleanup.js sweeps everything else
+        try {
+            const codes = ClypseRetention.planFileCleanup(this.ownedFiles, now).slice(0, sweepBatchSize);
+            for (const code of codes) {
+                const fileData = await this.client.getFile(code);
+                if (fileData) {
+                    await this.purgeFile({ ...fileData, code });
+                } else {
+                    await this.database.ref(`owners/${this.owner.id}/files/${code}`).remove();
+                }
+            }
 
+            console.log(`Retention sweep removed ${codes.length} files`);
         } catch (error) {
-            console.error('Join room error:', error);
-            this.showToast('Failed to join room', 'error');
+            console.warn('Retention sweep skipped:', error.message);
         }
     }
 
-    leaveRoom() {
-        if (this.messagesListener && this.roomRef) {
-            this.roomRef.child('messages').off('value', this.messagesListener);
-            this.messagesListener = null;
-        }
-        
-        this.roomRef = null;
-        this.currentRoom = null;
-        this.hideRoomStatus();
-        this.disableMessageInput();
-        this.showToast('Left room', 'info');
-        this.renderMessages({});
-    }
+    // UI METHODS
 
-    async sendMessage() {
-        if (!this.currentRoom || !this.roomRef) {
-            this.showToast('Please join a room first', 'error');
-            return;
-        }
+    enqueueUpload(file, options = {}) {
+        const item = {
+            id: this.generateId(),
+            file: file,
+            options: options,
+            status: 'queued',
+            controller: null,
+            started: 0,
+            startLoaded: 0
+        };
 
-        const messageInput = document.getElementById('messageInput');
-        const text = messageInput.value.trim();
+        const element = document.createElement('div');
+        element.className = 'upload-item';
+        element.id = `upload-${item.id}`;
+        element.innerHTML = `
+            <div class="upload-item-header">
+                <span class="upload-item-name">${this.escapeHtml(file.name)}</span>
+                <span class="upload-item-size">${this.formatFileSize(file.size)}</span>
+                <button class="btn btn--sm btn--outline" onclick="app.cancelUpload('${item.id}')">${this.t('common.cancel')}</button>
+            </div>
+            <div class="progress-bar">
+                <div class="progress-fill"></div>
+            </div>
+            <p class="progress-text">${this.t('upload.queued')}</p>
+        `;
+        item.element = element;
 
-        if (!text) {
-            this.showToast('Please enter a message', 'error');
-            return;
-        }
+        const queue = document.getElementById('uploadQueue');
+        queue.appendChild(element);
+        queue.classList.remove('hidden');
 
-        const message = {
-            id: this.generateId(),
-            text: text,
-            device: this.getDeviceType(),
-            timestamp: Date.now()
+        this.uploadQueue.set(item.id, item);
+        return this.trackUploadJob(item);
+    }
+
+    // Each file keeps its own row in the queue; the bundle is uploaded as one job
+    enqueueBundle(entries, options = {}) {
+        const folders = new Set(entries.map(({ path }) => path.includes('/') ? path.split('/')[0] : null));
+        const [folder] = folders;
+        const bundle = {
+            name: folders.size === 1 && folder ? folder : `${entries.length} files`,
+            options: options,
+            items: []
         };
 
-        try {
-            await this.roomRef.child('messages').push(message);
-            messageInput.value = '';
-            this.showToast('Message sent!', 'success');
-        } catch (error) {
-            console.error('Send message error:', error);
-            this.showToast('Failed to send message', 'error');
-        }
+        entries.forEach(({ file, path }) => {
+            const item = this.enqueueUpload(file, options);
+            item.bundle = bundle;
+            item.path = path;
+            item.element.querySelector('.upload-item-name').textContent = path;
+            bundle.items.push(item);
+        });
+
+        return this.trackUploadJob(bundle);
     }
 
-    async copyMessage() {
-        const text = document.getElementById('messageInput').value.trim();
-        
-        if (!text) {
-            this.showToast('No message to copy', 'error');
-            return;
+    updateUploadItem(item, status, text, percent) {
+        item.status = status;
+        item.element.setAttribute('data-status', status);
+        item.element.querySelector('.progress-text').textContent = text;
+
+        if (percent !== undefined) {
+            item.element.querySelector('.progress-fill').style.width = `${percent}%`;
         }
 
-        try {
-            await navigator.clipboard.writeText(text);
-            this.showToast('Message copied to clipboard!', 'success');
-        } catch (error) {
-            this.fallbackCopy(text);
-            this.showToast('Message copied to clipboard!', 'success');
+        if (['done', 'failed', 'cancelled'].includes(status)) {
+            const cancelBtn = item.element.querySelector('button');
+            if (cancelBtn) cancelBtn.remove();
+            setTimeout(() => this.removeUploadItem(item), 5000);
         }
     }
 
-    // UI METHODS
+    updateUploadProgress(item, loaded, total) {
+        if (item.status !== 'uploading') {
+            item.status = 'uploading';
+            item.element.setAttribute('data-status', 'uploading');
+        }
 
-    showUploadProgress(code, fileName) {
-        const progress = document.getElementById('uploadProgress');
-        const progressText = document.getElementById('progressText');
-        const progressFill = document.getElementById('progressFill');
-        
-        progress.classList.remove('hidden');
-        progressText.textContent = `Uploading ${fileName}...`;
-        progressFill.style.width = '50%';
-        
-        // Simulate progress
-        setTimeout(() => {
-            progressFill.style.width = '90%';
-        }, 500);
+        const percent = total > 0 ? Math.round((loaded / total) * 100) : 0;
+        const elapsed = (Date.now() - item.started) / 1000;
+        const speed = elapsed > 0 ? (loaded - (item.startLoaded || 0)) / elapsed : 0;
+        const parts = [this.formatNumber(percent / 100, { style: 'percent' })];
+
+        if (speed > 0) {
+            parts.push(this.t('upload.speed', { size: this.formatFileSize(speed) }));
+            if (loaded < total) {
+                parts.push(this.t('upload.timeLeft', { time: this.formatDuration((total - loaded) / speed) }));
+            }
+        }
+
+        item.element.querySelector('.progress-fill').style.width = `${percent}%`;
+        item.element.querySelector('.progress-text').textContent = parts.join(' · ');
     }
 
-    hideUploadProgress() {
-        const progress = document.getElementById('uploadProgress');
-        const progressFill = document.getElementById('progressFill');
-        
-        progressFill.style.width = '100%';
-        setTimeout(() => {
-            progress.classList.add('hidden');
-            progressFill.style.width = '0%';
-        }, 500);
+    removeUploadItem(item) {
+        item.element.remove();
+        this.uploadQueue.delete(item.id);
+
+        if (this.uploadQueue.size === 0) {
+            document.getElementById('uploadQueue').classList.add('hidden');
+        }
     }
 
-    showUploadSuccess(code, url, file) {
+    showUploadSuccess(code, url, file, fileKey) {
         // Show share modal
+        const shareUrl = this.buildShareUrl(code, fileKey);
         document.getElementById('shareCode').textContent = code;
-        document.getElementById('shareUrl').textContent = `${window.location.origin}/?file=${code}`;
+        document.getElementById('shareUrl').textContent = shareUrl;
+        this.renderQr('shareQr', shareUrl);
         document.getElementById('shareModal').classList.remove('hidden');
         
-        this.showToast(`File uploaded! Code: ${code}`, 'success');
+        this.showToast(this.t('share.uploaded', { code }), 'success');
+    }
+
+    // The configured public URL, or this page's own folder, so sub-path deployments link to themselves
+    getPublicUrl() {
+        const base = this.config.publicUrl || new URL('.', window.location.href).href;
+        return base.endsWith('/') ? base : `${base}/`;
+    }
+
+    buildShareUrl(code, fileKey) {
+        return `${this.getPublicUrl()}?file=${code}` + (fileKey ? `#key=${fileKey}` : '');
+    }
+
+    // Passphrases never go into room links
+    buildRoomUrl(code) {
+        return `${this.getPublicUrl()}?room=${code}`;
+    }
+
+    buildPairingUrl(code) {
+        return `${this.getPublicUrl()}?pair=${code}`;
+    }
+
+    promptInput({ title, label, placeholder = '', type = 'text', value = '' }) {
+        // Settle any prompt that is still open before reusing the modal
+        if (this.promptResolve) this.closePrompt(null);
+
+        document.getElementById('promptTitle').textContent = title;
+        document.getElementById('promptLabel').textContent = label;
+        const input = document.getElementById('promptInput');
+        input.type = type;
+        input.placeholder = placeholder;
+        input.value = value;
+        document.getElementById('promptModal').classList.remove('hidden');
+        input.focus();
+
+        return new Promise((resolve) => {
+            this.promptResolve = resolve;
+        });
+    }
+
+    closePrompt(value) {
+        document.getElementById('promptModal').classList.add('hidden');
+        document.getElementById('promptInput').value = '';
+
+        const resolve = this.promptResolve;
+        this.promptResolve = null;
+        if (resolve) resolve(value);
     }
 
     closeShareModal() {
@@ -544,10 +3235,10 @@ class ClypseApp {
         const code = document.getElementById('shareCode').textContent;
         try {
             await navigator.clipboard.writeText(code);
-            this.showToast('Code copied!', 'success');
+            this.showToast(this.t('share.codeCopied'), 'success');
         } catch (error) {
             this.fallbackCopy(code);
-            this.showToast('Code copied!', 'success');
+            this.showToast(this.t('share.codeCopied'), 'success');
         }
     }
 
@@ -555,20 +3246,23 @@ class ClypseApp {
         const url = document.getElementById('shareUrl').textContent;
         try {
             await navigator.clipboard.writeText(url);
-            this.showToast('URL copied!', 'success');
+            this.showToast(this.t('share.urlCopied'), 'success');
         } catch (error) {
             this.fallbackCopy(url);
-            this.showToast('URL copied!', 'success');
+            this.showToast(this.t('share.urlCopied'), 'success');
         }
     }
 
-    showRoomStatus(code) {
+    showRoomStatus(code, encrypted) {
         document.getElementById('roomStatus').classList.remove('hidden');
         document.getElementById('currentRoomCode').textContent = code;
+        document.getElementById('roomEncryptedBadge').classList.toggle('hidden', !encrypted);
+        this.renderQr('roomQr', this.buildRoomUrl(code));
     }
 
     hideRoomStatus() {
         document.getElementById('roomStatus').classList.add('hidden');
+        document.getElementById('roomQr').innerHTML = '';
     }
 
     enableMessageInput() {
@@ -577,9 +3271,15 @@ class ClypseApp {
         const copyBtn = document.getElementById('copyMessageBtn');
         
         messageInput.disabled = false;
-        messageInput.placeholder = 'Type your message and press Ctrl+Enter or click Send...';
+        // Kept as a catalog key so a language switch updates it too
+        messageInput.setAttribute('data-i18n-placeholder', 'messages.placeholder');
+        messageInput.placeholder = this.t('messages.placeholder');
         sendBtn.disabled = false;
         copyBtn.disabled = false;
+        document.getElementById('messageLanguage').disabled = false;
+        document.getElementById('messageExpiry').disabled = false;
+        document.getElementById('attachFileBtn').disabled = false;
+        document.getElementById('liveSyncToggle').disabled = false;
         
         // Force refresh text visibility
         messageInput.style.color = 'var(--color-text)';
@@ -591,10 +3291,17 @@ class ClypseApp {
         const copyBtn = document.getElementById('copyMessageBtn');
         
         messageInput.disabled = true;
-        messageInput.placeholder = 'Join a room to start sharing messages...';
+        messageInput.setAttribute('data-i18n-placeholder', 'messages.placeholderNoRoom');
+        messageInput.placeholder = this.t('messages.placeholderNoRoom');
         messageInput.value = '';
         sendBtn.disabled = true;
         copyBtn.disabled = true;
+        document.getElementById('messageLanguage').disabled = true;
+        document.getElementById('messageExpiry').disabled = true;
+        document.getElementById('messageLanguage').value = '';
+        document.getElementById('attachFileBtn').disabled = true;
+        document.getElementById('liveSyncToggle').disabled = true;
+        document.getElementById('clearRoomBtn').classList.add('hidden');
     }
 
     loadUserFiles() {
@@ -608,39 +3315,60 @@ class ClypseApp {
                         <path d="M13 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V9z"/>
                         <polyline points="13,2 13,9 20,9"/>
                     </svg>
-                    <p>No files uploaded yet</p>
-                    <small>Upload files to start sharing across devices</small>
+                    <p>${this.t('files.empty')}</p>
+                    <small>${this.t('files.emptyHint')}</small>
                 </div>
             `;
             return;
         }
 
         filesList.innerHTML = files.map(file => `
-            <div class="file-item">
+            <div class="file-item" data-code="${this.escapeHtml(file.code)}">
+                <div class="file-thumb" data-thumb="${this.escapeHtml(file.code)}">${this.getFileIcon(file)}</div>
                 <div class="file-info">
                     <div class="file-name">${this.escapeHtml(file.name)}</div>
                     <div class="file-meta">
+                        ${file.bundle ? `<span>${this.t('bundle.fileCount', { count: file.count })}</span>` : ''}
                         <span>${this.formatFileSize(file.size)}</span>
                         <span>${this.formatTime(file.uploaded)}</span>
+                        <span>${this.t('files.expires', { date: this.i18n.formatDate(file.expires) })}</span>
+                        ${file.sha256 ? `<span class="file-digest" title="SHA-256 ${this.escapeHtml(file.sha256)}">SHA-256 ${this.escapeHtml(file.sha256.slice(0, 12))}…</span>` : ''}
+                    </div>
+                    <div class="file-manage">
+                        <button class="btn btn--sm btn--outline" data-action="renameFile">${this.t('files.rename')}</button>
+                        <button class="btn btn--sm btn--outline" data-action="extendFile">${this.t('files.extend')}</button>
+                        <button class="btn btn--sm btn--outline" data-action="revokeFile">${this.t('files.revoke')}</button>
                     </div>
                 </div>
                 <div class="file-actions">
-                    <button class="file-code" onclick="app.copyFileCode('${file.code}')">
-                        ${file.code}
+                    <button class="file-code" data-action="copyFileCode">
+                        ${this.escapeHtml(file.code)}
                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <rect x="9" y="9" width="13" height="13" rx="2" ry="2"/>
                             <path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2 2v1"/>
                         </svg>
                     </button>
-                    <a href="${file.url}" target="_blank" class="btn btn--primary">Download</a>
+                    <button class="btn btn--primary" data-action="downloadFile">${this.t('common.download')}</button>
                 </div>
             </div>
         `).join('');
+
+        this.loadThumbnails(files);
     }
 
-    renderMessages(messagesData) {
+    // Full rebuild from this.roomMessages; single messages are patched in by renderMessage
+    renderMessages() {
         const messagesList = document.getElementById('messagesList');
-        const messages = Object.values(messagesData || {}).sort((a, b) => b.timestamp - a.timestamp);
+        const now = Date.now();
+        const entries = Object.values(this.roomMessages);
+
+        const expired = entries.filter(message => this.isMessageExpired(message, now));
+        this.removeExpiredMessages(expired.map(message => message.key));
+
+        const messages = entries
+            .filter(message => !this.isMessageExpired(message, now))
+            .sort((a, b) => this.compareMessages(a, b));
+        this.scheduleMessageExpiry(messages);
 
         if (!this.currentRoom) {
             messagesList.innerHTML = `
@@ -649,51 +3377,209 @@ class ClypseApp {
                         <rect x="8" y="2" width="8" height="4" rx="1" ry="1"/>
                         <path d="M16 4h2a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2H6a2 2 0 0 1-2-2V6a2 2 0 0 1 2-2h2"/>
                     </svg>
-                    <p>Join a room to see messages</p>
-                    <small>Create or join a room to start syncing messages</small>
+                    <p>${this.t('messages.noRoom')}</p>
+                    <small>${this.t('messages.noRoomHint')}</small>
                 </div>
             `;
             return;
         }
 
         if (messages.length === 0) {
-            messagesList.innerHTML = `
+            this.showEmptyMessages(messagesList);
+            return;
+        }
+
+        messagesList.innerHTML = messages.map(message => this.buildMessageHtml(message, now)).join('');
+        this.decorateMessages(messagesList);
+    }
+
+    showEmptyMessages(messagesList) {
+        messagesList.innerHTML = `
                 <div class="empty-state">
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <rect x="8" y="2" width="8" height="4" rx="1" ry="1"/>
                         <path d="M16 4h2a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2H6a2 2 0 0 1-2-2V6a2 2 0 0 1 2-2h2"/>
                     </svg>
-                    <p>No messages yet</p>
-                    <small>Send the first message to start the conversation</small>
+                    <p>${this.t('messages.none')}</p>
+                    <small>${this.t('messages.noneHint')}</small>
                 </div>
             `;
+    }
+
+    // Inserts, replaces or drops one message element without touching the others
+    renderMessage(key) {
+        const messagesList = document.getElementById('messagesList');
+        const message = this.roomMessages[key];
+        const now = Date.now();
+        const existing = messagesList.querySelector(`[data-key="${CSS.escape(key)}"]`);
+
+        if (existing) existing.remove();
+        this.scheduleMessageExpiry(Object.values(this.roomMessages));
+
+        if (this.isMessageExpired(message, now)) {
+            this.removeExpiredMessages([key]);
             return;
         }
 
-        messagesList.innerHTML = messages.slice(0, this.config.maxMessages).map(message => `
-            <div class="message-item" onclick="app.copyMessageText('${this.escapeHtml(message.text).replace(/'/g, '&#39;')}')">
-                <div class="message-content">${this.escapeHtml(message.text)}</div>
+        if (!messagesList.querySelector('[data-key]')) {
+            messagesList.innerHTML = '';
+        }
+
+        const template = document.createElement('template');
+        template.innerHTML = this.buildMessageHtml(message, now).trim();
+        const element = template.content.firstElementChild;
+
+        // Pinned messages stay on top, newest first within each group
+        const next = Array.from(messagesList.querySelectorAll('[data-key]')).find((child) => {
+            const other = this.roomMessages[child.dataset.key];
+            return other && this.compareMessages(message, other) < 0;
+        });
+        messagesList.insertBefore(element, next || null);
+        this.decorateMessages(element);
+    }
+
+    removeMessageFromView(key) {
+        delete this.roomMessages[key];
+
+        delete this.roomRecords[key];
+        this.scheduleHistorySave();
+
+        const messagesList = document.getElementById('messagesList');
+        const element = messagesList.querySelector(`[data-key="${CSS.escape(key)}"]`);
+        if (element) element.remove();
+
+        if (this.currentRoom && !messagesList.querySelector('[data-key]')) {
+            this.showEmptyMessages(messagesList);
+        }
+        if (this.editingKey === key) this.cancelEdit();
+    }
+
+    compareMessages(a, b) {
+        return (Boolean(b.pinned) - Boolean(a.pinned)) || (b.timestamp - a.timestamp);
+    }
+
+    isMessageExpired(message, now) {
+        return Boolean(message.expires) && message.expires <= now;
+    }
+
+    buildMessageHtml(message, now) {
+        return message.locked ? `
+            <div class="message-item message-item--locked" data-key="${this.escapeHtml(message.key)}">
+                <div class="message-content">🔒 ${this.t('messages.locked')}</div>
                 <div class="message-meta">
-                    <span>${message.device || 'Unknown Device'}</span>
+                    <span>${this.escapeHtml(message.device || this.t('messages.unknownDevice'))}</span>
                     <span>${this.formatTime(message.timestamp)}</span>
                 </div>
+                ${this.renderMessageToolbar(message)}
             </div>
-        `).join('');
+        ` : `
+            <div class="message-item ${message.pinned ? 'message-item--pinned' : ''} ${message.pending ? 'message-item--pending' : ''}" data-key="${this.escapeHtml(message.key)}">
+                <div class="message-content">${this.renderMessageContent(message)}</div>
+                <div class="message-meta">
+                    <span>${message.pinned ? '📌 ' : ''}${this.escapeHtml(message.device || this.t('messages.unknownDevice'))}</span>
+                    <span>
+                        ${message.pending ? `${this.t('messages.pending')} · ` : ''}${message.edited ? `${this.t('messages.edited')} · ` : ''}${message.expires ? `⏱ ${this.t('messages.timeLeft', { time: this.formatDuration((message.expires - now) / 1000) })} · ` : ''}${this.formatTime(message.timestamp)}
+                    </span>
+                </div>
+                ${this.renderMessageToolbar(message)}
+            </div>
+        `;
+    }
+
+    renderMessageToolbar(message) {
+        // Queued messages do not exist in the room yet
+        if (message.pending) return '';
+
+        const buttons = [];
+        const editable = !message.type || message.type === 'text' || message.type === 'code';
+
+        if (!message.locked && editable && message.sender === this.deviceId) {
+            buttons.push(['editMessage', this.t('messages.edit')]);
+        }
+        if (!message.locked) {
+            buttons.push(['togglePin', this.t(message.pinned ? 'messages.unpin' : 'messages.pin')]);
+        }
+        if (this.canDeleteMessage(message)) {
+            buttons.push(['setMessageExpiry', this.t('messages.expire')]);
+            buttons.push(['deleteMessage', this.t('messages.delete')]);
+        }
+
+        if (buttons.length === 0) return '';
+        return `
+            <div class="message-toolbar">
+                ${buttons.map(([method, label]) => `<button class="btn btn--sm btn--outline" data-action="${method}">${this.escapeHtml(label)}</button>`).join('')}
+            </div>
+        `;
+    }
+
+    // Messages from before typed content have no type and are plain text
+    renderMessageContent(message) {
+        if (message.type === 'code') {
+            return `<pre class="message-code"><code class="hljs" data-code="${this.escapeHtml(message.key)}">${this.escapeHtml(message.text)}</code></pre>`;
+        }
+
+        if (message.type === 'image' || message.type === 'file') {
+            const isImage = message.type === 'image' && String(message.mime).startsWith('image/');
+            return `
+                ${isImage ? `<div class="message-image" data-attachment="${this.escapeHtml(message.key)}"></div>` : ''}
+                <div class="message-file">
+                    <span class="message-file-icon">${this.getFileIcon({ name: message.name, type: message.mime })}</span>
+                    <div class="message-file-info">
+                        <div class="message-file-name">${this.escapeHtml(message.name)}</div>
+                        <small>${this.formatFileSize(message.size || 0)}</small>
+                    </div>
+                    <button class="btn btn--sm btn--outline" data-action="downloadAttachment">${this.t('common.download')}</button>
+                </div>
+            `;
+        }
+
+        return this.escapeHtml(message.text);
+    }
+
+    // Highlighting and thumbnails load after the messages are on screen
+    async decorateMessages(container) {
+        for (const element of container.querySelectorAll('[data-code]')) {
+            const message = this.roomMessages[element.dataset.code];
+            const language = message.language === 'auto' ? null : message.language;
+            const cacheKey = `${message.language}:${message.text}`;
+
+            if (!this.highlightCache.has(cacheKey)) {
+                this.highlightCache.set(cacheKey, await ClypsePreview.highlight(message.text, language));
+            }
+            element.innerHTML = this.highlightCache.get(cacheKey);
+        }
+
+        for (const element of container.querySelectorAll('[data-attachment]')) {
+            const message = this.roomMessages[element.dataset.attachment];
+            // Uploaded images are only fetched for thumbnails while they are small
+            if (message.file && message.size > this.config.preview.thumbnailMaxSize) continue;
+
+            try {
+                const image = document.createElement('img');
+                image.src = await this.getAttachmentUrl(message);
+                image.alt = message.name;
+                element.appendChild(image);
+            } catch (error) {
+                console.warn('Attachment preview failed:', error.message);
+            }
+        }
     }
 
     // PUBLIC METHODS FOR ONCLICK HANDLERS
 
     copyFileCode(code) {
         this.fallbackCopy(code);
-        this.showToast(`Code ${code} copied!`, 'success');
+        this.showToast(this.t('files.codeCopied', { code }), 'success');
     }
 
     copyMessageText(text) {
+        // Copying from the room is not a new clipboard change for live sync
+        this.liveSync.lastContent = text;
         const messageInput = document.getElementById('messageInput');
         messageInput.value = text;
         messageInput.focus();
         this.fallbackCopy(text);
-        this.showToast('Message copied and loaded!', 'success');
+        this.showToast(this.t('messages.copiedAndLoaded'), 'success');
     }
 
     // UTILITY METHODS
@@ -715,15 +3601,65 @@ class ClypseApp {
                 }
             }
         }
+
+        // Uploads from linked devices are only in the synced list
+        Object.values(this.ownedFiles).forEach((file) => {
+            if (Date.now() <= file.expires && !files.some(local => local.code === file.code)) {
+                files.push({ ...file, remote: true });
+            }
+        });
+
         return files.sort((a, b) => b.uploaded - a.uploaded);
     }
 
-    generateCode() {
-        let code = '';
-        for (let i = 0; i < this.config.codeLength; i++) {
-            code += this.config.codeChars.charAt(Math.floor(Math.random() * this.config.codeChars.length));
+    // LOOKUP METHODS
+
+    // Reading a code someone else created needs a lookup record first. The rules space
+    // lookups out and lengthen the wait after misses in a row, which is what makes
+    // scanning codes slow; the same delays apply here so a user is told why.
+    async lookupCode(kind, code) {
+        await this.authReady;
+        if (!this.authUser || !this.isOnline()) return true;
+
+        try {
+            const { allowed, wait } = await this.client.lookup(kind, code);
+            if (!allowed) {
+                this.showToast(this.t('codes.tooManyMisses', { time: this.formatDuration(wait / 1000) }), 'error');
+            }
+            return allowed;
+        } catch (error) {
+            console.warn('Lookup refused:', error.message);
+            this.showToast(this.t('codes.tooManyLookups'), 'error');
+            return false;
         }
-        return code;
+    }
+
+    // Kept across sessions so this device can still edit and delete what it sent;
+    // replaced by the anonymous auth uid once signed in
+    getDeviceId() {
+        let deviceId = localStorage.getItem('clypse_device_id');
+        if (!deviceId) {
+            deviceId = this.generateId();
+            localStorage.setItem('clypse_device_id', deviceId);
+        }
+        return deviceId;
+    }
+
+    // The uploader identity behind the synced file list; linked devices share it
+    getOwner() {
+        try {
+            const owner = JSON.parse(localStorage.getItem('clypse_owner'));
+            if (owner && owner.id && owner.secret) return owner;
+        } catch (error) {
+            console.warn('Owner identity unreadable, creating a new one');
+        }
+
+        const owner = {
+            id: ClypseCrypto.toBase64Url(crypto.getRandomValues(new Uint8Array(16))),
+            secret: ClypseCrypto.toBase64Url(crypto.getRandomValues(new Uint8Array(32)))
+        };
+        localStorage.setItem('clypse_owner', JSON.stringify(owner));
+        return owner;
     }
 
     generateId() {
@@ -740,31 +3676,35 @@ class ClypseApp {
         return '💻 Desktop';
     }
 
+    // Sizes, durations and times are written the way the current language writes them
     formatFileSize(bytes) {
-        if (bytes === 0) return '0 Bytes';
-        const k = 1024;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB'];
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+        return this.i18n.formatFileSize(bytes);
+    }
+
+    formatDuration(seconds) {
+        return this.i18n.formatDuration(seconds);
     }
 
     formatTime(timestamp) {
-        const now = new Date();
-        const date = new Date(timestamp);
-        const diff = Math.floor((now - date) / 1000);
-        
-        if (diff < 60) return 'Just now';
-        if (diff < 3600) return `${Math.floor(diff / 60)}m ago`;
-        if (diff < 86400) return `${Math.floor(diff / 3600)}h ago`;
-        if (diff < 2592000) return `${Math.floor(diff / 86400)}d ago`;
-        
-        return date.toLocaleDateString();
+        return this.i18n.formatRelativeTime(timestamp);
+    }
+
+    formatNumber(value, options) {
+        return this.i18n.formatNumber(value, options);
+    }
+
+    t(key, params) {
+        return this.i18n.t(key, params);
     }
 
+    // Safe in text and in quoted attribute values
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
     fallbackCopy(text) {
@@ -809,15 +3749,60 @@ class ClypseApp {
     }
 }
 
-// Initialize app
-const app = new ClypseApp();
+// Replaces the page with the list of configuration problems
+function showConfigError(error, i18n) {
+    const show = () => {
+        const problems = error.problems || [error.message];
+        const container = document.querySelector('.app-container');
+        document.documentElement.lang = i18n.locale;
+        document.documentElement.dir = i18n.dir;
+        container.innerHTML = `
+            <div class="config-error card">
+                <div class="card__body">
+                    <h2>${i18n.t('config.title')}</h2>
+                    <p>${i18n.t('config.problems')}</p>
+                    <ul></ul>
+                    <p>${i18n.t('config.fix', {
+                        file: `<code>${ClypseConfig.CONFIG_URL}</code>`,
+                        meta: `<code>&lt;meta name="${ClypseConfig.META_NAME}"&gt;</code>`
+                    })}</p>
+                </div>
+            </div>
+        `;
+        const list = container.querySelector('ul');
+        problems.forEach((problem) => {
+            const item = document.createElement('li');
+            item.textContent = problem;
+            list.appendChild(item);
+        });
+    };
+
+    if (document.readyState === 'loading') {
+        document.addEventListener('DOMContentLoaded', show);
+    } else {
+        show();
+    }
+}
 
-// Make app globally accessible for onclick handlers
-window.app = app;
+// Initialize app once the instance configuration and the translations are known.
+// A language picked before wins over the browser's own list.
+let app = null;
+const i18nReady = ClypseI18n.init({
+    locale: ClypseI18n.detect([localStorage.getItem('clypse_language'), ...(navigator.languages || [navigator.language])])
+});
+Promise.all([ClypseConfig.load({ document }), i18nReady]).then(([overrides, i18n]) => {
+    app = new ClypseApp(overrides, i18n);
+
+    // Make app globally accessible for onclick handlers
+    window.app = app;
+}).catch(async (error) => {
+    console.error('Configuration error:', error);
+    showConfigError(error, await i18nReady);
+});
 
 // Cleanup on page unload
 window.addEventListener('beforeunload', () => {
-    if (app.currentRoom) {
+    if (app && app.currentRoom) {
         app.leaveRoom();
     }
 });
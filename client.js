@@ -0,0 +1,1119 @@
+/**
+ * Clypse Client
+ * The core of Clypse without any page around it: share codes, uploads and file
+ * records, downloads, code lookups and room messaging. The database, fetch and
+ * storage backends are passed in, so the same code runs behind ClypseApp in the
+ * browser and on its own in Node.
+ *
+ *   const client = new ClypseClient({ database, fetch, createStorage });
+ *   const { code, url } = await client.upload(file, { expiresIn: 3600000 });
+ *   client.on('message', (key, message) => console.log(message.text));
+ *   await client.joinRoom('K7QM');
+ *   await client.send('hello');
+ *
+ * database is a Firebase Realtime Database (compat API) or anything with the same
+ * ref() / once() / set() / transaction() / on() surface. createStorage(name, options)
+ * returns a storage adapter and defaults to the adapters in storage.js.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./crypto.js'), require('./codes.js'), require('./hash.js'), require('./storage.js'), require('./limits.js'));
+    } else {
+        root.ClypseClient = factory(root.ClypseCrypto, root.ClypseCodes, root.ClypseHash, root.ClypseStorage, root.ClypseLimits);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ClypseCrypto, ClypseCodes, ClypseHash, ClypseStorage, ClypseLimits) {
+    // What firebase.database.ServerValue.TIMESTAMP stands for, without needing the SDK here
+    const SERVER_TIMESTAMP = { '.sv': 'timestamp' };
+
+    const DEFAULT_CONFIG = {
+        storage: {
+            backend: 'telegraph'
+        },
+        upload: {
+            retries: 3,
+            retryDelay: 1000,
+            chunkThreshold: 33554432,
+            chunkSize: 8388608
+        },
+        codeFormat: 'chars',
+        codeChars: 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789',
+        codeLength: 4,
+        codeWords: 3,
+        codeAttempts: 10,
+        lookupDelays: ClypseLimits.LOOKUP_DELAYS,
+        cleanupDays: 7,
+        messagePageSize: 50
+    };
+
+    // Why a file cannot be downloaded; checkAvailability and claimDownload return the key
+    const UNAVAILABLE = {
+        missing: 'No file found for this code',
+        expired: 'This file has expired',
+        limit: 'Download limit reached for this file',
+        uploading: 'This file is still being uploaded'
+    };
+
+    // What leads to a file's stored objects; kept out of a password-protected record
+    const LOCATOR_FIELDS = ['key', 'url', 'chunks', 'entries'];
+
+    function createId() {
+        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    }
+
+    // The objects a file keeps on its storage backend: one per plain file, one per
+    // chunk of a chunked one, and those of every entry of a bundle
+    function getStoredObjects(fileData) {
+        const storedObjects = entry => entry.chunked ? Object.values(entry.chunks || {}).filter(Boolean) : [entry];
+        return fileData.bundle
+            ? Object.values(fileData.entries || {}).filter(Boolean).flatMap(storedObjects)
+            : storedObjects(fileData);
+    }
+
+    function sleep(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(resolve, ms);
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    clearTimeout(timer);
+                    reject(new DOMException('Upload cancelled', 'AbortError'));
+                }, { once: true });
+            }
+        });
+    }
+
+    class ClypseClient {
+        constructor({
+            database = null,
+            fetch = (...args) => globalThis.fetch(...args),
+            createStorage = ClypseStorage.createStorageAdapter,
+            config = {},
+            deviceId = createId(),
+            uid = null,
+            device = '💻 Desktop'
+        } = {}) {
+            this.database = database;
+            this.fetch = fetch;
+            this.createStorage = createStorage;
+            this.config = {
+                ...DEFAULT_CONFIG,
+                ...config,
+                storage: { ...DEFAULT_CONFIG.storage, ...config.storage },
+                upload: { ...DEFAULT_CONFIG.upload, ...config.upload }
+            };
+            this.deviceId = deviceId; // sender of messages and uploader of files
+            this.uid = uid; // the signed-in uid; lookups are only recorded with one
+            this.device = device;
+
+            this.listeners = {};
+            this.storageAdapters = {};
+
+            this.room = null;
+            this.roomRef = null;
+            this.roomKey = null;
+            this.messageQueries = [];
+            this.messageVersions = new Map();
+            this.oldestMessageKey = null;
+            this.hasOlderMessages = false;
+            this.loadingOlderMessages = false;
+            this.decryptedPayloads = new Map();
+        }
+
+        // EVENTS
+
+        on(event, listener) {
+            if (!this.listeners[event]) {
+                this.listeners[event] = [];
+            }
+            this.listeners[event].push(listener);
+            return this;
+        }
+
+        off(event, listener) {
+            if (this.listeners[event]) {
+                this.listeners[event] = this.listeners[event].filter(other => other !== listener);
+            }
+            return this;
+        }
+
+        emit(event, ...args) {
+            (this.listeners[event] || []).slice().forEach((listener) => {
+                try {
+                    listener(...args);
+                } catch (error) {
+                    console.error(`Clypse ${event} listener failed:`, error);
+                }
+            });
+        }
+
+        // CODE METHODS
+
+        generateCode() {
+            if (this.config.codeFormat === 'words') {
+                return ClypseCodes.randomWords(this.config.codeWords);
+            }
+            return ClypseCodes.randomChars(this.config.codeChars, this.config.codeLength);
+        }
+
+        // Claims {collection}/{code} atomically so a new code never overwrites an existing entry
+        async reserveCode(collection, placeholder) {
+            for (let attempt = 0; attempt < this.config.codeAttempts; attempt++) {
+                const code = this.generateCode();
+                if (!this.database) return code;
+
+                let result;
+                try {
+                    result = await this.database.ref(`${collection}/${code}`).transaction((current) => {
+                        if (current === null) {
+                            return placeholder;
+                        }
+                        // Taken: returning undefined aborts the transaction
+                    }, undefined, false);
+                } catch (error) {
+                    // The rules hide entries that belong to someone else, so a refused read means taken
+                    result = { committed: false };
+                }
+
+                if (result.committed) {
+                    return code;
+                }
+                console.warn(`Code ${code} is already in use, generating another`);
+            }
+
+            throw new Error('Could not find a free code, please try again');
+        }
+
+        releaseCode(collection, code) {
+            if (!this.database) return;
+
+            this.database.ref(`${collection}/${code}`).remove().catch((error) => {
+                console.error('Failed to release code:', error);
+            });
+        }
+
+        reserveFileCode() {
+            return this.reserveCode('files', {
+                status: 'reserved',
+                uid: this.deviceId,
+                reserved: Date.now(),
+                expires: Date.now() + (24 * 60 * 60 * 1000)
+            });
+        }
+
+        // Reading a code someone else created needs a lookup record first. The rules space
+        // lookups out and lengthen the wait after misses in a row. Resolves { allowed: true }
+        // once recorded, or { allowed: false, wait } when the wait is longer than maxWait;
+        // a lookup the rules refuse rejects.
+        async lookup(kind, code, { maxWait = 2000 } = {}) {
+            if (!this.database || !this.uid) return { allowed: true };
+
+            const slot = this.database.ref(`lookups/${this.uid}/${kind}`);
+            const previous = (await slot.once('value')).val();
+            if (previous && previous.code === code) return { allowed: true };
+
+            // The rules count a miss when the code looked up last does not exist (any more)
+            let misses = 0;
+            if (previous) {
+                const marker = kind === 'rooms' ? 'created' : 'expires';
+                const found = (await this.database.ref(`${kind}/${previous.code}/${marker}`).once('value')).exists();
+                misses = found ? 0 : previous.misses + 1;
+            }
+
+            const offset = (await this.database.ref('.info/serverTimeOffset').once('value')).val() || 0;
+            const wait = previous ? previous.at + this.getLookupDelay(misses) - (Date.now() + offset) : 0;
+            // Short waits are sat out quietly; longer ones only follow repeated misses
+            if (wait > maxWait) {
+                return { allowed: false, wait };
+            }
+            if (wait > 0) {
+                await sleep(wait);
+            }
+
+            await slot.set({ code, misses, at: SERVER_TIMESTAMP });
+            return { allowed: true };
+        }
+
+        getLookupDelay(misses) {
+            return this.config.lookupDelays.find(tier => misses >= tier.misses).delay;
+        }
+
+        // FILE METHODS
+
+        getStorageAdapter(backend) {
+            // Entries saved before adapters existed were always on Telegraph
+            const name = backend || 'telegraph';
+            if (!this.storageAdapters[name]) {
+                this.storageAdapters[name] = this.createStorage(name, this.config.storage[name]);
+            }
+            return this.storageAdapters[name];
+        }
+
+        async createFileLimits(options) {
+            const limits = {
+                expires: Date.now() + (options.expiresIn || this.config.cleanupDays * 24 * 60 * 60 * 1000),
+                downloads: 0
+            };
+
+            if (options.burnAfterReading) {
+                limits.burnAfterReading = true;
+                limits.maxDownloads = 1;
+            } else if (options.maxDownloads) {
+                limits.maxDownloads = options.maxDownloads;
+            }
+
+            if (options.passwordHash) {
+                limits.password = options.passwordHash;
+            } else if (options.password) {
+                limits.password = await this.hashUploadPassword(options.password);
+            }
+
+            return limits;
+        }
+
+        // The password never leaves the device. Its salted hash names the path the file's
+        // locator is kept under and is never written into the readable record.
+        async hashUploadPassword(password) {
+            const salt = ClypseCrypto.randomSalt();
+            const iterations = ClypseCrypto.PBKDF2_ITERATIONS;
+            return {
+                salt: salt,
+                iterations: iterations,
+                hash: await ClypseCrypto.hashPassword(password, salt, iterations)
+            };
+        }
+
+        // Uploads one file under a new code, or under task.pending.code when an interrupted
+        // chunked upload is resumed. options: encrypt, expiresIn, maxDownloads, burnAfterReading,
+        // password or passwordHash, room, owner. task: signal, pending and the hooks that
+        // storeFile takes, plus onCode(code) as soon as the code is known.
+        async upload(file, options = {}, task = {}) {
+            const pending = task.pending || null;
+            const code = pending ? pending.code : await this.reserveFileCode();
+            if (task.onCode) task.onCode(code);
+
+            const backend = pending ? pending.storage : this.config.storage.backend;
+            const fileData = {
+                code: code,
+                name: file.name,
+                size: file.size,
+                type: file.type,
+                storage: backend,
+                status: 'complete',
+                uid: this.deviceId,
+                uploaded: pending ? pending.started : Date.now()
+            };
+            if (options.owner) {
+                fileData.owner = options.owner;
+            }
+            if (options.room) {
+                fileData.room = options.room;
+            }
+
+            const adapter = this.getStorageAdapter(backend);
+            const limits = pending && pending.limits ? pending.limits : await this.createFileLimits(options);
+            Object.assign(fileData, limits);
+
+            let fileKey = null;
+            let cryptoKey = null;
+            if (pending ? pending.key : options.encrypt) {
+                // Name and type are only stored encrypted; the key goes into the share link
+                fileKey = pending ? pending.key : await ClypseCrypto.exportKey(await ClypseCrypto.generateKey());
+                cryptoKey = await ClypseCrypto.importKey(fileKey);
+                fileData.encrypted = true;
+                fileData.name = 'encrypted';
+                fileData.type = 'application/octet-stream';
+                fileData.meta = await ClypseCrypto.encryptJson(cryptoKey, { name: file.name, type: file.type });
+            }
+
+            const { fields, sha256 } = await this.storeFile(file, { ...task, cryptoKey, limits }, {
+                code,
+                adapter,
+                manifestPath: `files/${code}`,
+                chunksPath: `${this.getLocatorPath(code, fileData.password)}/chunks`,
+                manifest: fileData,
+                pending,
+                fileKey,
+                resumable: true
+            });
+            Object.assign(fileData, fields);
+
+            await this.saveFile(code, fileData);
+            return { code, url: fileData.url || null, fileKey, fileData, sha256 };
+        }
+
+        // Uploads several files under one code, as a bundle whose entries list every file by
+        // relative path. files: [{ file, path }]; options: those upload() takes plus the bundle
+        // name. task: onCode(code), entryTask(index) with the storeFile hooks for one file or
+        // null to leave it out, onEntryDone(index, stored) and onEntryError(index, error), which
+        // fails the whole bundle unless it returns. Resolves null when no file was stored.
+        async uploadBundle(files, options = {}, task = {}) {
+            task = {
+                onCode() {},
+                entryTask() { return {}; },
+                onEntryDone() {},
+                onEntryError(index, error) { throw error; },
+                ...task
+            };
+
+            const code = await this.reserveFileCode();
+            task.onCode(code);
+
+            const backend = this.config.storage.backend;
+            const fileData = {
+                code: code,
+                bundle: true,
+                name: options.name,
+                size: 0,
+                type: 'application/zip',
+                storage: backend,
+                status: 'complete',
+                uid: this.deviceId,
+                uploaded: Date.now()
+            };
+            if (options.owner) {
+                fileData.owner = options.owner;
+            }
+            if (options.room) {
+                fileData.room = options.room;
+            }
+            let fileKey = null;
+
+            try {
+                const adapter = this.getStorageAdapter(backend);
+                Object.assign(fileData, await this.createFileLimits(options));
+
+                let cryptoKey = null;
+                if (options.encrypt) {
+                    // One key for the whole bundle; paths and names are sealed per entry
+                    fileKey = await ClypseCrypto.exportKey(await ClypseCrypto.generateKey());
+                    cryptoKey = await ClypseCrypto.importKey(fileKey);
+                    fileData.encrypted = true;
+                    fileData.name = 'encrypted';
+                    fileData.meta = await ClypseCrypto.encryptJson(cryptoKey, { name: options.name, type: fileData.type });
+                }
+
+                const entries = [];
+                for (const [i, { file, path }] of files.entries()) {
+                    const entryTask = task.entryTask(i);
+                    if (!entryTask) continue;
+
+                    const index = entries.length;
+                    try {
+                        const entry = cryptoKey ? {
+                            size: file.size,
+                            encrypted: true,
+                            meta: await ClypseCrypto.encryptJson(cryptoKey, { path, name: file.name, type: file.type })
+                        } : {
+                            path: path,
+                            name: file.name,
+                            size: file.size,
+                            type: file.type
+                        };
+
+                        const { fields } = await this.storeFile(file, { ...entryTask, cryptoKey }, {
+                            code,
+                            adapter,
+                            manifestPath: `${this.getLocatorPath(code, fileData.password)}/entries/${index}`,
+                            manifest: entry,
+                            aadPrefix: `entry:${index}/`
+                        });
+                        entries.push(Object.assign(entry, fields));
+                    } catch (error) {
+                        task.onEntryError(i, error);
+                        continue;
+                    }
+                    task.onEntryDone(i, entries.length);
+                }
+
+                if (entries.length === 0) {
+                    this.releaseCode('files', code);
+                    return null;
+                }
+
+                fileData.entries = entries;
+                fileData.count = entries.length;
+                fileData.size = entries.reduce((total, entry) => total + entry.size, 0);
+                await this.saveFile(code, fileData);
+            } catch (error) {
+                // Free the reserved code so it does not sit there as a dead placeholder
+                this.releaseCode('files', code);
+                throw error;
+            }
+
+            return { code, url: null, fileKey, fileData };
+        }
+
+        // Stores one file and returns { fields, sha256 }: the fields that locate it, with its
+        // digest, go into the manifest. task: signal, cryptoKey, limits and the optional hooks
+        // onStart(loaded), onProgress(loaded, total), onRetry(attempt, delay) and onPending(state).
+        async storeFile(file, task, context) {
+            task = {
+                onStart() {},
+                onProgress() {},
+                onRetry() {},
+                onPending() {},
+                ...task
+            };
+
+            // Hashing reads the file alongside the upload, so a resumed upload is still hashed in full
+            const hashing = ClypseHash.digestBlob(file);
+            const stored = await this.storeObject(file, task, context);
+            const sha256 = await hashing;
+
+            return {
+                fields: { ...stored, ...(await this.recordDigest(sha256, task.cryptoKey, context.manifest)) },
+                sha256
+            };
+        }
+
+        // Encrypted files keep the digest in their sealed meta, where it gives nothing away about the content
+        async recordDigest(sha256, cryptoKey, manifest) {
+            if (!cryptoKey) {
+                return { sha256 };
+            }
+
+            const meta = await ClypseCrypto.decryptJson(cryptoKey, manifest.meta);
+            return { meta: await ClypseCrypto.encryptJson(cryptoKey, { ...meta, sha256 }) };
+        }
+
+        // Returns the fields that locate the stored object: { key, url } or a chunk manifest
+        async storeObject(file, task, context) {
+            // Encrypted files always go through chunks so each piece is sealed separately
+            if (context.pending || task.cryptoKey || file.size > this.config.upload.chunkThreshold) {
+                return this.uploadChunks(file, task, context);
+            }
+
+            const signal = task.signal;
+            const stored = await this.withRetry(() => {
+                task.onStart(0);
+                return context.adapter.upload(file, {
+                    code: context.code,
+                    signal,
+                    onProgress: (loaded, total) => task.onProgress(loaded, total)
+                });
+            }, {
+                signal,
+                onRetry: task.onRetry
+            });
+
+            return {
+                key: stored.key,
+                url: stored.url || null
+            };
+        }
+
+        // Only single-file uploads are resumable; a bundle starts over if the upload is interrupted
+        async uploadChunks(file, task, { code, adapter, manifestPath, chunksPath = `${manifestPath}/chunks`, manifest: entry, pending, fileKey, resumable = false, aadPrefix = '' }) {
+            const signal = task.signal;
+            const chunkSize = pending ? pending.chunkSize : this.config.upload.chunkSize;
+            const chunkCount = Math.max(1, Math.ceil(file.size / chunkSize));
+            const manifest = {
+                chunked: true,
+                chunkSize: chunkSize,
+                chunkCount: chunkCount,
+                status: 'uploading'
+            };
+
+            // Chunks confirmed in the manifest are the source of truth for resuming
+            let chunks = {};
+            if (pending) {
+                const existing = this.database ? (await this.database.ref(chunksPath).once('value')).val() : null;
+                Object.entries(existing || {}).forEach(([index, chunk]) => {
+                    if (chunk) chunks[index] = chunk;
+                });
+            } else if (this.database) {
+                await this.database.ref(manifestPath).set(this.splitRecord({ ...entry, ...manifest }).record);
+            }
+
+            const state = {
+                code: code,
+                storage: entry.storage,
+                chunkSize: chunkSize,
+                started: entry.uploaded,
+                confirmed: Object.keys(chunks).length,
+                chunkCount: chunkCount,
+                key: fileKey,
+                limits: task.limits
+            };
+            if (resumable) {
+                task.onPending({ ...state });
+            }
+
+            let confirmedBytes = Math.min(Object.keys(chunks).length * chunkSize, file.size);
+            task.onStart(confirmedBytes);
+            task.onProgress(confirmedBytes, file.size);
+
+            for (let index = 0; index < chunkCount; index++) {
+                if (chunks[index]) continue;
+
+                const start = index * chunkSize;
+                let data = file.slice(start, start + chunkSize);
+
+                if (task.cryptoKey) {
+                    // Binding the position stops chunks from being reordered or dropped
+                    data = await ClypseCrypto.encrypt(task.cryptoKey, await data.arrayBuffer(), `${aadPrefix}chunk:${index}/${chunkCount}`);
+                }
+
+                const part = new File([data], `${entry.encrypted ? 'encrypted' : file.name}.part${index}`, {
+                    type: 'application/octet-stream'
+                });
+
+                const stored = await this.withRetry(() => adapter.upload(part, {
+                    code,
+                    signal,
+                    onProgress: (loaded) => task.onProgress(Math.min(confirmedBytes + loaded, file.size), file.size)
+                }), {
+                    signal,
+                    onRetry: task.onRetry
+                });
+
+                const chunk = {
+                    key: stored.key,
+                    url: stored.url || null,
+                    size: part.size
+                };
+
+                if (this.database) {
+                    await this.database.ref(`${chunksPath}/${index}`).set(chunk);
+                }
+
+                chunks[index] = chunk;
+                confirmedBytes += Math.min(chunkSize, file.size - start);
+                if (resumable) {
+                    state.confirmed = Object.keys(chunks).length;
+                    task.onPending({ ...state });
+                }
+            }
+
+            return { ...manifest, chunks: chunks, status: 'complete' };
+        }
+
+        async withRetry(task, { signal, onRetry }) {
+            const { retries, retryDelay } = this.config.upload;
+
+            for (let attempt = 0; ; attempt++) {
+                try {
+                    return await task(attempt);
+                } catch (error) {
+                    if (!error.retryable || attempt >= retries || (signal && signal.aborted)) {
+                        throw error;
+                    }
+
+                    const delay = retryDelay * Math.pow(2, attempt);
+                    console.warn(`Upload attempt ${attempt + 1} failed, retrying in ${delay}ms:`, error.message);
+                    onRetry(attempt + 1, delay);
+                    await sleep(delay, signal);
+                }
+            }
+        }
+
+        // A password-protected file keeps what locates its objects under locators/{code}/{hash},
+        // a path only the password leads to; files/{code} keeps the salt to derive it from
+        getLocatorPath(code, password) {
+            return password && password.hash ? `locators/${code}/${password.hash}` : `files/${code}`;
+        }
+
+        // Splits fileData into the readable record and, for a password-protected file, its locator
+        splitRecord(fileData) {
+            if (!fileData.password || !fileData.password.hash) {
+                return { record: fileData, locator: null };
+            }
+
+            const { salt, iterations } = fileData.password;
+            const record = { ...fileData, password: { salt, iterations } };
+            const locator = {};
+            LOCATOR_FIELDS.forEach((field) => {
+                if (field in record) {
+                    locator[field] = record[field];
+                    delete record[field];
+                }
+            });
+            return { record, locator };
+        }
+
+        // Throws when the record is refused, so the caller can release the reserved code
+        async saveFile(code, fileData) {
+            if (!this.database) return;
+
+            const { record, locator } = this.splitRecord(fileData);
+            if (locator) {
+                await this.database.ref().update({
+                    [`files/${code}`]: record,
+                    [this.getLocatorPath(code, fileData.password)]: locator
+                });
+            } else {
+                await this.database.ref(`files/${code}`).set(record);
+            }
+        }
+
+        async getFile(code) {
+            if (!this.database) return null;
+
+            try {
+                const snapshot = await this.database.ref(`files/${code}`).once('value');
+                return snapshot.val();
+            } catch (error) {
+                console.error('Firebase get error:', error);
+                return null;
+            }
+        }
+
+        // Looks up a share code and returns its file record, or null when there is none.
+        // Rejects with error.wait set when lookups are throttled for longer than a moment.
+        async resolve(code) {
+            code = ClypseCodes.normalize(code);
+            const lookup = await this.lookup('files', code);
+            if (!lookup.allowed) {
+                const error = new Error(`Too many codes that do not exist. Try again in ${Math.ceil(lookup.wait / 1000)}s`);
+                error.wait = lookup.wait;
+                throw error;
+            }
+            return this.getFile(code);
+        }
+
+        // Resolves fileData with its locator once the password has led to it, or null when the
+        // password is wrong. Records from before locators kept the hash next to everything else.
+        async unlockFile(code, fileData, password) {
+            const { salt, iterations, hash } = fileData.password;
+            const proof = await ClypseCrypto.hashPassword(password, salt, iterations);
+            if (hash) {
+                return proof === hash ? fileData : null;
+            }
+
+            const locator = (await this.database.ref(`locators/${code}/${proof}`).once('value')).val();
+            return locator ? { ...fileData, ...locator, password: { salt, iterations, hash: proof } } : null;
+        }
+
+        // Resolves a key of ClypseClient.UNAVAILABLE, or null when the file can be downloaded
+        checkAvailability(fileData) {
+            if (Date.now() > fileData.expires) {
+                return 'expired';
+            }
+            if (fileData.maxDownloads && (fileData.downloads || 0) >= fileData.maxDownloads) {
+                return 'limit';
+            }
+            if (fileData.status && fileData.status !== 'complete') {
+                return 'uploading';
+            }
+            return null;
+        }
+
+        // Counts the download atomically, so concurrent downloads cannot exceed the limit.
+        // Only the counter is written; the rules let downloaders raise it by one and nothing else.
+        async claimDownload(code) {
+            const fileData = await this.getFile(code);
+            const unavailable = fileData ? this.checkAvailability(fileData) : 'missing';
+            if (unavailable) {
+                return { allowed: false, reason: unavailable };
+            }
+
+            const { maxDownloads } = fileData;
+            const result = await this.database.ref(`files/${code}/downloads`).transaction((current) => {
+                const downloads = current || 0;
+                if (maxDownloads && downloads >= maxDownloads) {
+                    return;
+                }
+                return downloads + 1;
+            }, undefined, false);
+
+            if (!result.committed) {
+                return { allowed: false, reason: 'limit' };
+            }
+
+            return {
+                allowed: true,
+                last: Boolean(maxDownloads) && result.snapshot.val() >= maxDownloads
+            };
+        }
+
+        // A readable stream of the stored bytes, decrypted when cryptoKey is given. Bundle
+        // entries pass the bundle's storage. The digest is not checked here; pipe through
+        // ClypseHash.createVerifier for that.
+        async openStream(entry, { cryptoKey = null, aadPrefix = '', storage = entry.storage } = {}) {
+            const adapter = this.getStorageAdapter(storage);
+            return entry.chunked
+                ? this.createChunkStream(entry, adapter, cryptoKey, aadPrefix)
+                : this.fetchObjectStream(entry, adapter);
+        }
+
+        async fetchObjectStream(entry, adapter) {
+            const url = await adapter.getDownloadUrl(entry);
+            const response = await this.fetch(url);
+            if (url.startsWith('blob:')) URL.revokeObjectURL(url);
+            if (!response.ok) {
+                throw new Error(`Download failed: ${response.status}`);
+            }
+            return response.body;
+        }
+
+        createChunkStream(fileData, adapter, cryptoKey, aadPrefix = '') {
+            const chunks = Object.entries(fileData.chunks || {})
+                .filter(([, chunk]) => chunk)
+                .sort(([a], [b]) => Number(a) - Number(b))
+                .map(([, chunk]) => chunk);
+
+            if (chunks.length !== fileData.chunkCount) {
+                throw new Error('File is missing chunks');
+            }
+
+            let index = 0;
+            let reader = null;
+
+            // Chunks are fetched one at a time as the consumer pulls, in manifest order
+            return new ReadableStream({
+                pull: async (controller) => {
+                    while (true) {
+                        if (!reader) {
+                            if (index >= chunks.length) {
+                                controller.close();
+                                return;
+                            }
+
+                            const url = await adapter.getDownloadUrl(chunks[index++]);
+                            const response = await this.fetch(url);
+                            if (url.startsWith('blob:')) URL.revokeObjectURL(url);
+                            if (!response.ok) {
+                                throw new Error(`Chunk ${index} failed: ${response.status}`);
+                            }
+
+                            // Encrypted chunks are sealed as a unit, so they are decrypted whole
+                            if (cryptoKey) {
+                                const plaintext = await ClypseCrypto.decrypt(cryptoKey, await response.arrayBuffer(),
+                                    `${aadPrefix}chunk:${index - 1}/${fileData.chunkCount}`);
+                                controller.enqueue(new Uint8Array(plaintext));
+                                return;
+                            }
+
+                            reader = response.body.getReader();
+                        }
+
+                        const { done, value } = await reader.read();
+                        if (done) {
+                            reader = null;
+                            continue;
+                        }
+
+                        controller.enqueue(value);
+                        return;
+                    }
+                }
+            });
+        }
+
+        // Removes the metadata and, where the backend supports it, the stored objects.
+        // The uploader's file list entry goes too when owner is the one it belongs to.
+        async purge(fileData, owner = null) {
+            // The uploader and the owner's devices may read every locator of a file
+            if (this.database && fileData.password && !LOCATOR_FIELDS.some(field => field in fileData)) {
+                try {
+                    const locators = (await this.database.ref(`locators/${fileData.code}`).once('value')).val();
+                    fileData = { ...fileData, ...Object.values(locators || {})[0] };
+                } catch (error) {
+                    console.warn('File locator not readable:', error.message);
+                }
+            }
+
+            if (this.database) {
+                const removals = { [`files/${fileData.code}`]: null };
+                if (fileData.password) {
+                    removals[`locators/${fileData.code}`] = null;
+                }
+                if (fileData.owner && fileData.owner === owner) {
+                    removals[`owners/${fileData.owner}/files/${fileData.code}`] = null;
+                }
+
+                try {
+                    await this.database.ref().update(removals);
+                } catch (error) {
+                    console.error('Failed to remove file metadata:', error);
+                }
+            }
+
+            const adapter = this.getStorageAdapter(fileData.storage);
+            for (const entry of getStoredObjects(fileData)) {
+                try {
+                    await adapter.delete(entry);
+                } catch (error) {
+                    console.warn('Stored object not deleted:', error.message);
+                }
+            }
+        }
+
+        // OWNER METHODS
+
+        // The rules only let registered devices read or change an owner's file list. The
+        // first device registers freely; later ones need a pairing code (see completePairing).
+        async registerOwnerDevice(owner) {
+            await this.database.ref(`owners/${owner.id}/devices/${this.deviceId}`).set(true);
+        }
+
+        // The owner secret doubles as the AES key that seals the synced file list. Only
+        // the dates stay readable, so the retention sweep can drop expired entries.
+        async indexOwnedFile(owner, code, file) {
+            const payload = await ClypseCrypto.encryptJson(await ClypseCrypto.importKey(owner.secret), {
+                name: file.name,
+                type: file.type,
+                size: file.size,
+                fileKey: file.fileKey || null,
+                sha256: file.sha256 || null,
+                bundle: Boolean(file.bundle),
+                count: file.count || null
+            });
+            await this.database.ref(`owners/${owner.id}/files/${code}`).set({
+                payload,
+                uploaded: file.uploaded,
+                expires: file.expires
+            });
+        }
+
+        // The pairing code is also the passphrase the owner identity is sealed with.
+        // Resolves the owner, or null when the code is unknown or has expired.
+        async openPairing(code) {
+            const pairing = (await this.database.ref(`pairings/${code}`).once('value')).val();
+            if (!pairing || !pairing.payload || pairing.expires < Date.now()) {
+                return null;
+            }
+
+            const key = await ClypseCrypto.deriveKey(code, pairing.salt, pairing.iterations);
+            return ClypseCrypto.decryptJson(key, pairing.payload);
+        }
+
+        // Registering needs the pairing code, so it happens before the code is used up
+        async completePairing(code, owner) {
+            await this.database.ref(`owners/${owner.id}/devices/${this.deviceId}`).set(code);
+            await this.database.ref(`pairings/${code}`).remove();
+        }
+
+        // ROOM METHODS
+
+        async roomExists(code) {
+            return (await this.database.ref(`rooms/${code}/created`).once('value')).exists();
+        }
+
+        async getRoomEncryption(code) {
+            return (await this.database.ref(`rooms/${code}/encryption`).once('value')).val();
+        }
+
+        // Resolves the room key, or null when the passphrase does not open the check value
+        async unlockRoom(encryption, passphrase) {
+            const key = await ClypseCrypto.deriveKey(passphrase, encryption.salt, encryption.iterations);
+
+            try {
+                await ClypseCrypto.decryptJson(key, encryption.check);
+            } catch (error) {
+                return null;
+            }
+            return key;
+        }
+
+        // Joins and starts emitting 'message' (key, message, record) and 'messageRemoved' (key)
+        // for the newest page. Pass the key from unlockRoom, or the passphrase, for encrypted
+        // rooms. Resolves with the keys of that first page.
+        async joinRoom(code, { key = null, passphrase = null } = {}) {
+            code = ClypseCodes.normalize(code);
+            if (this.room) {
+                this.leaveRoom();
+            }
+
+            if (passphrase) {
+                const encryption = await this.getRoomEncryption(code);
+                key = encryption ? await this.unlockRoom(encryption, passphrase) : null;
+                if (encryption && !key) {
+                    throw new Error('Wrong passphrase for this room');
+                }
+            }
+
+            this.room = code;
+            this.roomRef = this.database.ref(`rooms/${code}`);
+            this.roomKey = key;
+
+            // Membership keeps the room readable once this device looks up other codes
+            this.roomRef.child(`members/${this.deviceId}`).set(SERVER_TIMESTAMP).catch((error) => {
+                console.error('Failed to join room members:', error);
+            });
+            this.touchRoom();
+
+            return this.subscribeMessages(code);
+        }
+
+        // The newest page is watched without an upper bound, so new messages arrive as
+        // child_added and nothing slides out of the window the way limitToLast would
+        async subscribeMessages(room) {
+            const messagesRef = this.roomRef.child('messages');
+            const snapshot = await messagesRef.orderByKey().limitToLast(this.config.messagePageSize).once('value');
+            if (room !== this.room) return [];
+
+            const keys = Object.keys(snapshot.val() || {});
+            this.oldestMessageKey = keys[0] || null;
+            this.hasOlderMessages = keys.length >= this.config.messagePageSize;
+
+            this.watchMessages(this.oldestMessageKey ? messagesRef.orderByKey().startAt(this.oldestMessageKey) : messagesRef.orderByKey(), room);
+            return keys;
+        }
+
+        async loadOlderMessages() {
+            if (!this.roomRef || !this.hasOlderMessages || this.loadingOlderMessages) return;
+
+            const room = this.room;
+            this.loadingOlderMessages = true;
+
+            try {
+                const query = this.roomRef.child('messages')
+                    .orderByKey()
+                    .endBefore(this.oldestMessageKey)
+                    .limitToLast(this.config.messagePageSize);
+                const snapshot = await query.once('value');
+                if (room !== this.room) return;
+
+                const keys = Object.keys(snapshot.val() || {});
+                this.hasOlderMessages = keys.length >= this.config.messagePageSize;
+                if (keys.length === 0) return;
+
+                // Older pages stay subscribed too, so edits and deletes in them still show up
+                this.oldestMessageKey = keys[0];
+                this.watchMessages(query, room);
+            } catch (error) {
+                console.error('Failed to load older messages:', error);
+            } finally {
+                this.loadingOlderMessages = false;
+            }
+        }
+
+        watchMessages(query, room) {
+            const handlers = {
+                child_added: (snapshot) => this.handleMessageSnapshot(snapshot, room),
+                child_changed: (snapshot) => this.handleMessageSnapshot(snapshot, room),
+                child_removed: (snapshot) => {
+                    // Outdates a decrypt still in flight for the same key
+                    this.messageVersions.set(snapshot.key, (this.messageVersions.get(snapshot.key) || 0) + 1);
+                    this.emit('messageRemoved', snapshot.key);
+                }
+            };
+
+            Object.entries(handlers).forEach(([event, handler]) => query.on(event, handler));
+            this.messageQueries.push({ query, handlers });
+        }
+
+        unwatchMessages() {
+            this.messageQueries.forEach(({ query, handlers }) => {
+                Object.entries(handlers).forEach(([event, handler]) => query.off(event, handler));
+            });
+            this.messageQueries = [];
+            this.messageVersions.clear();
+            this.oldestMessageKey = null;
+            this.hasOlderMessages = false;
+        }
+
+        async handleMessageSnapshot(snapshot, room) {
+            const key = snapshot.key;
+            // Decrypting is async, so a newer event for the same key must win
+            const version = (this.messageVersions.get(key) || 0) + 1;
+            this.messageVersions.set(key, version);
+
+            const message = await this.openMessage(key, snapshot.val());
+            if (room !== this.room || this.messageVersions.get(key) !== version) return;
+
+            this.emit('message', key, message, snapshot.val());
+        }
+
+        // Decrypts where needed; results are cached by ciphertext
+        async openMessage(key, message) {
+            if (!message.encrypted) return message;
+
+            if (!this.decryptedPayloads.has(message.payload)) {
+                let content = null;
+                try {
+                    content = this.roomKey ? await ClypseCrypto.decryptJson(this.roomKey, message.payload) : null;
+                } catch (error) {
+                    console.warn('Could not decrypt message:', key);
+                }
+                this.decryptedPayloads.set(message.payload, content);
+            }
+
+            const content = this.decryptedPayloads.get(message.payload);
+            return content ? { ...message, ...content } : { ...message, locked: true };
+        }
+
+        // In encrypted rooms everything but the routing fields goes into the payload
+        async sealMessage(message) {
+            if (!this.roomKey) return message;
+
+            const { id, key, sender, device, timestamp, expires, ...content } = message;
+            const sealed = {
+                id,
+                key,
+                sender,
+                device,
+                timestamp,
+                encrypted: true,
+                payload: await ClypseCrypto.encryptJson(this.roomKey, content)
+            };
+            if (expires) {
+                sealed.expires = expires;
+            }
+            return sealed;
+        }
+
+        // Messages carry their own push key and the sender's deviceId so they can be edited or
+        // deleted later. Push keys are generated locally, so a message kept back while offline
+        // keeps its place once published. Returns { key, stored, record } with record sealed.
+        async prepareMessage(message, { expiresIn = 0 } = {}) {
+            const key = this.roomRef.child('messages').push().key;
+            const stored = { ...message, key, sender: this.deviceId };
+            if (expiresIn) {
+                stored.expires = Date.now() + expiresIn;
+            }
+
+            return { key, stored, record: await this.sealMessage(stored) };
+        }
+
+        async publish(key, record, room = this.room) {
+            await this.database.ref(`rooms/${room}/messages/${key}`).set(record);
+            this.touchRoom(room);
+        }
+
+        // Sends a text message, or a code snippet when language is set; resolves with its key
+        async send(text, { language = null, expiresIn = 0 } = {}) {
+            if (!this.room) {
+                throw new Error('Join a room first');
+            }
+
+            const message = {
+                id: createId(),
+                type: language ? 'code' : 'text',
+                text: text,
+                device: this.device,
+                timestamp: Date.now()
+            };
+            if (language) {
+                message.language = language;
+            }
+
+            const { key, record } = await this.prepareMessage(message, { expiresIn });
+            await this.publish(key, record);
+            return key;
+        }
+
+        touchRoom(room = this.room) {
+            if (!room || !this.database) return;
+
+            this.database.ref(`rooms/${room}/lastActivity`).set(SERVER_TIMESTAMP).catch((error) => {
+                console.error('Failed to update room activity:', error);
+            });
+        }
+
+        leaveRoom() {
+            this.unwatchMessages();
+            this.decryptedPayloads.clear();
+            this.room = null;
+            this.roomRef = null;
+            this.roomKey = null;
+        }
+    }
+
+    ClypseClient.DEFAULT_CONFIG = DEFAULT_CONFIG;
+    ClypseClient.UNAVAILABLE = UNAVAILABLE;
+    ClypseClient.getStoredObjects = getStoredObjects;
+
+    return ClypseClient;
+});
@@ -0,0 +1,85 @@
+/**
+ * Clypse Share Codes
+ * Random share codes from crypto.getRandomValues, either as characters
+ * ("K7QM") or as readable words ("apple-river-seven").
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ClypseCodes = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    return {
+        // 256 short, distinct words so every word carries exactly 8 bits
+        WORDS: [
+            'acid', 'acorn', 'actor', 'adobe', 'agent', 'alarm', 'album', 'alert', 'alien', 'alpha',
+            'amber', 'angle', 'ankle', 'apple', 'april', 'apron', 'arena', 'arrow', 'aspen', 'atlas',
+            'attic', 'audio', 'autumn', 'bacon', 'badge', 'baker', 'bamboo', 'banjo', 'barn', 'basil',
+            'basin', 'beach', 'beard', 'berry', 'bison', 'blade', 'blaze', 'bloom', 'board', 'boat',
+            'bonus', 'brave', 'bread', 'brick', 'bridge', 'brook', 'brush', 'bubble', 'cabin', 'cable',
+            'cactus', 'camel', 'candy', 'canoe', 'canyon', 'cargo', 'carpet', 'castle', 'cedar', 'chalk',
+            'cherry', 'chess', 'chief', 'cider', 'cinema', 'circle', 'citrus', 'clay', 'cliff', 'clock',
+            'cloud', 'clover', 'coast', 'cobalt', 'cocoa', 'comet', 'coral', 'cotton', 'cousin', 'coyote',
+            'crane', 'crayon', 'cream', 'creek', 'crown', 'cube', 'dairy', 'daisy', 'dance', 'delta',
+            'denim', 'desert', 'diary', 'dingo', 'disco', 'dock', 'donkey', 'dragon', 'drum', 'eagle',
+            'earth', 'easel', 'echo', 'elbow', 'ember', 'engine', 'falcon', 'fern', 'ferry', 'fiber',
+            'field', 'finch', 'flame', 'flute', 'forest', 'fossil', 'fox', 'frost', 'fudge', 'galaxy',
+            'garden', 'garlic', 'gecko', 'ginger', 'globe', 'glove', 'goose', 'grape', 'gravel', 'guitar',
+            'hammer', 'harbor', 'hazel', 'hedge', 'helmet', 'heron', 'hill', 'honey', 'horse', 'hotel',
+            'igloo', 'index', 'indigo', 'iris', 'island', 'ivory', 'jacket', 'jade', 'jaguar', 'jelly',
+            'jersey', 'jewel', 'jungle', 'kayak', 'kettle', 'kiwi', 'koala', 'ladder', 'lagoon', 'lake',
+            'lamp', 'lemon', 'lilac', 'lime', 'linen', 'lion', 'lizard', 'llama', 'locket', 'lotus',
+            'lunar', 'magnet', 'mango', 'maple', 'marble', 'meadow', 'melon', 'meteor', 'mint', 'mirror',
+            'mocha', 'monkey', 'moose', 'mosaic', 'moss', 'motor', 'mural', 'nectar', 'needle', 'noodle',
+            'north', 'oasis', 'ocean', 'olive', 'onion', 'orbit', 'orchid', 'otter', 'oyster', 'paddle',
+            'panda', 'paper', 'parrot', 'peach', 'pearl', 'pebble', 'pepper', 'piano', 'pilot', 'pine',
+            'planet', 'plum', 'pony', 'poppy', 'prism', 'puzzle', 'quartz', 'quill', 'rabbit', 'radar',
+            'radio', 'raven', 'reef', 'ribbon', 'river', 'robin', 'rocket', 'rose', 'ruby', 'saddle',
+            'salmon', 'sand', 'satin', 'scarf', 'seven', 'shadow', 'shell', 'silver', 'sketch', 'sled',
+            'slope', 'smoke', 'snow', 'socket', 'sofa', 'spice', 'spider', 'spoon', 'spring', 'spruce',
+            'squid', 'star', 'stone', 'storm', 'sugar', 'summer'
+        ],
+
+        MIN_LENGTH: 4,
+        MAX_LENGTH: 64,
+
+        randomIndex(max) {
+            // Rejection sampling keeps the distribution uniform for any alphabet size
+            const limit = Math.floor(0x100000000 / max) * max;
+            const buffer = new Uint32Array(1);
+            do {
+                crypto.getRandomValues(buffer);
+            } while (buffer[0] >= limit);
+            return buffer[0] % max;
+        },
+
+        randomChars(alphabet, length) {
+            let code = '';
+            for (let i = 0; i < length; i++) {
+                code += alphabet.charAt(this.randomIndex(alphabet.length));
+            }
+            return code;
+        },
+
+        randomWords(count) {
+            const words = [];
+            for (let i = 0; i < count; i++) {
+                words.push(this.WORDS[this.randomIndex(this.WORDS.length)]);
+            }
+            return words.join('-');
+        },
+
+        // Character codes are upper case, word codes lower case with dashes
+        normalize(value) {
+            const cleaned = value.replace(/[^A-Za-z0-9-]/g, '').substring(0, this.MAX_LENGTH);
+            return cleaned.includes('-') ? cleaned.toLowerCase() : cleaned.toUpperCase();
+        },
+
+        isValid(code) {
+            if (code.length < this.MIN_LENGTH || code.length > this.MAX_LENGTH) return false;
+            return /^[A-Z0-9]+$/.test(code) || /^[a-z]+(-[a-z]+)+$/.test(code);
+        }
+    };
+});
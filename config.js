@@ -0,0 +1,258 @@
+/**
+ * Clypse Runtime Configuration
+ * Self-hosted instances override the defaults in ClypseApp with a clypse.config.json
+ * next to index.html and, on top of that, a <meta name="clypse-config"> tag holding
+ * JSON. Only settings listed in SCHEMA may be overridden; anything else, or a value
+ * of the wrong kind, stops the app with an error screen instead of half working.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./limits.js'));
+    } else {
+        root.ClypseConfig = factory(root.ClypseLimits);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ClypseLimits) {
+    const CONFIG_URL = 'clypse.config.json';
+    const META_NAME = 'clypse-config';
+
+    // Leaves have a type; every other object is a section. nullable also accepts ''.
+    const SCHEMA = {
+        publicUrl: { type: 'url', absolute: true, nullable: true },
+        branding: {
+            title: { type: 'string', max: 60, nullable: true },
+            subtitle: { type: 'string', max: 120, nullable: true },
+            logo: { type: 'url', nullable: true },
+            accentColor: { type: 'color', nullable: true }
+        },
+        features: {
+            files: { type: 'boolean' },
+            rooms: { type: 'boolean' }
+        },
+        firebase: {
+            apiKey: { type: 'string', max: 200, nullable: true },
+            databaseURL: { type: 'url', absolute: true },
+            emulators: { type: 'object', nullable: true }
+        },
+        storage: {
+            backend: { type: 'enum', values: ['telegraph', 'http', 's3', 'indexeddb'] },
+            maxFileSize: { type: 'integer', min: 1 },
+            telegraph: {
+                uploadUrl: { type: 'url' },
+                baseUrl: { type: 'url' }
+            },
+            http: {
+                uploadUrl: { type: 'url', nullable: true },
+                baseUrl: { type: 'url', nullable: true },
+                method: { type: 'enum', values: ['PUT', 'POST'] },
+                fieldName: { type: 'string', max: 64 },
+                headers: { type: 'object' }
+            },
+            s3: {
+                presignUrl: { type: 'url', nullable: true },
+                publicBaseUrl: { type: 'url', nullable: true }
+            },
+            indexeddb: {
+                dbName: { type: 'string', max: 64 }
+            }
+        },
+        upload: {
+            retries: { type: 'integer', min: 0, max: 10 },
+            retryDelay: { type: 'integer', min: 0 },
+            chunkThreshold: { type: 'integer', min: 1048576 },
+            chunkSize: { type: 'integer', min: 1048576 }
+        },
+        codeFormat: { type: 'enum', values: ['chars', 'words'] },
+        codeLength: { type: 'integer', min: 4, max: 64 },
+        codeWords: { type: 'integer', min: 2, max: 8 },
+        cleanupDays: { type: 'number', min: 0.04, max: ClypseLimits.MAX_EXPIRY_DAYS },
+        maxExpiryDays: { type: 'number', min: 0.04, max: ClypseLimits.MAX_EXPIRY_DAYS },
+        pairingExpiry: { type: 'integer', min: 60000, max: ClypseLimits.MAX_PAIRING_EXPIRY },
+        notificationDuration: { type: 'integer', min: 1000, max: 120000 },
+        messagePageSize: { type: 'integer', min: 10, max: 500 },
+        retention: {
+            maxMessages: { type: 'integer', min: 1 },
+            messageMaxAgeDays: { type: 'number', min: 0.04 },
+            staleRoomDays: { type: 'number', min: 0.04 },
+            presenceMaxAgeHours: { type: 'number', min: 1 },
+            lookupMaxAgeHours: { type: 'number', min: 1 },
+            sweepIntervalHours: { type: 'number', min: 0.1 },
+            sweepBatchSize: { type: 'integer', min: 1, max: 500 }
+        }
+    };
+
+    function isPlainObject(value) {
+        return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function isLeaf(spec) {
+        return typeof spec.type === 'string';
+    }
+
+    function checkUrl(value, spec) {
+        try {
+            const url = spec.absolute ? new URL(value) : new URL(value, 'https://relative.invalid/');
+            return url.protocol === 'https:' || url.protocol === 'http:';
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Returns why value does not fit spec, or null
+    function checkValue(value, spec) {
+        if (spec.nullable && (value === null || value === '')) return null;
+
+        switch (spec.type) {
+            case 'string':
+                if (typeof value !== 'string') return 'must be a string';
+                if (spec.max && value.length > spec.max) return `must be at most ${spec.max} characters`;
+                return null;
+            case 'boolean':
+                return typeof value === 'boolean' ? null : 'must be true or false';
+            case 'number':
+            case 'integer':
+                if (typeof value !== 'number' || !Number.isFinite(value)) return 'must be a number';
+                if (spec.type === 'integer' && !Number.isInteger(value)) return 'must be a whole number';
+                if (spec.min !== undefined && value < spec.min) return `must be at least ${spec.min}`;
+                if (spec.max !== undefined && value > spec.max) return `must be at most ${spec.max}`;
+                return null;
+            case 'enum':
+                return spec.values.includes(value) ? null : `must be one of ${spec.values.join(', ')}`;
+            case 'url':
+                if (typeof value !== 'string' || !checkUrl(value, spec)) {
+                    return spec.absolute ? 'must be a full http(s) URL' : 'must be an http(s) URL or a path';
+                }
+                return null;
+            case 'color':
+                return typeof value === 'string' && /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)
+                    ? null
+                    : 'must be a hex color such as #21808d';
+            case 'object':
+                return isPlainObject(value) ? null : 'must be an object';
+            default:
+                return 'cannot be set';
+        }
+    }
+
+    // Lists every problem in overrides as "path: reason"
+    function validate(overrides, schema = SCHEMA, prefix = '') {
+        if (!isPlainObject(overrides)) {
+            return [`${prefix || 'configuration'}: must be an object`];
+        }
+
+        const problems = [];
+        Object.entries(overrides).forEach(([key, value]) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            const spec = Object.prototype.hasOwnProperty.call(schema, key) ? schema[key] : null;
+
+            if (!spec) {
+                problems.push(`${path}: unknown setting`);
+            } else if (isLeaf(spec)) {
+                const problem = checkValue(value, spec);
+                if (problem) problems.push(`${path}: ${problem}`);
+            } else {
+                problems.push(...validate(value, spec, path));
+            }
+        });
+        return problems;
+    }
+
+    // Sections merge key by key; leaves, arrays and free-form objects are replaced
+    function merge(base, overrides, schema = SCHEMA) {
+        const merged = { ...base };
+        Object.entries(overrides || {}).forEach(([key, value]) => {
+            const spec = schema[key];
+            merged[key] = spec && !isLeaf(spec) && isPlainObject(base[key])
+                ? merge(base[key], value, spec)
+                : value;
+        });
+        return merged;
+    }
+
+    function createError(problems) {
+        const error = new Error(`Invalid configuration: ${problems.join('; ')}`);
+        error.name = 'ConfigError';
+        error.problems = problems;
+        return error;
+    }
+
+    // Applies overrides to the defaults and checks the settings that depend on each other
+    function resolve(defaults, overrides = {}) {
+        const problems = validate(overrides);
+        const config = problems.length === 0 ? merge(defaults, overrides) : defaults;
+
+        if (config.features && !config.features.files && !config.features.rooms) {
+            problems.push('features: files and rooms cannot both be turned off');
+        }
+        if (config.cleanupDays > config.maxExpiryDays) {
+            problems.push('cleanupDays: must not be longer than maxExpiryDays');
+        }
+        if (config.upload && config.upload.chunkSize > config.upload.chunkThreshold) {
+            problems.push('upload.chunkSize: must not be larger than upload.chunkThreshold');
+        }
+
+        if (problems.length > 0) {
+            throw createError(problems);
+        }
+        return config;
+    }
+
+    // A missing file just means no overrides; anything unreadable is an error, so an
+    // instance never quietly falls back to the public database
+    async function loadFile(fetchImpl, url) {
+        let response;
+        try {
+            response = await fetchImpl(url, { cache: 'no-cache' });
+        } catch (error) {
+            throw createError([`${url}: could not be loaded (${error.message})`]);
+        }
+
+        if (response.status === 404) return {};
+        if (!response.ok) {
+            throw createError([`${url}: could not be loaded (HTTP ${response.status})`]);
+        }
+
+        try {
+            return JSON.parse(await response.text());
+        } catch (error) {
+            throw createError([`${url}: is not valid JSON (${error.message})`]);
+        }
+    }
+
+    function readMeta(doc) {
+        const meta = doc && doc.querySelector(`meta[name="${META_NAME}"]`);
+        if (!meta) return {};
+
+        try {
+            return JSON.parse(meta.getAttribute('content') || '{}');
+        } catch (error) {
+            throw createError([`<meta name="${META_NAME}">: is not valid JSON (${error.message})`]);
+        }
+    }
+
+    // Resolves with the combined overrides; rejects with a ConfigError listing the problems
+    async function load({ fetch: fetchImpl = fetch, document: doc = null, url = CONFIG_URL } = {}) {
+        const file = await loadFile(fetchImpl, url);
+        const meta = readMeta(doc);
+
+        const problems = [
+            ...validate(file).map(problem => `${url}: ${problem}`),
+            ...validate(meta).map(problem => `<meta name="${META_NAME}">: ${problem}`)
+        ];
+        if (problems.length > 0) {
+            throw createError(problems);
+        }
+
+        return merge(file, meta);
+    }
+
+    return {
+        CONFIG_URL,
+        META_NAME,
+        SCHEMA,
+        validate,
+        merge,
+        resolve,
+        load
+    };
+});
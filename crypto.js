@@ -0,0 +1,105 @@
+/**
+ * Clypse Crypto
+ * AES-GCM helpers for end-to-end encrypted files and rooms. File keys never leave
+ * the browser except inside the #fragment of a share link, which is not sent to
+ * any server; room keys are derived from a passphrase and never stored at all.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ClypseCrypto = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    return {
+        IV_LENGTH: 12,
+        PBKDF2_ITERATIONS: 310000,
+
+        generateKey() {
+            return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+        },
+
+        async exportKey(key) {
+            return this.toBase64Url(new Uint8Array(await crypto.subtle.exportKey('raw', key)));
+        },
+
+        importKey(text) {
+            return crypto.subtle.importKey('raw', this.fromBase64Url(text), { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+        },
+
+        async deriveKey(passphrase, salt, iterations) {
+            const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+            return crypto.subtle.deriveKey(
+                { name: 'PBKDF2', salt: this.fromBase64Url(salt), iterations: iterations, hash: 'SHA-256' },
+                material,
+                { name: 'AES-GCM', length: 256 },
+                false,
+                ['encrypt', 'decrypt']
+            );
+        },
+
+        async hashPassword(password, salt, iterations) {
+            const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+            const bits = await crypto.subtle.deriveBits(
+                { name: 'PBKDF2', salt: this.fromBase64Url(salt), iterations: iterations, hash: 'SHA-256' },
+                material,
+                256
+            );
+            return this.toBase64Url(new Uint8Array(bits));
+        },
+
+        randomSalt() {
+            return this.toBase64Url(crypto.getRandomValues(new Uint8Array(16)));
+        },
+
+        // Output layout: 12-byte IV followed by ciphertext + tag
+        async encrypt(key, data, additionalData) {
+            const iv = crypto.getRandomValues(new Uint8Array(this.IV_LENGTH));
+            const params = { name: 'AES-GCM', iv };
+            if (additionalData) params.additionalData = new TextEncoder().encode(additionalData);
+
+            const ciphertext = new Uint8Array(await crypto.subtle.encrypt(params, key, data));
+            const result = new Uint8Array(iv.length + ciphertext.length);
+            result.set(iv);
+            result.set(ciphertext, iv.length);
+            return result;
+        },
+
+        decrypt(key, data, additionalData) {
+            const bytes = new Uint8Array(data);
+            const params = { name: 'AES-GCM', iv: bytes.slice(0, this.IV_LENGTH) };
+            if (additionalData) params.additionalData = new TextEncoder().encode(additionalData);
+
+            return crypto.subtle.decrypt(params, key, bytes.slice(this.IV_LENGTH));
+        },
+
+        async encryptJson(key, value) {
+            const data = new TextEncoder().encode(JSON.stringify(value));
+            return this.toBase64Url(await this.encrypt(key, data));
+        },
+
+        async decryptJson(key, text) {
+            const data = await this.decrypt(key, this.fromBase64Url(text));
+            return JSON.parse(new TextDecoder().decode(data));
+        },
+
+        toBase64Url(bytes) {
+            let binary = '';
+            for (let i = 0; i < bytes.length; i += 0x8000) {
+                binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+            }
+            return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+        },
+
+        fromBase64Url(text) {
+            const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+            const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+            const bytes = new Uint8Array(binary.length);
+            for (let i = 0; i < binary.length; i++) {
+                bytes[i] = binary.charCodeAt(i);
+            }
+            return bytes;
+        }
+    };
+});
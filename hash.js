@@ -0,0 +1,166 @@
+/**
+ * Clypse Hash
+ * Incremental SHA-256 for checking that downloaded bytes match the uploaded ones.
+ * Web Crypto only digests whole buffers, so this takes data piece by piece and
+ * large files never have to be held in memory. Digests are lowercase hex.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ClypseHash = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const K = new Uint32Array([
+        0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+        0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+        0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+        0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+        0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+        0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+        0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+        0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+    ]);
+
+    // Returns { update(bytes), digest() -> hex }; update may be called any number of times
+    function create() {
+        const state = new Uint32Array([
+            0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+        ]);
+        const words = new Uint32Array(64);
+        const block = new Uint8Array(64);
+        let buffered = 0;
+        let length = 0;
+
+        function compress(bytes, offset) {
+            for (let i = 0; i < 16; i++) {
+                const at = offset + i * 4;
+                words[i] = (bytes[at] << 24) | (bytes[at + 1] << 16) | (bytes[at + 2] << 8) | bytes[at + 3];
+            }
+            for (let i = 16; i < 64; i++) {
+                const a = words[i - 15];
+                const b = words[i - 2];
+                const s0 = ((a >>> 7) | (a << 25)) ^ ((a >>> 18) | (a << 14)) ^ (a >>> 3);
+                const s1 = ((b >>> 17) | (b << 15)) ^ ((b >>> 19) | (b << 13)) ^ (b >>> 10);
+                words[i] = words[i - 16] + s0 + words[i - 7] + s1;
+            }
+
+            let [a, b, c, d, e, f, g, h] = state;
+            for (let i = 0; i < 64; i++) {
+                const s1 = ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^ ((e >>> 25) | (e << 7));
+                const t1 = (h + s1 + ((e & f) ^ (~e & g)) + K[i] + words[i]) | 0;
+                const s0 = ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^ ((a >>> 22) | (a << 10));
+                const t2 = (s0 + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+                h = g;
+                g = f;
+                f = e;
+                e = (d + t1) | 0;
+                d = c;
+                c = b;
+                b = a;
+                a = (t1 + t2) | 0;
+            }
+
+            state[0] += a;
+            state[1] += b;
+            state[2] += c;
+            state[3] += d;
+            state[4] += e;
+            state[5] += f;
+            state[6] += g;
+            state[7] += h;
+        }
+
+        function update(data) {
+            const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+            let offset = 0;
+            length += bytes.length;
+
+            if (buffered > 0) {
+                const take = Math.min(64 - buffered, bytes.length);
+                block.set(bytes.subarray(0, take), buffered);
+                buffered += take;
+                offset = take;
+                if (buffered < 64) return;
+                compress(block, 0);
+                buffered = 0;
+            }
+
+            for (; offset + 64 <= bytes.length; offset += 64) {
+                compress(bytes, offset);
+            }
+            block.set(bytes.subarray(offset), 0);
+            buffered = bytes.length - offset;
+        }
+
+        function digest() {
+            // Padding: a 1 bit, zeros, then the message length in bits as 64-bit big-endian
+            const bits = length * 8;
+            const tail = new Uint8Array(buffered < 56 ? 64 : 128);
+            tail.set(block.subarray(0, buffered));
+            tail[buffered] = 0x80;
+
+            const view = new DataView(tail.buffer);
+            view.setUint32(tail.length - 8, Math.floor(bits / 0x100000000));
+            view.setUint32(tail.length - 4, bits >>> 0);
+            for (let offset = 0; offset < tail.length; offset += 64) {
+                compress(tail, offset);
+            }
+
+            return Array.from(state, word => word.toString(16).padStart(8, '0')).join('');
+        }
+
+        return { update, digest };
+    }
+
+    async function digestStream(stream) {
+        const hash = create();
+        const reader = stream.getReader();
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            hash.update(value);
+        }
+        return hash.digest();
+    }
+
+    function digestBlob(blob) {
+        return digestStream(blob.stream());
+    }
+
+    // Passes bytes through unchanged and errors at the end if they do not match,
+    // so whatever the stream is piped into gets aborted instead of finished. The
+    // error is also kept on .failure for consumers that replace it with their own.
+    function createVerifier(expected, label) {
+        const hash = create();
+
+        const verifier = new TransformStream({
+            transform(chunk, controller) {
+                hash.update(chunk);
+                controller.enqueue(chunk);
+            },
+            flush() {
+                const actual = hash.digest();
+                if (actual !== expected) {
+                    const error = new Error(`${label || 'The file'} does not match the checksum recorded at upload and was not saved. ` +
+                        'It may have been corrupted or replaced in storage.');
+                    error.name = 'IntegrityError';
+                    error.expected = expected;
+                    error.actual = actual;
+                    verifier.failure = error;
+                    throw error;
+                }
+            }
+        });
+        return verifier;
+    }
+
+    return {
+        create,
+        digestStream,
+        digestBlob,
+        createVerifier
+    };
+});
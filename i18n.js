@@ -0,0 +1,205 @@
+/**
+ * Clypse Translations
+ * Message catalogs live in locales/<locale>.json as nested objects; keys are looked
+ * up by dotted path ("files.uploaded"). Values may hold {name} placeholders, and a
+ * value that is an object of plural forms (one, other, and for some languages zero,
+ * two, few, many) is picked by the count parameter through Intl.PluralRules. Keys a
+ * catalog lacks fall back to English. Numbers, sizes and times go through Intl.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ClypseI18n = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const DEFAULT_LOCALE = 'en';
+
+    // Names are shown in the language picker in their own language
+    const LOCALES = {
+        en: { name: 'English', dir: 'ltr' },
+        de: { name: 'Deutsch', dir: 'ltr' },
+        ar: { name: 'العربية', dir: 'rtl' }
+    };
+
+    const ATTRIBUTES = ['placeholder', 'title', 'aria-label'];
+    const SIZE_UNITS = ['byte', 'kilobyte', 'megabyte', 'gigabyte'];
+
+    // First supported match for a saved choice or navigator.languages; "de-AT" counts as "de"
+    function detect(candidates = []) {
+        for (const candidate of candidates) {
+            if (!candidate) continue;
+            const language = String(candidate).toLowerCase().split('-')[0];
+            if (LOCALES[language]) return language;
+        }
+        return DEFAULT_LOCALE;
+    }
+
+    function lookup(messages, key) {
+        let value = messages;
+        for (const part of key.split('.')) {
+            if (!value || typeof value !== 'object') return undefined;
+            value = value[part];
+        }
+        return value;
+    }
+
+    // Dotted keys of every message; plural form objects count as one message
+    function flatten(messages, prefix = '') {
+        const flat = {};
+        Object.entries(messages || {}).forEach(([key, value]) => {
+            const path = prefix ? `${prefix}.${key}` : key;
+            if (typeof value === 'string' || isPlural(value)) {
+                flat[path] = value;
+            } else if (value && typeof value === 'object') {
+                Object.assign(flat, flatten(value, path));
+            }
+        });
+        return flat;
+    }
+
+    function isPlural(value) {
+        return Boolean(value) && typeof value === 'object' && typeof value.other === 'string';
+    }
+
+    // The {placeholders} a message uses, across all of its plural forms
+    function placeholders(value) {
+        const texts = typeof value === 'string' ? [value] : Object.values(value || {});
+        const names = new Set();
+        texts.forEach((text) => {
+            String(text).replace(/\{(\w+)\}/g, (match, name) => names.add(name));
+        });
+        return [...names].sort();
+    }
+
+    async function loadCatalog(locale, fetchImpl) {
+        const response = await fetchImpl(`locales/${locale}.json`);
+        if (!response.ok) {
+            throw new Error(`Could not load locales/${locale}.json: ${response.status}`);
+        }
+        return response.json();
+    }
+
+    function createTranslator(locale, messages, fallback = {}) {
+        const plurals = new Intl.PluralRules(locale);
+        const numbers = new Intl.NumberFormat(locale);
+        const relative = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+
+        const formatNumber = (value, options) => options
+            ? new Intl.NumberFormat(locale, options).format(value)
+            : numbers.format(value);
+
+        function t(key, params = {}) {
+            let value = lookup(messages, key);
+            if (value === undefined) value = lookup(fallback, key);
+            if (value === undefined) return key;
+
+            if (isPlural(value)) {
+                const count = Number(params.count) || 0;
+                value = value[plurals.select(count)] || value.other;
+            }
+
+            return String(value).replace(/\{(\w+)\}/g, (match, name) => {
+                if (!(name in params)) return match;
+                const param = params[name];
+                return typeof param === 'number' ? numbers.format(param) : String(param);
+            });
+        }
+
+        function formatFileSize(bytes) {
+            const i = bytes > 0 ? Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), SIZE_UNITS.length - 1) : 0;
+            return formatNumber(bytes / Math.pow(1024, i), {
+                style: 'unit',
+                unit: SIZE_UNITS[i],
+                unitDisplay: i === 0 ? 'long' : 'short',
+                maximumFractionDigits: 2
+            });
+        }
+
+        // "1 min, 5 sec" style; the two largest units are enough for a countdown
+        function formatDuration(seconds) {
+            const total = Math.ceil(seconds);
+            const unit = (value, name) => formatNumber(value, { style: 'unit', unit: name, unitDisplay: 'short' });
+            if (total < 60) return unit(total, 'second');
+            if (total < 3600) return `${unit(Math.floor(total / 60), 'minute')} ${unit(total % 60, 'second')}`;
+            return `${unit(Math.floor(total / 3600), 'hour')} ${unit(Math.floor((total % 3600) / 60), 'minute')}`;
+        }
+
+        // Relative up to a month back, a plain date after that
+        function formatRelativeTime(timestamp, now = Date.now()) {
+            const diff = Math.floor((now - timestamp) / 1000);
+            if (diff < 60) return t('time.justNow');
+            if (diff < 3600) return relative.format(-Math.floor(diff / 60), 'minute');
+            if (diff < 86400) return relative.format(-Math.floor(diff / 3600), 'hour');
+            if (diff < 2592000) return relative.format(-Math.floor(diff / 86400), 'day');
+            return formatDate(timestamp);
+        }
+
+        function formatDate(timestamp) {
+            return new Date(timestamp).toLocaleDateString(locale);
+        }
+
+        function formatDateTime(timestamp) {
+            return new Date(timestamp).toLocaleString(locale);
+        }
+
+        // Fills elements marked data-i18n (text) and data-i18n-placeholder, -title, -aria-label
+        function translatePage(container) {
+            container.querySelectorAll('[data-i18n]').forEach((element) => {
+                element.textContent = t(element.getAttribute('data-i18n'));
+            });
+            ATTRIBUTES.forEach((attribute) => {
+                container.querySelectorAll(`[data-i18n-${attribute}]`).forEach((element) => {
+                    element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`)));
+                });
+            });
+        }
+
+        return {
+            locale,
+            dir: (LOCALES[locale] || LOCALES[DEFAULT_LOCALE]).dir,
+            t,
+            formatNumber,
+            formatFileSize,
+            formatDuration,
+            formatRelativeTime,
+            formatDate,
+            formatDateTime,
+            translatePage
+        };
+    }
+
+    // Loads the catalog for locale with English underneath. A catalog that will not
+    // load leaves English; if English is missing too, keys show through.
+    async function init({ locale = DEFAULT_LOCALE, fetch: fetchImpl = fetch } = {}) {
+        locale = LOCALES[locale] ? locale : DEFAULT_LOCALE;
+
+        let fallback = {};
+        try {
+            fallback = await loadCatalog(DEFAULT_LOCALE, fetchImpl);
+        } catch (error) {
+            console.error('Failed to load the English catalog:', error);
+        }
+        if (locale === DEFAULT_LOCALE) {
+            return createTranslator(locale, fallback, fallback);
+        }
+
+        try {
+            return createTranslator(locale, await loadCatalog(locale, fetchImpl), fallback);
+        } catch (error) {
+            console.error(`Failed to load the ${locale} catalog:`, error);
+            return createTranslator(DEFAULT_LOCALE, fallback, fallback);
+        }
+    }
+
+    return {
+        DEFAULT_LOCALE,
+        LOCALES,
+        detect,
+        flatten,
+        placeholders,
+        createTranslator,
+        init
+    };
+});
@@ -0,0 +1,40 @@
+/**
+ * Clypse IndexedDB helpers
+ * Small promise wrappers shared by the browser-side stores
+ */
+
+const ClypseIDB = {
+    open(name, version, upgrade) {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB not available'));
+                return;
+            }
+
+            const request = indexedDB.open(name, version);
+            request.onupgradeneeded = (event) => upgrade(request.result, event.oldVersion);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error(`IndexedDB "${name}" is blocked by another tab`));
+        });
+    },
+
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    async run(db, storeName, mode, callback) {
+        const tx = db.transaction(storeName, mode);
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+        });
+        const result = await callback(tx.objectStore(storeName));
+        await done;
+        return result;
+    }
+};
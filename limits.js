@@ -0,0 +1,58 @@
+/**
+ * Clypse Limits
+ * The limits the database rules enforce, in one place. database.rules.json is
+ * generated from database.rules.template.json with these values by
+ * scripts/build-rules.js; the app, the client, the configuration check and the
+ * retention policy read them from here, so a setting can no longer offer what the
+ * rules then refuse.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ClypseLimits = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const MINUTE = 60 * 1000;
+    const DAY = 24 * 60 * MINUTE;
+
+    const MAX_EXPIRY_DAYS = 31; // files/{code}/expires may be at most this far ahead
+    const MAX_PAIRING_EXPIRY = 15 * MINUTE; // and pairings/{code}/expires this far
+    const STALE_ROOM_DAYS = 14; // anyone may delete a room idle this long
+    const MESSAGE_MAX_AGE_DAYS = 30; // anyone may delete a message this old
+
+    // Wait between code lookups after this many misses in a row, longest first. Counted
+    // per signed-in uid, which a client can replace; see SECURITY.md
+    const LOOKUP_DELAYS = [
+        { misses: 10, delay: MINUTE },
+        { misses: 5, delay: 10000 },
+        { misses: 3, delay: 2000 },
+        { misses: 0, delay: 500 }
+    ];
+
+    // The {{name}} values database.rules.template.json is filled in with
+    function ruleValues() {
+        const misses = "newData.child('misses').val()";
+        const lookupDelay = LOOKUP_DELAYS
+            .map(({ misses: count, delay }) => count > 0 ? `${misses} >= ${count} ? ${delay} : ` : String(delay))
+            .join('');
+
+        return {
+            maxExpiry: MAX_EXPIRY_DAYS * DAY,
+            maxPairingExpiry: MAX_PAIRING_EXPIRY,
+            staleRoomAge: STALE_ROOM_DAYS * DAY,
+            messageMaxAge: MESSAGE_MAX_AGE_DAYS * DAY,
+            lookupDelay: `(${lookupDelay})`
+        };
+    }
+
+    return {
+        MAX_EXPIRY_DAYS,
+        MAX_PAIRING_EXPIRY,
+        STALE_ROOM_DAYS,
+        MESSAGE_MAX_AGE_DAYS,
+        LOOKUP_DELAYS,
+        ruleValues
+    };
+});
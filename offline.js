@@ -0,0 +1,82 @@
+/**
+ * Clypse Offline Store
+ * IndexedDB outbox for messages and uploads created without a connection, the
+ * last history of each room so it can be shown before the database answers, and
+ * content handed over by the OS share sheet. Also loaded by the service worker.
+ */
+
+const ClypseOffline = {
+    DB_NAME: 'clypse_offline',
+    dbPromise: null,
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = ClypseIDB.open(this.DB_NAME, 2, (db, oldVersion) => {
+                if (oldVersion < 1) {
+                    // Auto-increment ids keep the outbox in the order things were sent
+                    db.createObjectStore('outbox', { keyPath: 'id', autoIncrement: true });
+                    db.createObjectStore('rooms', { keyPath: 'room' });
+                }
+                if (oldVersion < 2) {
+                    db.createObjectStore('shares', { keyPath: 'id', autoIncrement: true });
+                }
+            });
+        }
+        return this.dbPromise;
+    },
+
+    async queue(entry) {
+        const db = await this.open();
+        return ClypseIDB.run(db, 'outbox', 'readwrite', (store) => ClypseIDB.request(store.add({
+            ...entry,
+            queued: Date.now()
+        })));
+    },
+
+    async pending() {
+        const db = await this.open();
+        return ClypseIDB.run(db, 'outbox', 'readonly', (store) => ClypseIDB.request(store.getAll()));
+    },
+
+    async remove(id) {
+        const db = await this.open();
+        await ClypseIDB.run(db, 'outbox', 'readwrite', (store) => ClypseIDB.request(store.delete(id)));
+    },
+
+    // Records are kept as stored in the database, so encrypted rooms stay encrypted on disk
+    async saveRoom(room, { encryption, messages }) {
+        const db = await this.open();
+        await ClypseIDB.run(db, 'rooms', 'readwrite', (store) => ClypseIDB.request(store.put({
+            room,
+            encryption: encryption || null,
+            messages,
+            saved: Date.now()
+        })));
+    },
+
+    async loadRoom(room) {
+        const db = await this.open();
+        const record = await ClypseIDB.run(db, 'rooms', 'readonly', (store) => ClypseIDB.request(store.get(room)));
+        return record || null;
+    },
+
+    async saveShare(share) {
+        const db = await this.open();
+        return ClypseIDB.run(db, 'shares', 'readwrite', (store) => ClypseIDB.request(store.add({
+            ...share,
+            received: Date.now()
+        })));
+    },
+
+    // A share is handed out once, then removed
+    async takeShare(id) {
+        const db = await this.open();
+        return ClypseIDB.run(db, 'shares', 'readwrite', async (store) => {
+            const share = await ClypseIDB.request(store.get(id));
+            if (share) {
+                await ClypseIDB.request(store.delete(id));
+            }
+            return share || null;
+        });
+    }
+};
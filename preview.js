@@ -0,0 +1,96 @@
+/**
+ * Clypse Preview
+ * Works out how a shared file can be shown inline and highlights text and code.
+ * highlight.js is only fetched the first time a text file is previewed.
+ */
+
+const ClypsePreview = {
+    HIGHLIGHT_URL: 'https://cdnjs.cloudflare.com/ajax/libs/highlight.js/11.9.0/highlight.min.js',
+    // Auto-detection gets slow on long inputs, so it only runs on the first part
+    AUTO_DETECT_LIMIT: 64 * 1024,
+
+    LANGUAGES: {
+        js: 'javascript', mjs: 'javascript', cjs: 'javascript', jsx: 'javascript',
+        ts: 'typescript', tsx: 'typescript', json: 'json',
+        py: 'python', rb: 'ruby', php: 'php', go: 'go', rs: 'rust',
+        java: 'java', kt: 'kotlin', swift: 'swift', dart: 'dart', scala: 'scala',
+        c: 'c', h: 'c', cpp: 'cpp', cc: 'cpp', hpp: 'cpp', cs: 'csharp',
+        sh: 'bash', bash: 'bash', zsh: 'bash', ps1: 'powershell', bat: 'dos',
+        html: 'xml', htm: 'xml', xml: 'xml', css: 'css', scss: 'scss', less: 'less',
+        md: 'markdown', yml: 'yaml', yaml: 'yaml', toml: 'ini', ini: 'ini', conf: 'ini',
+        sql: 'sql', lua: 'lua', r: 'r', pl: 'perl', diff: 'diff', patch: 'diff',
+        dockerfile: 'dockerfile', makefile: 'makefile',
+        txt: 'plaintext', log: 'plaintext', csv: 'plaintext', tsv: 'plaintext'
+    },
+
+    TEXT_TYPES: ['application/json', 'application/javascript', 'application/xml', 'application/x-sh', 'application/sql'],
+
+    extensionOf(name) {
+        const base = String(name || '').split('/').pop().toLowerCase();
+        // Files like Dockerfile or Makefile are recognised by their whole name
+        return base.includes('.') ? base.split('.').pop() : base;
+    },
+
+    // 'image' | 'audio' | 'video' | 'pdf' | 'text', or null when there is no inline preview
+    kindOf(name, type) {
+        type = (type || '').toLowerCase();
+
+        if (type.startsWith('image/')) return 'image';
+        if (type.startsWith('audio/')) return 'audio';
+        if (type.startsWith('video/')) return 'video';
+        if (type === 'application/pdf' || this.extensionOf(name) === 'pdf') return 'pdf';
+        if (type.startsWith('text/') || this.TEXT_TYPES.includes(type) || this.LANGUAGES[this.extensionOf(name)]) {
+            return 'text';
+        }
+        return null;
+    },
+
+    languageOf(name) {
+        return this.LANGUAGES[this.extensionOf(name)] || null;
+    },
+
+    loadHighlighter() {
+        if (window.hljs) return Promise.resolve(window.hljs);
+
+        if (!this.highlighterPromise) {
+            this.highlighterPromise = new Promise((resolve) => {
+                const script = document.createElement('script');
+                script.src = this.HIGHLIGHT_URL;
+                script.onload = () => resolve(window.hljs || null);
+                // Previews still work without colours if the CDN is unreachable
+                script.onerror = () => {
+                    this.highlighterPromise = null;
+                    resolve(null);
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return this.highlighterPromise;
+    },
+
+    // Returns escaped HTML for a <code> element; without a language the grammar is guessed
+    async highlight(text, language) {
+        const hljs = language === 'plaintext' ? null : await this.loadHighlighter();
+
+        try {
+            if (hljs && language && hljs.getLanguage(language)) {
+                return hljs.highlight(text, { language, ignoreIllegals: true }).value;
+            }
+            if (hljs && text.length <= this.AUTO_DETECT_LIMIT) {
+                return hljs.highlightAuto(text).value;
+            }
+        } catch (error) {
+            console.warn('Highlighting failed:', error.message);
+        }
+
+        return this.escapeHtml(text);
+    },
+
+    escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+};
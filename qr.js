@@ -0,0 +1,381 @@
+/**
+ * Clypse QR
+ * Encodes share links as QR codes in the browser and reads codes back from images.
+ * Encoding is done here (byte mode, error correction level M); decoding uses the
+ * browser's BarcodeDetector and falls back to jsQR, fetched on first use.
+ */
+
+const ClypseQR = {
+    DECODER_URL: 'https://cdn.jsdelivr.net/npm/jsqr@1.4.0/dist/jsQR.js',
+    // Larger photos are scaled down before decoding; QR codes stay readable well below this
+    DECODE_MAX_SIZE: 1600,
+
+    // Level M error correction codewords per block and number of blocks, indexed by version
+    ECC_CODEWORDS: [
+        -1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+        26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28
+    ],
+    ECC_BLOCKS: [
+        -1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+        17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49
+    ],
+
+    // Returns { size, modules } where modules[y][x] is true for a dark module
+    encode(text) {
+        const data = new TextEncoder().encode(text);
+        const version = this.chooseVersion(data.length);
+        const codewords = this.addErrorCorrection(this.encodeData(data, version), version);
+
+        let best = null;
+        for (let mask = 0; mask < 8; mask++) {
+            const matrix = this.buildMatrix(codewords, version, mask);
+            const penalty = this.penalty(matrix.modules);
+            if (!best || penalty < best.penalty) {
+                best = { ...matrix, penalty };
+            }
+        }
+        return { size: best.size, modules: best.modules };
+    },
+
+    toSvg(text, margin = 4) {
+        const { size, modules } = this.encode(text);
+        const total = size + margin * 2;
+        let path = '';
+
+        modules.forEach((row, y) => row.forEach((dark, x) => {
+            if (dark) path += `M${x + margin},${y + margin}h1v1h-1z`;
+        }));
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" shape-rendering="crispEdges">` +
+            `<rect width="${total}" height="${total}" fill="#fff"/><path d="${path}" fill="#000"/></svg>`;
+    },
+
+    rawDataModules(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignments = Math.floor(version / 7) + 2;
+            result -= (25 * alignments - 10) * alignments - 55;
+            if (version >= 7) result -= 36;
+        }
+        return result;
+    },
+
+    dataCodewords(version) {
+        return Math.floor(this.rawDataModules(version) / 8) - this.ECC_CODEWORDS[version] * this.ECC_BLOCKS[version];
+    },
+
+    chooseVersion(length) {
+        for (let version = 1; version <= 40; version++) {
+            const lengthBits = version < 10 ? 8 : 16;
+            if (4 + lengthBits + length * 8 <= this.dataCodewords(version) * 8) return version;
+        }
+        throw new Error('Text is too long for a QR code');
+    },
+
+    encodeData(data, version) {
+        const bits = [];
+        const push = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+        };
+
+        push(0b0100, 4); // byte mode
+        push(data.length, version < 10 ? 8 : 16);
+        data.forEach(byte => push(byte, 8));
+
+        const capacity = this.dataCodewords(version) * 8;
+        push(0, Math.min(4, capacity - bits.length));
+        push(0, (8 - bits.length % 8) % 8);
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        for (let pad = 0xEC; codewords.length < capacity / 8; pad ^= 0xEC ^ 0x11) {
+            codewords.push(pad);
+        }
+        return codewords;
+    },
+
+    // Splits the data into blocks, appends Reed-Solomon codewords and interleaves them
+    addErrorCorrection(data, version) {
+        const blockCount = this.ECC_BLOCKS[version];
+        const eccLength = this.ECC_CODEWORDS[version];
+        const rawCodewords = Math.floor(this.rawDataModules(version) / 8);
+        const shortBlocks = blockCount - rawCodewords % blockCount;
+        const shortBlockLength = Math.floor(rawCodewords / blockCount);
+        const divisor = this.reedSolomonDivisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+            offset += block.length;
+            const ecc = this.reedSolomonRemainder(block, divisor);
+            // Short blocks get a placeholder so every block has the same length for interleaving
+            if (i < shortBlocks) block.push(0);
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, j) => {
+                if (i !== shortBlockLength - eccLength || j >= shortBlocks) result.push(block[i]);
+            });
+        }
+        return result;
+    },
+
+    reedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < result.length; j++) {
+                result[j] = this.multiply(result[j], root);
+                if (j + 1 < result.length) result[j] ^= result[j + 1];
+            }
+            root = this.multiply(root, 0x02);
+        }
+        return result;
+    },
+
+    reedSolomonRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach((byte) => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= this.multiply(coefficient, factor);
+            });
+        });
+        return result;
+    },
+
+    // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+    multiply(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; i--) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    },
+
+    alignmentPositions(version) {
+        if (version === 1) return [];
+
+        const count = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        const result = [6];
+        for (let position = version * 4 + 10; result.length < count; position -= step) {
+            result.splice(1, 0, position);
+        }
+        return result;
+    },
+
+    buildMatrix(codewords, version, mask) {
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const reserved = Array.from({ length: size }, () => new Array(size).fill(false));
+        const set = (x, y, dark) => {
+            modules[y][x] = dark;
+            reserved[y][x] = true;
+        };
+
+        // Timing patterns, then finders and alignment patterns on top
+        for (let i = 0; i < size; i++) {
+            set(6, i, i % 2 === 0);
+            set(i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    const x = cx + dx;
+                    const y = cy + dy;
+                    if (x >= 0 && x < size && y >= 0 && y < size) set(x, y, distance !== 2 && distance !== 4);
+                }
+            }
+        });
+
+        const positions = this.alignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((cx, i) => positions.forEach((cy, j) => {
+            // The three corners are taken by finder patterns
+            if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    set(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }));
+
+        this.drawFormatBits(set, size, mask);
+        if (version >= 7) this.drawVersionBits(set, size, version);
+
+        // Data runs in two-module columns, zig-zagging up and down from the right edge
+        let bit = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right === 6) right = 5;
+            const upward = ((right + 1) & 2) === 0;
+            for (let vertical = 0; vertical < size; vertical++) {
+                const y = upward ? size - 1 - vertical : vertical;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    if (reserved[y][x] || bit >= codewords.length * 8) continue;
+                    modules[y][x] = ((codewords[bit >>> 3] >>> (7 - (bit & 7))) & 1) === 1;
+                    bit++;
+                }
+            }
+        }
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!reserved[y][x] && this.masked(mask, x, y)) modules[y][x] = !modules[y][x];
+            }
+        }
+
+        return { size, modules };
+    },
+
+    masked(mask, x, y) {
+        switch (mask) {
+            case 0: return (x + y) % 2 === 0;
+            case 1: return y % 2 === 0;
+            case 2: return x % 3 === 0;
+            case 3: return (x + y) % 3 === 0;
+            case 4: return (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0;
+            case 5: return (x * y) % 2 + (x * y) % 3 === 0;
+            case 6: return ((x * y) % 2 + (x * y) % 3) % 2 === 0;
+            default: return ((x + y) % 2 + (x * y) % 3) % 2 === 0;
+        }
+    },
+
+    // Level M is 00 in the format field, so only the mask number goes into the data bits
+    drawFormatBits(set, size, mask) {
+        let remainder = mask;
+        for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        const bits = ((mask << 10) | remainder) ^ 0x5412;
+        const bitAt = i => ((bits >>> i) & 1) === 1;
+
+        for (let i = 0; i <= 5; i++) set(8, i, bitAt(i));
+        set(8, 7, bitAt(6));
+        set(8, 8, bitAt(7));
+        set(7, 8, bitAt(8));
+        for (let i = 9; i < 15; i++) set(14 - i, 8, bitAt(i));
+
+        for (let i = 0; i < 8; i++) set(size - 1 - i, 8, bitAt(i));
+        for (let i = 8; i < 15; i++) set(8, size - 15 + i, bitAt(i));
+        set(8, size - 8, true);
+    },
+
+    drawVersionBits(set, size, version) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+        const bits = (version << 12) | remainder;
+
+        for (let i = 0; i < 18; i++) {
+            const dark = ((bits >>> i) & 1) === 1;
+            const a = size - 11 + i % 3;
+            const b = Math.floor(i / 3);
+            set(a, b, dark);
+            set(b, a, dark);
+        }
+    },
+
+    // The four penalty rules from the spec; the mask with the lowest score is used
+    penalty(modules) {
+        const size = modules.length;
+        let score = 0;
+        let dark = 0;
+
+        const lines = [];
+        for (let i = 0; i < size; i++) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        const finderLike = [
+            [true, false, true, true, true, false, true, false, false, false, false],
+            [false, false, false, false, true, false, true, true, true, false, true]
+        ];
+        lines.forEach((line) => {
+            let run = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    run++;
+                    continue;
+                }
+                if (run >= 5) score += run - 2;
+                run = 1;
+            }
+
+            for (let i = 0; i + 11 <= size; i++) {
+                if (finderLike.some(pattern => pattern.every((value, j) => line[i + j] === value))) score += 40;
+            }
+        });
+
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (modules[y][x]) dark++;
+                if (x < size - 1 && y < size - 1) {
+                    const color = modules[y][x];
+                    if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+                        score += 3;
+                    }
+                }
+            }
+        }
+
+        score += Math.floor(Math.abs(dark * 20 - size * size * 10) / (size * size)) * 10;
+        return score;
+    },
+
+    loadDecoder() {
+        if (window.jsQR) return Promise.resolve(window.jsQR);
+
+        if (!this.decoderPromise) {
+            this.decoderPromise = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = this.DECODER_URL;
+                script.onload = () => resolve(window.jsQR);
+                script.onerror = () => {
+                    this.decoderPromise = null;
+                    reject(new Error('QR decoder could not be loaded'));
+                };
+                document.head.appendChild(script);
+            });
+        }
+        return this.decoderPromise;
+    },
+
+    // Resolves with the text of the first QR code found in the image, or null
+    async decodeImage(file) {
+        const bitmap = await createImageBitmap(file);
+
+        try {
+            if ('BarcodeDetector' in window) {
+                const formats = await BarcodeDetector.getSupportedFormats();
+                if (formats.includes('qr_code')) {
+                    const codes = await new BarcodeDetector({ formats: ['qr_code'] }).detect(bitmap);
+                    return codes.length > 0 ? codes[0].rawValue : null;
+                }
+            }
+
+            const jsQR = await this.loadDecoder();
+            const scale = Math.min(1, this.DECODE_MAX_SIZE / Math.max(bitmap.width, bitmap.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(bitmap.width * scale);
+            canvas.height = Math.round(bitmap.height * scale);
+            const context = canvas.getContext('2d');
+            context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+
+            const image = context.getImageData(0, 0, canvas.width, canvas.height);
+            const code = jsQR(image.data, image.width, image.height);
+            return code ? code.data : null;
+        } finally {
+            bitmap.close();
+        }
+    }
+};
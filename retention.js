@@ -0,0 +1,93 @@
+/**
+ * Clypse Retention
+ * Decides which files/ entries and rooms/ data are due for removal. Shared by the
+ * opportunistic sweep in the browser and by scripts/cleanup.js, so both apply the
+ * same policy. Functions here only plan; callers perform the deletes.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ClypseRetention = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    const HOUR = 60 * 60 * 1000;
+    const DAY = 24 * HOUR;
+
+    const DEFAULT_POLICY = {
+        maxMessages: 500, // per room, oldest are trimmed first
+        messageMaxAgeDays: 30,
+        staleRoomDays: 14, // rooms without activity for this long are deleted
+        presenceMaxAgeHours: 24, // offline devices drop out of a room's presence list
+        lookupMaxAgeHours: 24 // lookup records idle this long are dropped, long after any backoff ran out
+    };
+
+    function isFileExpired(file, now) {
+        return Boolean(file) && typeof file.expires === 'number' && file.expires < now;
+    }
+
+    function planFileCleanup(files, now) {
+        return Object.entries(files || {})
+            .filter(([, file]) => isFileExpired(file, now))
+            .map(([code]) => code);
+    }
+
+    // Returns the device uids whose code lookups have all gone idle
+    function planLookupCleanup(lookups, policy, now) {
+        const settings = { ...DEFAULT_POLICY, ...policy };
+        const cutoff = now - settings.lookupMaxAgeHours * HOUR;
+
+        return Object.entries(lookups || {})
+            .filter(([, slots]) => Object.values(slots || {}).every(slot => !slot || slot.at < cutoff))
+            .map(([uid]) => uid);
+    }
+
+    // Rooms created before lastActivity was tracked fall back to their newest message
+    function roomActivity(room) {
+        let latest = Math.max(room.lastActivity || 0, room.created || 0);
+        Object.values(room.messages || {}).forEach((message) => {
+            if (message && message.timestamp > latest) latest = message.timestamp;
+        });
+        return latest;
+    }
+
+    function planRoomCleanup(room, policy, now) {
+        const settings = { ...DEFAULT_POLICY, ...policy };
+
+        if (!room) {
+            return { deleteRoom: false, messageKeys: [], presenceKeys: [] };
+        }
+
+        if (settings.staleRoomDays && now - roomActivity(room) > settings.staleRoomDays * DAY) {
+            return { deleteRoom: true, messageKeys: [], presenceKeys: [] };
+        }
+
+        const messages = Object.entries(room.messages || {})
+            .sort(([, a], [, b]) => (a.timestamp || 0) - (b.timestamp || 0));
+        const cutoff = settings.messageMaxAgeDays ? now - settings.messageMaxAgeDays * DAY : -Infinity;
+        const overflow = settings.maxMessages ? Math.max(0, messages.length - settings.maxMessages) : 0;
+
+        const messageKeys = messages
+            .filter(([, message], index) => index < overflow || !message || (message.timestamp || 0) < cutoff ||
+                (typeof message.expires === 'number' && message.expires < now))
+            .map(([key]) => key);
+
+        // Connected devices are removed by their own onDisconnect handler, never here
+        const presenceCutoff = settings.presenceMaxAgeHours ? now - settings.presenceMaxAgeHours * HOUR : -Infinity;
+        const presenceKeys = Object.entries(room.presence || {})
+            .filter(([, device]) => !device || (!device.online && (device.lastSeen || 0) < presenceCutoff))
+            .map(([key]) => key);
+
+        return { deleteRoom: false, messageKeys, presenceKeys };
+    }
+
+    return {
+        DEFAULT_POLICY,
+        isFileExpired,
+        planFileCleanup,
+        planLookupCleanup,
+        planRoomCleanup,
+        roomActivity
+    };
+});
@@ -0,0 +1,86 @@
+#!/usr/bin/env node
+/**
+ * Clypse rules build
+ * Writes database.rules.json from database.rules.template.json, filling each
+ * {{name}} in with the matching value from limits.js. Edit the template and run
+ * this instead of editing database.rules.json by hand.
+ *
+ *   node scripts/build-rules.js [--check]
+ *
+ * --check writes nothing and fails if database.rules.json is not what the
+ * template and limits.js produce.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { ruleValues } = require('../limits.js');
+
+const ROOT = path.join(__dirname, '..');
+const TEMPLATE = path.join(ROOT, 'database.rules.template.json');
+const RULES = path.join(ROOT, 'database.rules.json');
+
+function parseArgs(argv) {
+    const options = { check: false };
+
+    for (const arg of argv) {
+        switch (arg) {
+            case '--check':
+                options.check = true;
+                break;
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+// Throws on a {{name}} limits.js has no value for, so a typo never reaches the rules
+function render(template, values = ruleValues()) {
+    const rules = template.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+        if (!(name in values)) throw new Error(`Unknown limit in rules template: ${name}`);
+        return String(values[name]);
+    });
+    JSON.parse(rules);
+    return rules;
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    if (options.help) {
+        console.log('Usage: node scripts/build-rules.js [--check]');
+        return;
+    }
+
+    const rules = render(fs.readFileSync(TEMPLATE, 'utf8'));
+
+    if (options.check) {
+        if (fs.readFileSync(RULES, 'utf8') !== rules) {
+            console.error('database.rules.json is out of date; run node scripts/build-rules.js');
+            process.exit(1);
+        }
+        console.log('database.rules.json is up to date');
+        return;
+    }
+
+    fs.writeFileSync(RULES, rules);
+    console.log('Wrote database.rules.json');
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { parseArgs, render };
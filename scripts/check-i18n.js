@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+/**
+ * Clypse translation check
+ * Compares every catalog in locales/ with the English one and the English one
+ * with the keys app.js and index.html use.
+ *
+ *   node scripts/check-i18n.js [--strict]
+ *
+ * Fails on keys a catalog is missing, keys the pages use that English lacks and
+ * messages whose {placeholders} differ from English. Keys English no longer has
+ * and messages left identical to English are listed as warnings; --strict makes
+ * them fail too. Identical messages are often right ("OK", product names), so
+ * they are only a hint for translators.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_LOCALE, LOCALES, flatten, placeholders } = require('../i18n.js');
+
+const ROOT = path.join(__dirname, '..');
+const SOURCES = ['app.js', 'i18n.js', 'index.html'];
+
+function parseArgs(argv) {
+    const options = { strict: false };
+
+    for (const arg of argv) {
+        switch (arg) {
+            case '--strict':
+                options.strict = true;
+                break;
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+function loadCatalog(locale) {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, 'locales', `${locale}.json`), 'utf8'));
+}
+
+// Keys named in t('...') calls (either side of a ternary too) and data-i18n attributes.
+// t(`prefix.${value}`) yields a prefix that at least one key has to start with.
+function findUsedKeys(source) {
+    const keys = new Set();
+    const prefixes = new Set();
+
+    for (const [, args] of source.matchAll(/\bt\(([^()]*)/g)) {
+        for (const [, key] of args.matchAll(/'([a-zA-Z][\w]*(?:\.[\w]+)+)'/g)) {
+            keys.add(key);
+        }
+        for (const [, prefix] of args.matchAll(/`([a-zA-Z][\w.]*\.)\$\{/g)) {
+            prefixes.add(prefix);
+        }
+    }
+    for (const [, key] of source.matchAll(/data-i18n(?:-[\w-]+)?="([\w.]+)"/g)) {
+        keys.add(key);
+    }
+    for (const [, key] of source.matchAll(/setAttribute\('data-i18n(?:-[\w-]+)?', '([\w.]+)'\)/g)) {
+        keys.add(key);
+    }
+
+    return { keys, prefixes };
+}
+
+function sameList(a, b) {
+    return a.length === b.length && a.every((value, i) => value === b[i]);
+}
+
+// Returns { errors, warnings } as lists of readable lines
+function check({ catalogs, sources }) {
+    const errors = [];
+    const warnings = [];
+    const english = flatten(catalogs[DEFAULT_LOCALE]);
+
+    sources.forEach(({ name, text }) => {
+        const { keys, prefixes } = findUsedKeys(text);
+        keys.forEach((key) => {
+            if (!(key in english)) errors.push(`${name}: uses ${key}, which ${DEFAULT_LOCALE}.json does not have`);
+        });
+        prefixes.forEach((prefix) => {
+            if (!Object.keys(english).some(key => key.startsWith(prefix))) {
+                errors.push(`${name}: uses keys under ${prefix}*, which ${DEFAULT_LOCALE}.json does not have`);
+            }
+        });
+    });
+
+    Object.entries(catalogs).forEach(([locale, catalog]) => {
+        if (locale === DEFAULT_LOCALE) return;
+        const messages = flatten(catalog);
+
+        Object.entries(english).forEach(([key, value]) => {
+            if (!(key in messages)) {
+                errors.push(`${locale}: missing ${key}`);
+                return;
+            }
+            const expected = placeholders(value);
+            const actual = placeholders(messages[key]);
+            if (!sameList(expected, actual)) {
+                errors.push(`${locale}: ${key} uses {${actual.join('}, {')}} instead of {${expected.join('}, {')}}`);
+            }
+            if (JSON.stringify(messages[key]) === JSON.stringify(value)) {
+                warnings.push(`${locale}: ${key} is the same as in ${DEFAULT_LOCALE}`);
+            }
+        });
+
+        Object.keys(messages).forEach((key) => {
+            if (!(key in english)) warnings.push(`${locale}: ${key} is not in ${DEFAULT_LOCALE}.json`);
+        });
+    });
+
+    return { errors, warnings };
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    if (options.help) {
+        console.log('Usage: node scripts/check-i18n.js [--strict]');
+        return;
+    }
+
+    const catalogs = {};
+    Object.keys(LOCALES).forEach((locale) => {
+        catalogs[locale] = loadCatalog(locale);
+    });
+    const sources = SOURCES.map(name => ({ name, text: fs.readFileSync(path.join(ROOT, name), 'utf8') }));
+
+    const { errors, warnings } = check({ catalogs, sources });
+    warnings.forEach(line => console.warn(`warning: ${line}`));
+    errors.forEach(line => console.error(`error: ${line}`));
+    console.log(`${Object.keys(catalogs).length} catalogs, ${errors.length} errors, ${warnings.length} warnings`);
+
+    if (errors.length > 0 || (options.strict && warnings.length > 0)) {
+        process.exit(1);
+    }
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { parseArgs, findUsedKeys, check };
@@ -0,0 +1,247 @@
+#!/usr/bin/env node
+/**
+ * Clypse retention sweep
+ * Removes expired files/ entries with their stored objects and owner file list
+ * entries, expired pairing codes and idle lookup records, trims room histories
+ * and presence lists and deletes stale rooms through the Realtime Database REST
+ * API. Needs Node 20+ (global fetch). The database secret or admin token bypasses
+ * the security rules, which keep browsers from listing files/ and rooms/ themselves.
+ * Room histories are only trimmed here: joining a room loads just its latest
+ * messages, so browsers never see enough of it to trim.
+ *
+ *   node scripts/cleanup.js [--dry-run] [--database-url URL]
+ *                           [--upload-url URL] [--presign-url URL]
+ *                           [--max-messages N] [--message-days N] [--stale-days N]
+ *
+ * Environment:
+ *   CLYPSE_DATABASE_URL              database URL (defaults to the public instance)
+ *   CLYPSE_DATABASE_AUTH             database secret or OAuth access token
+ *   CLYPSE_UPLOAD_URL                http backend upload endpoint, where objects are deleted
+ *   CLYPSE_PRESIGN_URL               s3 backend presigning endpoint
+ *   FIREBASE_DATABASE_EMULATOR_HOST  e.g. 127.0.0.1:9000 to run against the emulator
+ *
+ * Objects are deleted through the same adapters the app uploads with. A file whose
+ * objects could not all be deleted keeps its metadata, so the next run tries again.
+ * Telegraph has no delete, and IndexedDB objects live in the uploader's browser;
+ * those files lose their metadata only.
+ */
+
+'use strict';
+
+const ClypseClient = require('../client.js');
+const { planFileCleanup, planLookupCleanup, planRoomCleanup, DEFAULT_POLICY } = require('../retention.js');
+const { buildStorageConfig } = require('./clypse.js');
+const { RestDatabase } = require('./rest-database.js');
+
+const DEFAULT_DATABASE_URL = 'https://clypse-app-default-rtdb.firebaseio.com/';
+const BROWSER_BACKENDS = ['indexeddb'];
+const PAGE_SIZE = 200;
+const INTEGER_KEY = /^-?(0|[1-9]\d{0,9})$/;
+
+function parseArgs(argv) {
+    const options = {
+        dryRun: false,
+        databaseUrl: process.env.CLYPSE_DATABASE_URL || DEFAULT_DATABASE_URL,
+        uploadUrl: process.env.CLYPSE_UPLOAD_URL || '',
+        presignUrl: process.env.CLYPSE_PRESIGN_URL || '',
+        policy: { ...DEFAULT_POLICY }
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--dry-run':
+                options.dryRun = true;
+                break;
+            case '--database-url':
+                options.databaseUrl = next();
+                break;
+            case '--upload-url':
+                options.uploadUrl = next();
+                break;
+            case '--presign-url':
+                options.presignUrl = next();
+                break;
+            case '--max-messages':
+                options.policy.maxMessages = Number(next());
+                break;
+            case '--message-days':
+                options.policy.messageMaxAgeDays = Number(next());
+                break;
+            case '--stale-days':
+                options.policy.staleRoomDays = Number(next());
+                break;
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+// The database's key order: keys that read as 32-bit integers first, by value, then the rest
+function compareKeys(a, b) {
+    const numberA = INTEGER_KEY.test(a) && Math.abs(Number(a)) < 2 ** 31 ? Number(a) : null;
+    const numberB = INTEGER_KEY.test(b) && Math.abs(Number(b)) < 2 ** 31 ? Number(b) : null;
+
+    if (numberA !== null && numberB !== null) return numberA - numberB;
+    if (numberA !== null) return -1;
+    if (numberB !== null) return 1;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Reads the children of path a page at a time in key order, so a large tree never has
+// to fit in memory. REST only knows startAt, so each page asks for the last key again.
+async function* readPages(db, path, pageSize = PAGE_SIZE) {
+    let last = null;
+    while (true) {
+        const query = { orderBy: '"$key"', limitToFirst: last === null ? pageSize : pageSize + 1 };
+        if (last !== null) query.startAt = JSON.stringify(last);
+
+        const value = (await db.get(path, query)) || {};
+        const keys = Object.keys(value).filter(key => key !== last).sort(compareKeys);
+        if (keys.length === 0) return;
+
+        const page = {};
+        keys.forEach((key) => {
+            page[key] = value[key];
+        });
+        yield page;
+
+        if (keys.length < pageSize) return;
+        last = keys[keys.length - 1];
+    }
+}
+
+// Resolves true once every stored object of the file is gone or can never be deleted
+async function deleteStoredObjects(client, fileData) {
+    if (BROWSER_BACKENDS.includes(fileData.storage)) return true;
+
+    const adapter = client.getStorageAdapter(fileData.storage);
+    let deleted = true;
+    for (const entry of ClypseClient.getStoredObjects(fileData)) {
+        try {
+            await adapter.delete(entry);
+        } catch (error) {
+            if (error.unsupported) return true;
+            console.warn(`Stored object of ${fileData.code} not deleted:`, error.message);
+            deleted = false;
+        }
+    }
+    return deleted;
+}
+
+async function run(options, env = process.env, db = new RestDatabase(options.databaseUrl, env)) {
+    const client = new ClypseClient({ config: { storage: buildStorageConfig(options) } });
+    const now = Date.now();
+    const paths = [];
+    const summary = { files: 0, kept: 0, rooms: 0, messages: 0, presence: 0, pairings: 0, lookups: 0 };
+
+    const pageSize = options.pageSize || PAGE_SIZE;
+
+    for await (const files of readPages(db, 'files', pageSize)) {
+        for (const code of planFileCleanup(files, now)) {
+            let fileData = { ...files[code], code };
+
+            // What locates a password-protected file's objects is kept apart from its record
+            if (fileData.password) {
+                fileData = { ...fileData, ...Object.values((await db.get(`locators/${code}`)) || {})[0] };
+            }
+
+            if (!options.dryRun && !(await deleteStoredObjects(client, fileData))) {
+                summary.kept++;
+                continue;
+            }
+
+            paths.push(`files/${code}`, `locators/${code}`);
+            summary.files++;
+        }
+    }
+
+    // Owner file lists and pairing codes carry the same expires field as files
+    const ownerIds = Object.keys((await db.get('owners', { shallow: 'true' })) || {});
+    for (const id of ownerIds) {
+        for await (const files of readPages(db, `owners/${id}/files`, pageSize)) {
+            planFileCleanup(files, now).forEach((code) => {
+                paths.push(`owners/${id}/files/${code}`);
+            });
+        }
+    }
+
+    for await (const pairings of readPages(db, 'pairings', pageSize)) {
+        planFileCleanup(pairings, now).forEach((code) => {
+            paths.push(`pairings/${code}`);
+            summary.pairings++;
+        });
+    }
+
+    for await (const lookups of readPages(db, 'lookups', pageSize)) {
+        planLookupCleanup(lookups, options.policy, now).forEach((uid) => {
+            paths.push(`lookups/${uid}`);
+            summary.lookups++;
+        });
+    }
+
+    // Rooms are read one at a time so a large tree never has to fit in memory
+    const roomCodes = Object.keys((await db.get('rooms', { shallow: 'true' })) || {});
+    for (const code of roomCodes) {
+        const plan = planRoomCleanup(await db.get(`rooms/${code}`), options.policy, now);
+
+        if (plan.deleteRoom) {
+            paths.push(`rooms/${code}`);
+            summary.rooms++;
+        } else {
+            plan.messageKeys.forEach((key) => paths.push(`rooms/${code}/messages/${key}`));
+            plan.presenceKeys.forEach((key) => paths.push(`rooms/${code}/presence/${key}`));
+            summary.messages += plan.messageKeys.length;
+            summary.presence += plan.presenceKeys.length;
+        }
+    }
+
+    if (!options.dryRun) {
+        await db.removePaths(paths);
+    }
+
+    return summary;
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    if (options.help) {
+        console.log('Usage: node scripts/cleanup.js [--dry-run] [--database-url URL] [--upload-url URL] [--presign-url URL] ' +
+            '[--max-messages N] [--message-days N] [--stale-days N]');
+        return;
+    }
+
+    const summary = await run(options);
+    const verb = options.dryRun ? 'Would remove' : 'Removed';
+    console.log(`${verb} ${summary.files} expired files, ${summary.rooms} stale rooms, ${summary.messages} old messages, ` +
+        `${summary.presence} offline devices, ${summary.pairings} pairing codes and ${summary.lookups} idle lookups`);
+    if (summary.kept > 0) {
+        console.log(`Kept ${summary.kept} expired files whose stored objects could not be deleted`);
+    }
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error('Cleanup failed:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = { parseArgs, run, RestDatabase };
@@ -0,0 +1,842 @@
+#!/usr/bin/env node
+/**
+ * Clypse command-line client
+ * Sends files, fetches share codes and pipes text through rooms from a terminal,
+ * using the same ClypseClient core as the web app, so everything it writes shows
+ * up in the browser like any other upload or message. Needs Node 20+ (global
+ * fetch, web streams and fs.openAsBlob).
+ *
+ *   clypse send <path...> [--encrypt] [--expires HOURS] [--max-downloads N]
+ *                         [--burn] [--password TEXT]
+ *   clypse get <CODE|LINK> [-o DIR] [--key KEY] [--password TEXT]
+ *   clypse room <CODE> --send [--language LANG] [--passphrase TEXT]  < message.txt
+ *   clypse room <CODE> --watch [--history] [--passphrase TEXT]
+ *   clypse link <PAIRING CODE>
+ *
+ * Common options: --database-url URL, --api-key KEY, --app-url URL, --storage NAME,
+ * --upload-url URL, --base-url URL, --presign-url URL
+ *
+ * Environment:
+ *   CLYPSE_DATABASE_URL              database URL (defaults to the public instance)
+ *   CLYPSE_API_KEY                   web API key used for anonymous sign-in
+ *   CLYPSE_APP_URL                   where the web app is served, for share links
+ *   CLYPSE_STORAGE                   storage backend: telegraph, http or s3
+ *   CLYPSE_UPLOAD_URL, CLYPSE_BASE_URL, CLYPSE_PRESIGN_URL
+ *                                    endpoints for the http and s3 backends
+ *   CLYPSE_ROOM_PASSPHRASE           passphrase for encrypted rooms
+ *   CLYPSE_HOME                      where the device identity is kept
+ *                                    (defaults to ~/.config/clypse)
+ *   FIREBASE_DATABASE_EMULATOR_HOST  e.g. 127.0.0.1:9000 to run against the emulator
+ *   FIREBASE_AUTH_EMULATOR_HOST      e.g. 127.0.0.1:9099, signs in against the emulator
+ *
+ * Several paths are sent together under one code, as a bundle the way the web app
+ * sends files dropped together. Codes and links go to stdout and everything else to
+ * stderr, so the output can be piped. The identity file holds this device's sign-in and its owner secret; link
+ * it to a browser with a pairing code to see uploads from here in the file list.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const ClypseClient = require('../client.js');
+const ClypseCodes = require('../codes.js');
+const ClypseCrypto = require('../crypto.js');
+const ClypseHash = require('../hash.js');
+const { RestDatabase } = require('./rest-database.js');
+
+const DEFAULT_DATABASE_URL = 'https://clypse-app-default-rtdb.firebaseio.com/';
+const MAX_FILE_SIZE = 1.5 * 1024 * 1024 * 1024;
+const MAX_MESSAGE_LENGTH = 100000;
+const HOUR = 60 * 60 * 1000;
+const DEVICE = '⌨️ Terminal';
+
+// Browsers take the type from the OS; a short table covers what gets previewed
+const MIME_TYPES = {
+    txt: 'text/plain',
+    md: 'text/markdown',
+    csv: 'text/csv',
+    json: 'application/json',
+    html: 'text/html',
+    css: 'text/css',
+    js: 'text/javascript',
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    gif: 'image/gif',
+    webp: 'image/webp',
+    svg: 'image/svg+xml',
+    pdf: 'application/pdf',
+    mp3: 'audio/mpeg',
+    wav: 'audio/wav',
+    mp4: 'video/mp4',
+    webm: 'video/webm',
+    zip: 'application/zip'
+};
+
+function parseArgs(argv, env = process.env) {
+    const options = {
+        command: null,
+        args: [],
+        databaseUrl: env.CLYPSE_DATABASE_URL || DEFAULT_DATABASE_URL,
+        apiKey: env.CLYPSE_API_KEY || null,
+        appUrl: env.CLYPSE_APP_URL || null,
+        storage: env.CLYPSE_STORAGE || 'telegraph',
+        uploadUrl: env.CLYPSE_UPLOAD_URL || '',
+        baseUrl: env.CLYPSE_BASE_URL || '',
+        presignUrl: env.CLYPSE_PRESIGN_URL || '',
+        passphrase: env.CLYPSE_ROOM_PASSPHRASE || null,
+        encrypt: false,
+        expiresHours: null,
+        maxDownloads: null,
+        burn: false,
+        password: null,
+        output: '.',
+        key: null,
+        send: false,
+        watch: false,
+        history: false,
+        language: null
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--database-url':
+                options.databaseUrl = next();
+                break;
+            case '--api-key':
+                options.apiKey = next();
+                break;
+            case '--app-url':
+                options.appUrl = next();
+                break;
+            case '--storage':
+                options.storage = next();
+                break;
+            case '--upload-url':
+                options.uploadUrl = next();
+                break;
+            case '--base-url':
+                options.baseUrl = next();
+                break;
+            case '--presign-url':
+                options.presignUrl = next();
+                break;
+            case '--encrypt':
+                options.encrypt = true;
+                break;
+            case '--expires':
+                options.expiresHours = Number(next());
+                break;
+            case '--max-downloads':
+                options.maxDownloads = Number(next());
+                break;
+            case '--burn':
+                options.burn = true;
+                break;
+            case '--password':
+                options.password = next();
+                break;
+            case '-o':
+            case '--output':
+                options.output = next();
+                break;
+            case '--key':
+                options.key = next();
+                break;
+            case '--passphrase':
+                options.passphrase = next();
+                break;
+            case '--send':
+                options.send = true;
+                break;
+            case '--watch':
+                options.watch = true;
+                break;
+            case '--history':
+                options.history = true;
+                break;
+            case '--language':
+                options.language = next();
+                break;
+            case '-h':
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('-') && arg !== '-') throw new Error(`Unknown option: ${arg}`);
+                if (options.command) {
+                    options.args.push(arg);
+                } else {
+                    options.command = arg;
+                }
+        }
+    }
+
+    if (options.expiresHours !== null && !(options.expiresHours > 0)) {
+        throw new Error('--expires takes a number of hours');
+    }
+    if (options.maxDownloads !== null && !(Number.isInteger(options.maxDownloads) && options.maxDownloads > 0)) {
+        throw new Error('--max-downloads takes a whole number');
+    }
+
+    return options;
+}
+
+// IDENTITY
+
+function getHome(env = process.env) {
+    if (env.CLYPSE_HOME) return env.CLYPSE_HOME;
+    return path.join(env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config'), 'clypse');
+}
+
+function loadIdentity(home) {
+    try {
+        return JSON.parse(fs.readFileSync(path.join(home, 'identity.json'), 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw new Error(`Could not read identity: ${error.message}`);
+        return {};
+    }
+}
+
+// The owner secret unlocks the synced file list, so only this user may read the file
+function saveIdentity(home, identity) {
+    fs.mkdirSync(home, { recursive: true, mode: 0o700 });
+    fs.writeFileSync(path.join(home, 'identity.json'), JSON.stringify(identity, null, 2), { mode: 0o600 });
+}
+
+// Same shape as the owner the web app keeps in localStorage
+function createOwner() {
+    return {
+        id: ClypseCrypto.toBase64Url(crypto.getRandomValues(new Uint8Array(16))),
+        secret: ClypseCrypto.toBase64Url(crypto.getRandomValues(new Uint8Array(32)))
+    };
+}
+
+// Anonymous sign-in through the Identity Toolkit REST API, which the auth emulator
+// also serves. The refresh token is kept, so the device keeps its uid between runs.
+class AnonymousAuth {
+    constructor(apiKey, env, identity) {
+        this.emulatorHost = env.FIREBASE_AUTH_EMULATOR_HOST || null;
+        // The emulator accepts any key
+        this.apiKey = apiKey || (this.emulatorHost ? 'emulator' : null);
+        this.identity = identity;
+        this.token = null;
+        this.expires = 0;
+    }
+
+    get configured() {
+        return Boolean(this.apiKey);
+    }
+
+    endpoint(host, route) {
+        const base = this.emulatorHost ? `http://${this.emulatorHost}/${host}` : `https://${host}`;
+        return `${base}/${route}?key=${encodeURIComponent(this.apiKey)}`;
+    }
+
+    async post(url, body, type) {
+        const response = await fetch(url, { method: 'POST', headers: { 'Content-Type': type }, body });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            const error = new Error(`Sign-in failed: ${(data.error && data.error.message) || response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return data;
+    }
+
+    async signIn() {
+        if (this.identity.refreshToken) {
+            try {
+                await this.refresh();
+                return;
+            } catch (error) {
+                // A deleted account or a restarted emulator; start over as a new device
+                if (error.status !== 400) throw error;
+                console.warn('Stored sign-in is no longer valid, signing in as a new device');
+            }
+        }
+
+        const data = await this.post(this.endpoint('identitytoolkit.googleapis.com', 'v1/accounts:signUp'),
+            JSON.stringify({ returnSecureToken: true }), 'application/json');
+        this.accept(data.localId, data.idToken, data.refreshToken, data.expiresIn);
+    }
+
+    async refresh() {
+        const body = new URLSearchParams({ grant_type: 'refresh_token', refresh_token: this.identity.refreshToken });
+        const data = await this.post(this.endpoint('securetoken.googleapis.com', 'v1/token'),
+            body.toString(), 'application/x-www-form-urlencoded');
+        this.accept(data.user_id, data.id_token, data.refresh_token, data.expires_in);
+    }
+
+    accept(uid, token, refreshToken, expiresIn) {
+        this.identity.uid = uid;
+        this.identity.refreshToken = refreshToken;
+        this.token = token;
+        this.expires = Date.now() + Number(expiresIn) * 1000;
+    }
+
+    // ID tokens last an hour; watching a room can outlive one
+    async getToken() {
+        if (!this.token) return null;
+        if (Date.now() > this.expires - 5 * 60 * 1000) {
+            await this.refresh();
+        }
+        return this.token;
+    }
+}
+
+function buildStorageConfig(options) {
+    return {
+        backend: options.storage,
+        telegraph: { uploadUrl: 'https://telegra.ph/upload', baseUrl: 'https://telegra.ph' },
+        http: { uploadUrl: options.uploadUrl, baseUrl: options.baseUrl, method: 'PUT', headers: {} },
+        s3: { presignUrl: options.presignUrl, publicBaseUrl: options.baseUrl }
+    };
+}
+
+// Signs in, registers the owner device and returns { client, database, identity, home }
+async function connect(options, env = process.env) {
+    const home = getHome(env);
+    const identity = loadIdentity(home);
+    if (!identity.owner) {
+        identity.owner = createOwner();
+    }
+
+    const auth = new AnonymousAuth(options.apiKey, env, identity);
+    if (auth.configured) {
+        await auth.signIn();
+    } else {
+        console.warn('Anonymous sign-in is off (set CLYPSE_API_KEY); the database rules will refuse most requests');
+    }
+    saveIdentity(home, identity);
+
+    const database = new RestDatabase(options.databaseUrl, env, { getToken: () => auth.getToken() });
+    const client = new ClypseClient({
+        database,
+        config: { storage: buildStorageConfig(options) },
+        deviceId: identity.uid || 'terminal',
+        uid: identity.uid || null,
+        device: DEVICE
+    });
+
+    if (identity.uid) {
+        try {
+            await client.registerOwnerDevice(identity.owner);
+        } catch (error) {
+            console.warn('Could not register owner device:', error.message);
+        }
+    }
+
+    return { client, database, identity, home, options };
+}
+
+// Mirrors ClypseApp.buildShareUrl; the key stays in the fragment so servers never see it
+function buildShareUrl(appUrl, code, fileKey) {
+    const link = `?file=${code}` + (fileKey ? `#key=${fileKey}` : '');
+    return appUrl ? new URL(link, appUrl).href : link;
+}
+
+function formatFileSize(bytes) {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+// Codes, links and messages are the only thing written to stdout
+function print(line) {
+    process.stdout.write(line + '\n');
+}
+
+// Redraws one progress line on a terminal and stays quiet when stderr is piped
+function createProgress(label) {
+    const tty = process.stderr.isTTY;
+    let shown = -1;
+    return {
+        update(loaded, total) {
+            const percent = total ? Math.floor(loaded / total * 100) : 0;
+            if (!tty || percent === shown) return;
+            shown = percent;
+            process.stderr.write(`\r${label} ${percent}%`);
+        },
+        done() {
+            if (tty && shown >= 0) process.stderr.write('\n');
+        }
+    };
+}
+
+// SEND
+
+async function openFile(filePath) {
+    const stats = await fs.promises.stat(filePath);
+    if (!stats.isFile()) {
+        throw new Error(`"${filePath}" is not a file`);
+    }
+    if (stats.size > MAX_FILE_SIZE) {
+        throw new Error(`"${filePath}" exceeds 1.5GB limit`);
+    }
+
+    const name = path.basename(filePath);
+    const type = MIME_TYPES[path.extname(name).slice(1).toLowerCase()] || '';
+    return new File([await fs.openAsBlob(filePath)], name, { type, lastModified: stats.mtimeMs });
+}
+
+async function sendFiles(session, paths) {
+    const { client, identity, options } = session;
+    if (paths.length === 0) {
+        throw new Error('Name at least one file to send');
+    }
+
+    const uploadOptions = {
+        encrypt: options.encrypt,
+        burnAfterReading: options.burn,
+        maxDownloads: options.maxDownloads,
+        password: options.password,
+        owner: identity.owner.id
+    };
+    if (options.expiresHours) {
+        uploadOptions.expiresIn = Math.min(options.expiresHours, 30 * 24) * HOUR;
+    }
+
+    if (!options.appUrl) {
+        console.warn('Set CLYPSE_APP_URL or --app-url to print full links');
+    }
+
+    const files = [];
+    for (const filePath of paths) {
+        files.push(await openFile(filePath));
+    }
+
+    const result = files.length === 1
+        ? await uploadOne(session, files[0], uploadOptions)
+        : await uploadBundle(session, files, uploadOptions);
+
+    try {
+        await client.indexOwnedFile(identity.owner, result.code, result.record);
+    } catch (error) {
+        console.warn('Could not add the upload to the synced file list:', error.message);
+    }
+
+    print(`${result.code}\t${buildShareUrl(options.appUrl, result.code, result.fileKey)}`);
+    return result;
+}
+
+async function uploadOne(session, file, uploadOptions) {
+    const { client } = session;
+    const progress = createProgress(file.name);
+    let code = null;
+
+    let result;
+    try {
+        result = await client.upload(file, uploadOptions, {
+            onCode: (reserved) => { code = reserved; },
+            onProgress: (loaded, total) => progress.update(loaded, total),
+            onRetry: (attempt, delay) => console.warn(`Upload of "${file.name}" failed, retry ${attempt} in ${Math.round(delay / 1000)}s`)
+        });
+    } catch (error) {
+        progress.done();
+        // Free the reserved code so it does not sit there as a dead placeholder
+        if (code) client.releaseCode('files', code);
+        throw new Error(`Upload of "${file.name}" failed: ${error.message}`);
+    }
+    progress.done();
+
+    return {
+        ...result,
+        record: { ...result.fileData, name: file.name, type: file.type, sha256: result.sha256, fileKey: result.fileKey }
+    };
+}
+
+// Several paths share one code, like files dropped together in the web app, except
+// that one failed file fails the whole send
+async function uploadBundle(session, files, uploadOptions) {
+    const { client } = session;
+    const name = `${files.length} files`;
+    let progress = null;
+
+    const result = await client.uploadBundle(files.map(file => ({ file, path: file.name })), { ...uploadOptions, name }, {
+        entryTask: (index) => {
+            const file = files[index];
+            progress = createProgress(`${file.name} (${index + 1}/${files.length})`);
+            return {
+                onProgress: (loaded, total) => progress.update(loaded, total),
+                onRetry: (attempt, delay) => console.warn(`Upload of "${file.name}" failed, retry ${attempt} in ${Math.round(delay / 1000)}s`)
+            };
+        },
+        onEntryDone: () => progress.done(),
+        onEntryError: (index, error) => {
+            progress.done();
+            throw new Error(`Upload of "${files[index].name}" failed: ${error.message}`);
+        }
+    });
+
+    return { ...result, record: { ...result.fileData, name, fileKey: result.fileKey } };
+}
+
+// GET
+
+// Accepts a bare code or a share link, with the key from its fragment
+function parseFileTarget(target) {
+    if (!/^https?:|^\?/.test(target)) {
+        return { code: ClypseCodes.normalize(target), key: null };
+    }
+
+    const url = new URL(target, 'http://localhost/');
+    return {
+        code: ClypseCodes.normalize(url.searchParams.get('file') || ''),
+        key: new URLSearchParams(url.hash.slice(1)).get('key')
+    };
+}
+
+// Paths come from the uploader, so nothing may climb out of the output folder
+function sanitizePath(value) {
+    const parts = String(value || '').split(/[\\/]+/).filter(part => part && part !== '.' && part !== '..');
+    return parts.join('/') || 'file';
+}
+
+// Never overwrites: "notes.txt" becomes "notes (1).txt" when it is taken
+function uniquePath(target) {
+    const { dir, name, ext } = path.parse(target);
+    let candidate = target;
+    for (let i = 1; fs.existsSync(candidate); i++) {
+        candidate = path.join(dir, `${name} (${i})${ext}`);
+    }
+    return candidate;
+}
+
+// Bytes go to a partial file that is only renamed once the digest has matched
+async function writeStream(stream, target, sha256, label) {
+    const verifier = sha256 ? ClypseHash.createVerifier(sha256, `"${label}"`) : null;
+    const input = verifier ? stream.pipeThrough(verifier) : stream;
+    const destination = uniquePath(target);
+    const partial = `${destination}.part`;
+
+    await fs.promises.mkdir(path.dirname(destination), { recursive: true });
+    try {
+        await pipeline(Readable.fromWeb(input), fs.createWriteStream(partial));
+        await fs.promises.rename(partial, destination);
+    } catch (error) {
+        await fs.promises.rm(partial, { force: true });
+        throw (verifier && verifier.failure) || error;
+    }
+    return destination;
+}
+
+async function getFile(session, target) {
+    const { client, identity, options } = session;
+    if (!target) {
+        throw new Error('Name a code or share link to fetch');
+    }
+
+    const { code, key } = parseFileTarget(target);
+    if (!ClypseCodes.isValid(code)) {
+        throw new Error('Please enter a valid code');
+    }
+
+    let fileData = await client.resolve(code);
+    if (!fileData) {
+        throw new Error('No file found for this code');
+    }
+
+    const unavailable = client.checkAvailability(fileData);
+    if (unavailable) {
+        throw new Error(ClypseClient.UNAVAILABLE[unavailable]);
+    }
+
+    if (fileData.password) {
+        if (!options.password) {
+            throw new Error('This file is password protected; pass --password');
+        }
+        fileData = await client.unlockFile(code, fileData, options.password);
+        if (!fileData) {
+            throw new Error('Wrong password');
+        }
+    }
+
+    let cryptoKey = null;
+    let name = fileData.name;
+    let sha256 = fileData.sha256 || null;
+
+    if (fileData.encrypted) {
+        const keyText = options.key || key;
+        if (!keyText) {
+            throw new Error('This file is end-to-end encrypted; pass the full share link or --key');
+        }
+        try {
+            cryptoKey = await ClypseCrypto.importKey(keyText.trim());
+            ({ name, sha256 = null } = await ClypseCrypto.decryptJson(cryptoKey, fileData.meta));
+        } catch (error) {
+            throw new Error('Wrong decryption key for this file');
+        }
+    }
+
+    // The download counter is the last gate, so a refused password never uses up a download
+    const claim = await client.claimDownload(code);
+    if (!claim.allowed) {
+        throw new Error(ClypseClient.UNAVAILABLE[claim.reason]);
+    }
+
+    const saved = [];
+    if (fileData.bundle) {
+        const folder = path.join(options.output, sanitizePath(name).replace(/\//g, '_'));
+        const entries = Object.entries(fileData.entries || {})
+            .filter(([, entry]) => entry)
+            .sort(([a], [b]) => Number(a) - Number(b));
+
+        for (const [index, entry] of entries) {
+            let details = { path: entry.path, name: entry.name, sha256: entry.sha256 };
+            if (entry.encrypted) {
+                details = await ClypseCrypto.decryptJson(cryptoKey, entry.meta);
+            }
+
+            const entryPath = sanitizePath(details.path || details.name);
+            const stream = await client.openStream(entry, {
+                cryptoKey,
+                aadPrefix: `entry:${index}/`,
+                storage: fileData.storage
+            });
+            saved.push(await writeStream(stream, path.join(folder, entryPath), details.sha256 || entry.sha256, entryPath));
+        }
+    } else {
+        const fileName = sanitizePath(name).replace(/\//g, '_');
+        const stream = await client.openStream(fileData, { cryptoKey });
+        saved.push(await writeStream(stream, path.join(options.output, fileName), sha256, fileName));
+    }
+
+    if (claim.last) {
+        await client.purge(fileData, identity.owner.id);
+    }
+
+    saved.forEach((file) => print(file));
+    return saved;
+}
+
+// ROOMS
+
+async function readStdin() {
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+function formatMessage(message, appUrl) {
+    if (message.locked) {
+        return '[encrypted message]';
+    }
+    if (message.type === 'image' || message.type === 'file') {
+        if (message.file) {
+            return `[${message.name}] ${buildShareUrl(appUrl, message.file.code, message.file.key)}`;
+        }
+        return `[${message.name}, ${formatFileSize(message.size || 0)}]`;
+    }
+    return message.text;
+}
+
+async function openRoom(session, target) {
+    const { client, options } = session;
+    const code = ClypseCodes.normalize(target || '');
+    if (!ClypseCodes.isValid(code)) {
+        throw new Error('Please enter a valid room code');
+    }
+
+    const lookup = await client.lookup('rooms', code);
+    if (!lookup.allowed) {
+        throw new Error(`Too many codes that do not exist. Try again in ${Math.ceil(lookup.wait / 1000)}s`);
+    }
+    if (!(await client.roomExists(code))) {
+        throw new Error('No room found for this code');
+    }
+
+    const encryption = await client.getRoomEncryption(code);
+    if (!encryption) {
+        return { code, key: null };
+    }
+    if (!options.passphrase) {
+        throw new Error(`Room ${code} is encrypted; pass --passphrase or set CLYPSE_ROOM_PASSPHRASE`);
+    }
+
+    const key = await client.unlockRoom(encryption, options.passphrase);
+    if (!key) {
+        throw new Error('Wrong passphrase for this room');
+    }
+    return { code, key };
+}
+
+async function sendToRoom(session, target, text) {
+    const { client, options } = session;
+    text = text.trim();
+    if (!text) {
+        throw new Error('Nothing to send; pipe the message in on stdin');
+    }
+    if (text.length > MAX_MESSAGE_LENGTH) {
+        throw new Error(`Messages are limited to ${MAX_MESSAGE_LENGTH} characters`);
+    }
+
+    const { code, key } = await openRoom(session, target);
+    await client.joinRoom(code, { key });
+    try {
+        return await client.send(text, { language: options.language });
+    } finally {
+        client.leaveRoom();
+    }
+}
+
+// Prints each message once as it arrives; edits and deletions are not replayed.
+// Resolves when stop() is called, after the room has been left.
+async function watchRoom(session, target, { output = process.stdout } = {}) {
+    const { client, options } = session;
+    const { code, key } = await openRoom(session, target);
+    const printed = new Set();
+    let history = null;
+
+    client.on('message', (messageKey, message) => {
+        if (printed.has(messageKey)) return;
+        if (!options.history && history && history.has(messageKey)) return;
+        printed.add(messageKey);
+        output.write(formatMessage(message, options.appUrl) + '\n');
+    });
+
+    history = new Set(await client.joinRoom(code, { key }));
+    console.warn(`Watching room ${code}, press Ctrl+C to stop`);
+
+    let stop;
+    const stopped = new Promise((resolve) => { stop = resolve; });
+    process.once('SIGINT', () => stop());
+    await stopped;
+    client.leaveRoom();
+}
+
+// LINK
+
+// Adopts the owner identity of the device that showed the pairing code
+async function linkDevice(session, target) {
+    const { client, identity, home } = session;
+    if (!identity.uid) {
+        throw new Error('Linking needs anonymous sign-in; set CLYPSE_API_KEY');
+    }
+
+    const code = ClypseCodes.normalize(target || '');
+    if (!ClypseCodes.isValid(code)) {
+        throw new Error('Please enter a valid pairing code');
+    }
+
+    const lookup = await client.lookup('pairings', code);
+    if (!lookup.allowed) {
+        throw new Error(`Too many codes that do not exist. Try again in ${Math.ceil(lookup.wait / 1000)}s`);
+    }
+
+    let owner;
+    try {
+        owner = await client.openPairing(code);
+    } catch (error) {
+        owner = null;
+    }
+    if (!owner) {
+        throw new Error('This pairing code is invalid or has expired');
+    }
+
+    if (owner.id === identity.owner.id) {
+        await session.database.ref(`pairings/${code}`).remove();
+        console.warn('This device is already linked');
+        return owner;
+    }
+
+    await client.completePairing(code, owner);
+    identity.owner = owner;
+    saveIdentity(home, identity);
+    console.warn('Device linked. Files sent from here now show up in the file list on your other devices; earlier uploads stay where they were.');
+    return owner;
+}
+
+const USAGE = [
+    'Usage: clypse send <path...> [--encrypt] [--expires HOURS] [--max-downloads N] [--burn] [--password TEXT]',
+    '       clypse get <CODE|LINK> [-o DIR] [--key KEY] [--password TEXT]',
+    '       clypse room <CODE> --send [--language LANG] [--passphrase TEXT] < message.txt',
+    '       clypse room <CODE> --watch [--history] [--passphrase TEXT]',
+    '       clypse link <PAIRING CODE>'
+].join('\n');
+
+async function run(options, env = process.env) {
+    const session = await connect(options, env);
+    try {
+        switch (options.command) {
+            case 'send':
+                return await sendFiles(session, options.args);
+            case 'get':
+                return await getFile(session, options.args[0]);
+            case 'room':
+                if (options.send === options.watch) {
+                    throw new Error('Pass either --send or --watch');
+                }
+                return options.send
+                    ? await sendToRoom(session, options.args[0], await readStdin())
+                    : await watchRoom(session, options.args[0]);
+            case 'link':
+                return await linkDevice(session, options.args[0]);
+        }
+    } finally {
+        // Writes such as presence updates are sent without waiting; let them land
+        await session.database.flush();
+        session.database.close();
+    }
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    if (options.help || !options.command) {
+        print(USAGE);
+        return;
+    }
+
+    // The shared client logs progress notes; keep them out of piped output
+    console.log = console.info = console.warn;
+    if (!['send', 'get', 'room', 'link'].includes(options.command)) {
+        console.error(`Unknown command: ${options.command}\n${USAGE}`);
+        process.exit(2);
+    }
+
+    await run(options);
+}
+
+if (require.main === module) {
+    main().catch((error) => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = {
+    parseArgs,
+    run,
+    connect,
+    sendFiles,
+    getFile,
+    sendToRoom,
+    watchRoom,
+    linkDevice,
+    AnonymousAuth,
+    buildStorageConfig,
+    buildShareUrl,
+    parseFileTarget
+};
@@ -0,0 +1,471 @@
+/**
+ * Clypse REST database
+ * The Realtime Database REST API behind the part of the Firebase compat surface
+ * ClypseClient uses: ref() with child(), push(), once('value'), set(), update(),
+ * remove(), transaction(), key-ordered queries and on()/off() for child events,
+ * which are fed by the REST event stream. Needs Node 18+ (global fetch).
+ *
+ * Without getToken the requests carry the admin credentials from the environment,
+ * as scripts/cleanup.js needs; with it they carry the signed-in user's ID token and
+ * go through the security rules like a browser.
+ */
+
+'use strict';
+
+const UPDATE_BATCH_SIZE = 500;
+const TRANSACTION_ATTEMPTS = 25;
+const RECONNECT_DELAY = 2000;
+const PUSH_CHARS = '-0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ_abcdefghijklmnopqrstuvwxyz';
+
+// Push keys start with the time, so they sort in the order they were made. Keys made
+// in the same millisecond count the random part up by one.
+let lastPushTime = 0;
+let lastPushRandom = [];
+
+function generatePushKey() {
+    let now = Date.now();
+    const sameTime = now === lastPushTime;
+    lastPushTime = now;
+
+    let time = '';
+    for (let i = 0; i < 8; i++) {
+        time = PUSH_CHARS.charAt(now % 64) + time;
+        now = Math.floor(now / 64);
+    }
+
+    if (!sameTime) {
+        lastPushRandom = Array.from({ length: 12 }, () => Math.floor(Math.random() * 64));
+    } else {
+        let i = 11;
+        for (; i >= 0 && lastPushRandom[i] === 63; i--) {
+            lastPushRandom[i] = 0;
+        }
+        lastPushRandom[i]++;
+    }
+
+    return time + lastPushRandom.map(value => PUSH_CHARS.charAt(value)).join('');
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class RestSnapshot {
+    constructor(key, value) {
+        this.key = key;
+        this.value = value === undefined ? null : value;
+    }
+
+    val() {
+        return this.value;
+    }
+
+    exists() {
+        return this.value !== null;
+    }
+}
+
+class RestReference {
+    constructor(database, path, query = {}) {
+        this.database = database;
+        this.path = path.replace(/^\/+|\/+$/g, '');
+        this.query = query;
+        this.key = this.path ? this.path.split('/').pop() : null;
+    }
+
+    child(path) {
+        return new RestReference(this.database, this.path ? `${this.path}/${path}` : path);
+    }
+
+    push() {
+        return this.child(generatePushKey());
+    }
+
+    // QUERIES
+
+    withQuery(changes) {
+        return new RestReference(this.database, this.path, { ...this.query, ...changes });
+    }
+
+    orderByKey() {
+        return this.withQuery({ orderBy: '"$key"' });
+    }
+
+    limitToLast(count) {
+        return this.withQuery({ limitToLast: count });
+    }
+
+    startAt(key) {
+        return this.withQuery({ startAt: JSON.stringify(key) });
+    }
+
+    // REST only knows endAt, so the boundary is asked for too and dropped again
+    endBefore(key) {
+        return this.withQuery({ endAt: JSON.stringify(key), endBefore: key });
+    }
+
+    getRequestQuery() {
+        const { endBefore, ...query } = this.query;
+        if (endBefore !== undefined && query.limitToLast) {
+            query.limitToLast += 1;
+        }
+        return query;
+    }
+
+    // Filtered results come back in no particular order and may hold the endBefore key
+    shapeResult(value) {
+        if (!this.query.orderBy || !value || typeof value !== 'object') {
+            return value;
+        }
+
+        let keys = Object.keys(value).sort().filter(key => key !== this.query.endBefore);
+        if (this.query.limitToLast) {
+            keys = keys.slice(-this.query.limitToLast);
+        }
+
+        const shaped = {};
+        keys.forEach((key) => {
+            shaped[key] = value[key];
+        });
+        return keys.length > 0 ? shaped : null;
+    }
+
+    // READS AND WRITES
+
+    async once() {
+        // .info paths are local to the SDK; the REST API has no clock offset to offer
+        if (this.path.startsWith('.info')) {
+            return new RestSnapshot(this.key, null);
+        }
+
+        const value = await this.database.request('GET', this.path, { query: this.getRequestQuery() });
+        return new RestSnapshot(this.key, this.shapeResult(value));
+    }
+
+    async set(value) {
+        await this.database.request('PUT', this.path, { body: value });
+    }
+
+    async update(values) {
+        await this.database.request('PATCH', this.path, { body: values });
+    }
+
+    async remove() {
+        await this.database.request('DELETE', this.path);
+    }
+
+    // Compare-and-set on the ETag; another writer in between means another round.
+    // Like the SDK, update() returning undefined aborts and leaves the data as it is.
+    async transaction(update) {
+        for (let attempt = 0; attempt < TRANSACTION_ATTEMPTS; attempt++) {
+            const current = await this.database.send('GET', this.path, { headers: { 'X-Firebase-ETag': 'true' } });
+            const etag = current.response.headers.get('ETag');
+            const next = update(current.value);
+
+            if (next === undefined) {
+                return { committed: false, snapshot: new RestSnapshot(this.key, current.value) };
+            }
+
+            const written = await this.database.send('PUT', this.path, {
+                body: next,
+                headers: { 'if-match': etag },
+                allowStatus: [412]
+            });
+            if (written.response.status !== 412) {
+                return { committed: true, snapshot: new RestSnapshot(this.key, written.value) };
+            }
+        }
+
+        throw new Error(`Transaction on /${this.path} kept conflicting`);
+    }
+
+    // EVENTS
+
+    on(event, callback) {
+        this.database.listen(this, event, callback);
+        return callback;
+    }
+
+    off(event, callback) {
+        this.database.unlisten(this, event, callback);
+    }
+}
+
+// One event stream per path and query. It keeps the children it has seen, so the
+// put and patch events of the REST API can be turned into child_added, child_changed
+// and child_removed. A dropped connection is opened again and starts with a full put.
+class RestStream {
+    constructor(database, reference) {
+        this.database = database;
+        this.reference = reference;
+        this.listeners = [];
+        this.children = {};
+        this.controller = null;
+        this.closed = false;
+    }
+
+    add(event, callback) {
+        this.listeners.push({ event, callback });
+        if (event === 'child_added') {
+            Object.keys(this.children).sort().forEach((key) => callback(new RestSnapshot(key, this.children[key])));
+        }
+        if (!this.controller) {
+            this.run();
+        }
+    }
+
+    remove(event, callback) {
+        this.listeners = this.listeners.filter(listener => listener.event !== event || listener.callback !== callback);
+        if (this.listeners.length === 0) {
+            this.close();
+        }
+    }
+
+    close() {
+        this.closed = true;
+        if (this.controller) {
+            this.controller.abort();
+        }
+    }
+
+    notify(event, key, value) {
+        this.listeners
+            .filter(listener => listener.event === event)
+            .forEach(listener => listener.callback(new RestSnapshot(key, value)));
+    }
+
+    async run() {
+        while (!this.closed) {
+            this.controller = new AbortController();
+            try {
+                const response = await this.database.fetchPath('GET', this.reference.path, {
+                    query: this.reference.getRequestQuery(),
+                    headers: { Accept: 'text/event-stream' },
+                    signal: this.controller.signal
+                });
+                if (!response.ok) {
+                    throw new Error(`Listening on /${this.reference.path} failed: ${response.status}`);
+                }
+                await this.read(response.body);
+            } catch (error) {
+                if (this.closed) return;
+                if (error.permanent) {
+                    console.error(error.message);
+                    this.closed = true;
+                    return;
+                }
+                console.warn(`Event stream for /${this.reference.path} dropped:`, error.message);
+            }
+            if (!this.closed) {
+                await sleep(RECONNECT_DELAY);
+            }
+        }
+    }
+
+    async read(body) {
+        const decoder = new TextDecoder();
+        const reader = body.getReader();
+        let buffer = '';
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) return;
+
+            buffer += decoder.decode(value, { stream: true });
+            let end;
+            while ((end = buffer.indexOf('\n\n')) >= 0) {
+                const block = buffer.slice(0, end);
+                buffer = buffer.slice(end + 2);
+
+                let event = 'message';
+                let data = '';
+                block.split('\n').forEach((line) => {
+                    if (line.startsWith('event:')) event = line.slice(6).trim();
+                    if (line.startsWith('data:')) data += line.slice(5).trim();
+                });
+                this.handle(event, data);
+            }
+        }
+    }
+
+    handle(event, data) {
+        if (event === 'put' || event === 'patch') {
+            const { path, data: value } = JSON.parse(data);
+            this.apply(event, path, value);
+        } else if (event === 'auth_revoked') {
+            // The ID token ran out; reconnecting asks getToken for a fresh one
+            throw new Error('auth revoked');
+        } else if (event === 'cancel') {
+            const error = new Error(`Listening on /${this.reference.path} was refused: ${data}`);
+            error.permanent = true;
+            throw error;
+        }
+    }
+
+    apply(event, path, value) {
+        const segments = path.split('/').filter(Boolean);
+        const before = this.children;
+        let after = { ...before };
+
+        // A patch replaces each child it names; a put replaces everything at its path
+        if (event === 'patch') {
+            Object.entries(value || {}).forEach(([child, childValue]) => {
+                this.setAt(after, [...segments, ...child.split('/')], childValue);
+            });
+        } else if (segments.length === 0) {
+            after = {};
+            Object.entries(value || {}).forEach(([child, childValue]) => this.setAt(after, [child], childValue));
+        } else {
+            this.setAt(after, segments, value);
+        }
+
+        this.children = this.reference.shapeResult(after) || {};
+        const keys = new Set([...Object.keys(before), ...Object.keys(this.children)]);
+        [...keys].sort().forEach((key) => {
+            const had = before[key] !== undefined;
+            const has = this.children[key] !== undefined;
+            if (had && !has) {
+                this.notify('child_removed', key, before[key]);
+            } else if (!had && has) {
+                this.notify('child_added', key, this.children[key]);
+            } else if (has && JSON.stringify(before[key]) !== JSON.stringify(this.children[key])) {
+                this.notify('child_changed', key, this.children[key]);
+            }
+        });
+    }
+
+    // Writes value at segments below the children without touching the old objects
+    setAt(children, segments, value) {
+        const [key, ...rest] = segments;
+        if (rest.length === 0) {
+            if (value === null) {
+                delete children[key];
+            } else {
+                children[key] = value;
+            }
+            return;
+        }
+
+        const child = children[key] && typeof children[key] === 'object' ? { ...children[key] } : {};
+        this.setAt(child, rest, value);
+        if (Object.keys(child).length > 0) {
+            children[key] = child;
+        } else {
+            delete children[key];
+        }
+    }
+}
+
+class RestDatabase {
+    constructor(databaseUrl, env = process.env, { getToken = null } = {}) {
+        const url = new URL(databaseUrl);
+        this.query = {};
+        this.headers = {};
+        this.getToken = getToken;
+        this.streams = new Map();
+        this.pending = Promise.resolve();
+
+        if (env.FIREBASE_DATABASE_EMULATOR_HOST) {
+            // The emulator serves every namespace from one host and accepts "owner" as admin
+            this.baseUrl = `http://${env.FIREBASE_DATABASE_EMULATOR_HOST}/`;
+            this.query.ns = url.hostname.split('.')[0];
+            if (!getToken) {
+                this.headers.Authorization = 'Bearer owner';
+            }
+        } else {
+            this.baseUrl = `${url.origin}/`;
+            if (!getToken && env.CLYPSE_DATABASE_AUTH) {
+                this.query.auth = env.CLYPSE_DATABASE_AUTH;
+            }
+        }
+    }
+
+    ref(path = '') {
+        return new RestReference(this, path);
+    }
+
+    buildUrl(path, query = {}) {
+        const url = new URL(`${path.replace(/^\/+|\/+$/g, '')}.json`, this.baseUrl);
+        Object.entries({ ...this.query, ...query }).forEach(([name, value]) => url.searchParams.set(name, value));
+        return url;
+    }
+
+    async fetchPath(method, path, { query = {}, body, headers = {}, signal } = {}) {
+        const token = this.getToken ? await this.getToken() : null;
+        return fetch(this.buildUrl(path, token ? { ...query, auth: token } : query), {
+            method,
+            headers: { 'Content-Type': 'application/json', ...this.headers, ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body),
+            signal
+        });
+    }
+
+    // Requests go out one after another, the way the SDK keeps a single ordered
+    // connection: a write is in place before anything sent after it is checked
+    send(method, path, { query, body, headers, allowStatus = [] } = {}) {
+        const result = this.pending.then(async () => {
+            const response = await this.fetchPath(method, path, { query, body, headers });
+            if (!response.ok && !allowStatus.includes(response.status)) {
+                throw new Error(`${method} /${path} failed: ${response.status} ${await response.text()}`);
+            }
+            return { response, value: await response.json() };
+        });
+        this.pending = result.catch(() => {});
+        return result;
+    }
+
+    async request(method, path, options) {
+        return (await this.send(method, path, options)).value;
+    }
+
+    get(path, query) {
+        return this.request('GET', path, { query });
+    }
+
+    // Resolves once every request sent so far has finished
+    flush() {
+        return this.pending;
+    }
+
+    // Multi-path update from the root; null values delete
+    async removePaths(paths) {
+        for (let i = 0; i < paths.length; i += UPDATE_BATCH_SIZE) {
+            const updates = {};
+            paths.slice(i, i + UPDATE_BATCH_SIZE).forEach((path) => {
+                updates[path] = null;
+            });
+            await this.request('PATCH', '', { body: updates });
+        }
+    }
+
+    streamKey(reference) {
+        return `${reference.path}?${JSON.stringify(reference.query)}`;
+    }
+
+    listen(reference, event, callback) {
+        const key = this.streamKey(reference);
+        if (!this.streams.has(key)) {
+            this.streams.set(key, new RestStream(this, reference));
+        }
+        this.streams.get(key).add(event, callback);
+    }
+
+    unlisten(reference, event, callback) {
+        const key = this.streamKey(reference);
+        const stream = this.streams.get(key);
+        if (!stream) return;
+
+        stream.remove(event, callback);
+        if (stream.closed) {
+            this.streams.delete(key);
+        }
+    }
+
+    // Closes every event stream, so the process can exit
+    close() {
+        this.streams.forEach(stream => stream.close());
+        this.streams.clear();
+    }
+}
+
+module.exports = { RestDatabase, RestReference, RestSnapshot, generatePushKey };
@@ -0,0 +1,124 @@
+#!/usr/bin/env node
+/**
+ * Clypse local storage server
+ * A throwaway in-memory backend for the http storage adapter, for trying the
+ * web app or the command-line client against the emulators without a real
+ * bucket. Objects live until the process exits.
+ *
+ *   node scripts/storage-server.js [--port 8787] [--host 127.0.0.1]
+ *
+ * Point the http backend at it with uploadUrl http://127.0.0.1:8787/files
+ * (CLYPSE_STORAGE=http CLYPSE_UPLOAD_URL=http://127.0.0.1:8787/files for the CLI).
+ * PUT, GET and DELETE are served under /files/{key}, with CORS open to any origin.
+ */
+
+'use strict';
+
+const http = require('http');
+
+const PREFIX = '/files/';
+
+function parseArgs(argv) {
+    const options = { port: 8787, host: '127.0.0.1' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case '--port':
+                options.port = Number(next());
+                break;
+            case '--host':
+                options.host = next();
+                break;
+            case '--help':
+                options.help = true;
+                break;
+            default:
+                throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return options;
+}
+
+// Returns an http.Server that has not started listening; objects is a Map of key to { type, body }
+function createServer(objects = new Map()) {
+    return http.createServer((request, response) => {
+        response.setHeader('Access-Control-Allow-Origin', '*');
+        response.setHeader('Access-Control-Allow-Methods', 'GET, PUT, DELETE, OPTIONS');
+        response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+        response.setHeader('Access-Control-Expose-Headers', 'Location');
+
+        const { pathname } = new URL(request.url, 'http://localhost');
+        const key = pathname.startsWith(PREFIX) ? decodeURIComponent(pathname.slice(PREFIX.length)) : '';
+
+        if (request.method === 'OPTIONS') {
+            response.writeHead(204).end();
+            return;
+        }
+        if (!key) {
+            response.writeHead(404).end();
+            return;
+        }
+
+        switch (request.method) {
+            case 'PUT': {
+                const chunks = [];
+                request.on('data', (chunk) => chunks.push(chunk));
+                request.on('end', () => {
+                    objects.set(key, {
+                        type: request.headers['content-type'] || 'application/octet-stream',
+                        body: Buffer.concat(chunks)
+                    });
+                    response.writeHead(201).end();
+                });
+                return;
+            }
+            case 'GET': {
+                const object = objects.get(key);
+                if (!object) {
+                    response.writeHead(404).end();
+                    return;
+                }
+                response.writeHead(200, { 'Content-Type': object.type, 'Content-Length': object.body.length });
+                response.end(object.body);
+                return;
+            }
+            case 'DELETE':
+                response.writeHead(objects.delete(key) ? 204 : 404).end();
+                return;
+            default:
+                response.writeHead(405).end();
+        }
+    });
+}
+
+function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(2);
+    }
+
+    if (options.help) {
+        console.log('Usage: node scripts/storage-server.js [--port 8787] [--host 127.0.0.1]');
+        return;
+    }
+
+    createServer().listen(options.port, options.host, () => {
+        console.log(`Storage server listening on http://${options.host}:${options.port}${PREFIX}`);
+    });
+}
+
+if (require.main === module) {
+    main();
+}
+
+module.exports = { parseArgs, createServer };
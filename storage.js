@@ -0,0 +1,364 @@
+/**
+ * Clypse Storage Adapters
+ * Common upload / download / delete interface over the file hosting backends.
+ * Each adapter returns a stored entry ({ key, url }) that is kept in files/{code}
+ * together with the backend name, so downloads resolve through the same adapter.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ClypseStorage = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    function createHttpError(message, status) {
+        const error = new Error(message);
+        error.status = status;
+        // Network failures (status 0) and server errors are worth another attempt
+        error.retryable = status === 0 || status >= 500;
+        return error;
+    }
+
+    function parseResponseHeaders(raw) {
+        const headers = new Headers();
+        raw.trim().split(/[\r\n]+/).forEach((line) => {
+            const index = line.indexOf(':');
+            if (index > 0) {
+                headers.append(line.slice(0, index).trim(), line.slice(index + 1).trim());
+            }
+        });
+        return headers;
+    }
+
+    // fetch() cannot report upload progress, so request bodies go through XHR where there
+    // is one. Resolves with a standard Response so adapters can treat both transports alike.
+    function sendRequest(url, { method = 'GET', headers = {}, body = null, onProgress, signal } = {}) {
+        if (typeof XMLHttpRequest === 'undefined') {
+            return sendWithFetch(url, { method, headers, body, onProgress, signal });
+        }
+
+        return new Promise((resolve, reject) => {
+            if (signal && signal.aborted) {
+                reject(new DOMException('Upload cancelled', 'AbortError'));
+                return;
+            }
+
+            const xhr = new XMLHttpRequest();
+            xhr.open(method, url);
+            xhr.responseType = 'blob';
+            Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+            if (onProgress) {
+                xhr.upload.onprogress = (e) => {
+                    if (e.lengthComputable) onProgress(e.loaded, e.total);
+                };
+            }
+
+            xhr.onload = () => {
+                const noBody = [204, 205, 304].includes(xhr.status);
+                resolve(new Response(noBody ? null : xhr.response, {
+                    status: xhr.status,
+                    statusText: xhr.statusText,
+                    headers: parseResponseHeaders(xhr.getAllResponseHeaders())
+                }));
+            };
+            xhr.onerror = () => reject(createHttpError('Network error', 0));
+            xhr.ontimeout = () => reject(createHttpError('Request timed out', 0));
+            xhr.onabort = () => reject(new DOMException('Upload cancelled', 'AbortError'));
+
+            if (signal) {
+                signal.addEventListener('abort', () => xhr.abort(), { once: true });
+            }
+
+            xhr.send(body);
+        });
+    }
+
+    // Node has no XHR; progress is reported once, after the whole body has gone out
+    async function sendWithFetch(url, { method, headers, body, onProgress, signal }) {
+        let response;
+        try {
+            response = await fetch(url, { method, headers, body, signal });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new DOMException('Upload cancelled', 'AbortError');
+            }
+            throw createHttpError('Network error', 0);
+        }
+
+        if (onProgress && body && typeof body.size === 'number') {
+            onProgress(body.size, body.size);
+        }
+        return response;
+    }
+
+    class StorageAdapter {
+        constructor(options = {}) {
+            this.options = options;
+        }
+
+        async upload(file, context) {
+            throw new Error(`${this.constructor.name} does not support uploads`);
+        }
+
+        async getDownloadUrl(entry) {
+            if (!entry.url) {
+                throw new Error('Stored file has no download URL');
+            }
+            return entry.url;
+        }
+
+        async download(entry) {
+            const response = await fetch(await this.getDownloadUrl(entry));
+            if (!response.ok) {
+                throw new Error(`Download failed: ${response.status}`);
+            }
+            return response.blob();
+        }
+
+        // Marked, so a caller waiting for the object to go knows it never will
+        async delete(entry) {
+            const error = new Error(`${this.constructor.name} does not support deleting files`);
+            error.unsupported = true;
+            throw error;
+        }
+
+        buildKey(file, context) {
+            const name = (file.name || 'file').replace(/[^A-Za-z0-9._-]/g, '_');
+            return `${context.code}/${Date.now().toString(36)}-${name}`;
+        }
+    }
+
+    // Telegraph: multipart POST, responds with [{ src: '/file/abc.jpg' }]
+    class TelegraphStorageAdapter extends StorageAdapter {
+        async upload(file, context) {
+            const formData = new FormData();
+            formData.append('file', file);
+
+            const response = await sendRequest(this.options.uploadUrl, {
+                method: 'POST',
+                body: formData,
+                onProgress: context.onProgress,
+                signal: context.signal
+            });
+
+            if (!response.ok) {
+                throw createHttpError(`Upload failed: ${response.status}`, response.status);
+            }
+
+            const result = await response.json();
+
+            if (!result || !result[0] || !result[0].src) {
+                throw new Error('Invalid response from Telegraph');
+            }
+
+            return {
+                key: result[0].src,
+                url: this.options.baseUrl + result[0].src
+            };
+        }
+    }
+
+    // Generic HTTP server: PUT {uploadUrl}/{key} or multipart POST to {uploadUrl}.
+    // The server may answer with JSON { url } or a Location header; otherwise the
+    // file is expected at {baseUrl}/{key}.
+    class HttpStorageAdapter extends StorageAdapter {
+        async upload(file, context) {
+            const key = this.buildKey(file, context);
+            const method = (this.options.method || 'PUT').toUpperCase();
+            const headers = { ...(this.options.headers || {}) };
+            let url = this.options.uploadUrl;
+            let body = file;
+
+            if (method === 'PUT') {
+                url = `${this.trimSlash(this.options.uploadUrl)}/${key}`;
+                headers['Content-Type'] = file.type || 'application/octet-stream';
+            } else {
+                body = new FormData();
+                body.append(this.options.fieldName || 'file', file);
+                body.append('key', key);
+            }
+
+            const response = await sendRequest(url, {
+                method,
+                headers,
+                body,
+                onProgress: context.onProgress,
+                signal: context.signal
+            });
+
+            if (!response.ok) {
+                throw createHttpError(`Upload failed: ${response.status}`, response.status);
+            }
+
+            let fileUrl = response.headers.get('Location');
+            if ((response.headers.get('Content-Type') || '').includes('application/json')) {
+                const result = await response.json();
+                fileUrl = result.url || fileUrl;
+            }
+
+            return {
+                key: key,
+                url: fileUrl || `${this.trimSlash(this.options.baseUrl || this.options.uploadUrl)}/${key}`
+            };
+        }
+
+        // entry.url may be a CDN or whatever the server answered with, so the upload
+        // endpoint is asked whenever the key is known
+        async delete(entry) {
+            const url = entry.key && this.options.uploadUrl
+                ? `${this.trimSlash(this.options.uploadUrl)}/${entry.key}`
+                : entry.url;
+            const response = await fetch(url, {
+                method: 'DELETE',
+                headers: this.options.headers || {}
+            });
+
+            if (!response.ok && response.status !== 404) {
+                throw new Error(`Delete failed: ${response.status}`);
+            }
+        }
+
+        trimSlash(url) {
+            return (url || '').replace(/\/+$/, '');
+        }
+    }
+
+    // S3-compatible bucket through a presigning endpoint. The endpoint receives
+    // { operation: 'put' | 'get' | 'delete', key, contentType } and returns { url }.
+    // With publicBaseUrl set, objects are downloaded without presigning.
+    class S3StorageAdapter extends StorageAdapter {
+        async presign(operation, key, contentType, signal) {
+            const response = await fetch(this.options.presignUrl, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...(this.options.headers || {})
+                },
+                body: JSON.stringify({ operation, key, contentType }),
+                signal: signal
+            });
+
+            if (!response.ok) {
+                throw createHttpError(`Presign failed: ${response.status}`, response.status);
+            }
+
+            const result = await response.json();
+            if (!result || !result.url) {
+                throw new Error('Invalid response from presign endpoint');
+            }
+            return result.url;
+        }
+
+        async upload(file, context) {
+            const key = this.buildKey(file, context);
+            const contentType = file.type || 'application/octet-stream';
+            const url = await this.presign('put', key, contentType, context.signal);
+
+            const response = await sendRequest(url, {
+                method: 'PUT',
+                headers: { 'Content-Type': contentType },
+                body: file,
+                onProgress: context.onProgress,
+                signal: context.signal
+            });
+
+            if (!response.ok) {
+                throw createHttpError(`Upload failed: ${response.status}`, response.status);
+            }
+
+            return {
+                key: key,
+                url: this.options.publicBaseUrl ? `${this.options.publicBaseUrl.replace(/\/+$/, '')}/${key}` : null
+            };
+        }
+
+        async getDownloadUrl(entry) {
+            if (entry.url) return entry.url;
+            return this.presign('get', entry.key);
+        }
+
+        async delete(entry) {
+            const url = await this.presign('delete', entry.key);
+            const response = await fetch(url, { method: 'DELETE' });
+
+            if (!response.ok && response.status !== 404) {
+                throw new Error(`Delete failed: ${response.status}`);
+            }
+        }
+    }
+
+    // Same-device backend for testing: blobs are kept in this browser's IndexedDB
+    class IndexedDBStorageAdapter extends StorageAdapter {
+        async openDatabase() {
+            if (!this.dbPromise) {
+                this.dbPromise = ClypseIDB.open(this.options.dbName || 'clypse_storage', 1, (db) => {
+                    db.createObjectStore('files', { keyPath: 'key' });
+                });
+            }
+            return this.dbPromise;
+        }
+
+        async upload(file, context) {
+            const key = this.buildKey(file, context);
+            const db = await this.openDatabase();
+
+            await ClypseIDB.run(db, 'files', 'readwrite', (store) => ClypseIDB.request(store.put({
+                key: key,
+                blob: file,
+                name: file.name,
+                type: file.type,
+                stored: Date.now()
+            })));
+
+            if (context.onProgress) {
+                context.onProgress(file.size, file.size);
+            }
+
+            return { key: key, url: null };
+        }
+
+        async download(entry) {
+            const db = await this.openDatabase();
+            const record = await ClypseIDB.run(db, 'files', 'readonly', (store) => ClypseIDB.request(store.get(entry.key)));
+
+            if (!record) {
+                throw new Error('File not found in this browser');
+            }
+            return record.blob;
+        }
+
+        async getDownloadUrl(entry) {
+            return URL.createObjectURL(await this.download(entry));
+        }
+
+        async delete(entry) {
+            const db = await this.openDatabase();
+            await ClypseIDB.run(db, 'files', 'readwrite', (store) => ClypseIDB.request(store.delete(entry.key)));
+        }
+    }
+
+    const StorageAdapters = {
+        telegraph: TelegraphStorageAdapter,
+        http: HttpStorageAdapter,
+        s3: S3StorageAdapter,
+        indexeddb: IndexedDBStorageAdapter
+    };
+
+    function createStorageAdapter(name, options) {
+        const Adapter = StorageAdapters[name];
+        if (!Adapter) {
+            throw new Error(`Unknown storage backend: ${name}`);
+        }
+        return new Adapter(options || {});
+    }
+
+    return {
+        StorageAdapter,
+        StorageAdapters,
+        createStorageAdapter,
+        createHttpError,
+        sendRequest
+    };
+});
@@ -0,0 +1,189 @@
+/**
+ * Clypse Service Worker
+ * Keeps the app shell cached so Clypse opens without a connection. Local files are
+ * fetched network-first so deploys show up on the next load; CDN libraries are
+ * versioned URLs and served from the cache once fetched. Content shared from the
+ * OS share sheet is posted here and parked in IndexedDB for the page to pick up.
+ * Downloads the page streams in are answered from one-off downloads/ URLs, so the
+ * browser saves them to disk as they arrive.
+ */
+
+importScripts('idb.js', 'offline.js');
+
+const CACHE_NAME = 'clypse-shell-v1';
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'app.js',
+    'limits.js',
+    'config.js',
+    'clypse.config.json',
+    'i18n.js',
+    'locales/en.json',
+    'locales/de.json',
+    'locales/ar.json',
+    'idb.js',
+    'crypto.js',
+    'hash.js',
+    'codes.js',
+    'retention.js',
+    'storage.js',
+    'client.js',
+    'zip.js',
+    'preview.js',
+    'offline.js',
+    'qr.js',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+const CDN_ORIGINS = ['https://cdnjs.cloudflare.com', 'https://cdn.jsdelivr.net'];
+const DOWNLOAD_PATH = new URL('downloads/', self.registration.scope).pathname;
+const DOWNLOAD_TIMEOUT = 30000;
+
+// Downloads the page has announced and the browser has not fetched yet, by id
+const downloads = new Map();
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+
+    if (request.method === 'POST' && url.origin === self.location.origin && url.pathname.endsWith('/share-target')) {
+        event.respondWith(receiveShare(request));
+        return;
+    }
+    if (request.method !== 'GET') return;
+
+    if (url.origin === self.location.origin && url.pathname.startsWith(DOWNLOAD_PATH)) {
+        const id = url.pathname.slice(DOWNLOAD_PATH.length).split('/')[0];
+        const download = downloads.get(id);
+        if (download) {
+            downloads.delete(id);
+            event.respondWith(streamDownload(download));
+            return;
+        }
+    }
+
+    if (url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+    } else if (CDN_ORIGINS.includes(url.origin)) {
+        event.respondWith(cacheFirst(request));
+    }
+    // Everything else (Firebase, file hosts) goes straight to the network
+});
+
+// The page announces a download with a port to pull its chunks through
+self.addEventListener('message', (event) => {
+    const data = event.data || {};
+    const port = event.ports[0];
+    if (data.type !== 'download' || !port) return;
+
+    downloads.set(data.id, { ...data, port });
+    setTimeout(() => {
+        if (downloads.delete(data.id)) port.postMessage({ type: 'cancel' });
+    }, DOWNLOAD_TIMEOUT);
+    port.postMessage({ type: 'ready' });
+});
+
+function encodeRFC5987(value) {
+    return encodeURIComponent(value).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+// Each pull asks the page for one chunk, so the page reads no faster than the disk writes
+function streamDownload({ port, name, contentType }) {
+    let answered = null;
+    const body = new ReadableStream({
+        start(controller) {
+            port.onmessage = ({ data }) => {
+                if (data.type === 'chunk') {
+                    controller.enqueue(data.chunk);
+                } else if (data.type === 'done') {
+                    controller.close();
+                } else if (data.type === 'error') {
+                    controller.error(new Error(data.message));
+                }
+                if (answered) answered();
+            };
+        },
+        pull() {
+            return new Promise((resolve) => {
+                answered = resolve;
+                port.postMessage({ type: 'pull' });
+            });
+        },
+        cancel() {
+            port.postMessage({ type: 'cancel' });
+        }
+    });
+
+    return new Response(body, {
+        headers: {
+            'Content-Type': contentType || 'application/octet-stream',
+            'Content-Disposition': `attachment; filename*=UTF-8''${encodeRFC5987(name)}`
+        }
+    });
+}
+
+// The page reads the share by id; a 303 turns the POST into a normal navigation
+async function receiveShare(request) {
+    const target = new URL('./', self.registration.scope);
+
+    try {
+        const form = await request.formData();
+        const id = await ClypseOffline.saveShare({
+            title: form.get('title') || '',
+            text: form.get('text') || '',
+            url: form.get('url') || '',
+            files: form.getAll('files').filter(file => file instanceof File)
+        });
+        target.searchParams.set('share', id);
+    } catch (error) {
+        console.error('Failed to receive share:', error);
+    }
+
+    return Response.redirect(target.href, 303);
+}
+
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        // Shared links carry ?file= or ?room=, which the cached page handles itself
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    const response = await fetch(request);
+    if (response.ok) {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
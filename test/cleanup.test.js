@@ -0,0 +1,149 @@
+'use strict';
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const cleanup = require('../scripts/cleanup.js');
+const { MemoryDatabase } = require('./support/memory-database.js');
+const { startStorageServer } = require('./support/storage.js');
+
+const DAY = 24 * 60 * 60 * 1000;
+const HASH = 'a'.repeat(43);
+
+let storage;
+
+before(async () => {
+    storage = await startStorageServer();
+});
+
+after(async () => {
+    await storage.close();
+});
+
+function store(key) {
+    storage.objects.set(key, { body: Buffer.from(key), type: 'text/plain' });
+    return { key, url: `${storage.uploadUrl}/${key}` };
+}
+
+function createOptions(argv = []) {
+    return cleanup.parseArgs(['--upload-url', storage.uploadUrl, ...argv]);
+}
+
+function expiredFile(fields) {
+    return { name: 'file.txt', storage: 'http', uploaded: Date.now() - 2 * DAY, expires: Date.now() - DAY, ...fields };
+}
+
+describe('expired files', () => {
+    test('lose their stored objects along with the metadata', async () => {
+        const plain = store('PLAN/plain.txt');
+        const chunks = { 0: store('CHNK/0'), 1: store('CHNK/1') };
+        const entry = store('BNDL/a.txt');
+        const locked = store('LOCK/secret.txt');
+        const live = store('LIVE/live.txt');
+
+        const database = new MemoryDatabase({
+            data: {
+                files: {
+                    PLAN: expiredFile(plain),
+                    CHNK: expiredFile({ chunked: true, chunkCount: 2, chunks }),
+                    BNDL: expiredFile({ bundle: true, entries: [{ ...entry, name: 'a.txt' }] }),
+                    LOCK: expiredFile({ password: { salt: 'c2FsdA', iterations: 1000 } }),
+                    LIVE: { ...expiredFile(live), expires: Date.now() + DAY }
+                },
+                locators: { LOCK: { [HASH]: locked } }
+            }
+        });
+
+        const summary = await cleanup.run(createOptions(), {}, database);
+        assert.equal(summary.files, 4);
+        assert.equal(summary.kept, 0);
+        assert.deepEqual(Object.keys(database.get('files')), ['LIVE']);
+        assert.equal(database.get('locators'), null);
+        assert.deepEqual([...storage.objects.keys()], ['LIVE/live.txt']);
+        storage.objects.clear();
+    });
+
+    test('keep their metadata while an object cannot be deleted', async () => {
+        const database = new MemoryDatabase({
+            data: {
+                files: {
+                    GONE: expiredFile(store('GONE/file.txt')),
+                    STAY: expiredFile({ url: 'http://127.0.0.1:9/files/STAY/file.txt' })
+                }
+            }
+        });
+
+        const summary = await cleanup.run(createOptions(), {}, database);
+        assert.equal(summary.files, 1);
+        assert.equal(summary.kept, 1);
+        assert.deepEqual(Object.keys(database.get('files')), ['STAY']);
+        assert.equal(storage.objects.size, 0);
+    });
+
+    test('are deleted at the upload endpoint whatever URL they are served from', async () => {
+        const { key } = store('CDNX/file.txt');
+        const database = new MemoryDatabase({
+            data: { files: { CDNX: expiredFile({ key, url: 'http://cdn.invalid/CDNX/file.txt' }) } }
+        });
+
+        const summary = await cleanup.run(createOptions(), {}, database);
+        assert.equal(summary.files, 1);
+        assert.equal(storage.objects.size, 0);
+    });
+
+    test('on a backend without deletes only lose their metadata', async () => {
+        const database = new MemoryDatabase({
+            data: { files: { TGPH: expiredFile({ storage: 'telegraph', key: '/file/abc.txt', url: 'https://telegra.ph/file/abc.txt' }) } }
+        });
+
+        const summary = await cleanup.run(createOptions(), {}, database);
+        assert.equal(summary.files, 1);
+        assert.equal(database.get('files'), null);
+    });
+
+    test('are only counted in a dry run', async () => {
+        const file = store('DRY/file.txt');
+        const database = new MemoryDatabase({ data: { files: { DRY: expiredFile(file) } } });
+
+        const summary = await cleanup.run(createOptions(['--dry-run']), {}, database);
+        assert.equal(summary.files, 1);
+        assert.ok(database.get('files/DRY'));
+        assert.ok(storage.objects.has('DRY/file.txt'));
+        storage.objects.clear();
+    });
+});
+
+test('large trees are read a page at a time', async () => {
+    const files = {};
+    const lookups = {};
+    for (let i = 0; i < 7; i++) {
+        files[`F00${i}`] = i % 2 === 0 ? expiredFile({ storage: 'telegraph' }) : { ...expiredFile({}), expires: Date.now() + DAY };
+        lookups[`uid${i}`] = { files: { code: 'F000', at: Date.now() - (i < 3 ? 2 * DAY : 0), misses: 0 } };
+    }
+    const database = new MemoryDatabase({ data: { files, lookups } });
+    const pages = [];
+    const get = database.get.bind(database);
+    database.get = (path, query) => {
+        if (query && query.limitToFirst) pages.push(path);
+        return get(path, query);
+    };
+
+    const summary = await cleanup.run({ ...createOptions(), pageSize: 2 }, {}, database);
+    assert.equal(summary.files, 4);
+    assert.equal(summary.lookups, 3);
+    assert.deepEqual(Object.keys(database.get('files')), ['F001', 'F003', 'F005']);
+    assert.equal(pages.filter(path => path === 'files').length, 4);
+});
+
+test('room histories are trimmed to the message cap', async () => {
+    const now = Date.now();
+    const messages = {};
+    for (let i = 0; i < 5; i++) {
+        messages[`m${i}`] = { id: `m${i}`, key: `m${i}`, sender: 'alice', timestamp: now - (5 - i) * 1000 };
+    }
+    const database = new MemoryDatabase({ data: { rooms: { ROOM: { created: now, lastActivity: now, messages } } } });
+
+    const summary = await cleanup.run(createOptions(['--max-messages', '3']), {}, database);
+    assert.equal(summary.messages, 2);
+    assert.deepEqual(Object.keys(database.get('rooms/ROOM/messages')), ['m2', 'm3', 'm4']);
+});
@@ -0,0 +1,528 @@
+'use strict';
+
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const ClypseClient = require('../client.js');
+const ClypseCrypto = require('../crypto.js');
+const ClypseStorage = require('../storage.js');
+const { MemoryDatabase } = require('./support/memory-database.js');
+const { startStorageServer } = require('./support/storage.js');
+
+let storage;
+
+before(async () => {
+    storage = await startStorageServer();
+});
+
+after(async () => {
+    await storage.close();
+});
+
+beforeEach(() => {
+    storage.objects.clear();
+});
+
+function createClient(database, { config = {}, ...options } = {}) {
+    return new ClypseClient({
+        database,
+        config: { storage: storage.storage, ...config, upload: { retries: 0, ...config.upload } },
+        deviceId: 'device-a',
+        uid: 'device-a',
+        ...options
+    });
+}
+
+// Hands out the given codes in order instead of random ones
+function withCodes(client, codes) {
+    const queue = codes.slice();
+    client.generateCode = () => queue.shift();
+    return client;
+}
+
+async function readStream(stream) {
+    return Buffer.from(await new Response(stream).arrayBuffer()).toString('utf8');
+}
+
+async function createRoomEncryption(passphrase) {
+    const encryption = { salt: ClypseCrypto.randomSalt(), iterations: 1000 };
+    const key = await ClypseCrypto.deriveKey(passphrase, encryption.salt, encryption.iterations);
+    encryption.check = await ClypseCrypto.encryptJson(key, 'clypse');
+    return { encryption, key };
+}
+
+function snapshot(key, value) {
+    return { key, val: () => value };
+}
+
+describe('reserveCode', () => {
+    test('claims a free code with the placeholder', async () => {
+        const database = new MemoryDatabase();
+        const client = withCodes(createClient(database), ['ABCD']);
+
+        assert.equal(await client.reserveCode('rooms', { created: 1 }), 'ABCD');
+        assert.deepEqual(database.get('rooms/ABCD'), { created: 1 });
+    });
+
+    test('moves on from taken codes and codes it may not read', async () => {
+        const database = new MemoryDatabase({
+            data: { rooms: { TAKN: { created: 1 } } },
+            refuse: (method, path) => path === 'rooms/HIDN'
+        });
+        const client = withCodes(createClient(database), ['TAKN', 'HIDN', 'FREE']);
+
+        assert.equal(await client.reserveCode('rooms', { created: 2 }), 'FREE');
+        assert.deepEqual(database.get('rooms/TAKN'), { created: 1 });
+    });
+
+    test('gives up after codeAttempts', async () => {
+        const database = new MemoryDatabase({ data: { rooms: { TAKN: { created: 1 } } } });
+        const client = withCodes(createClient(database, { config: { codeAttempts: 3 } }), ['TAKN', 'TAKN', 'TAKN', 'FREE']);
+
+        await assert.rejects(client.reserveCode('rooms', { created: 2 }), /Could not find a free code/);
+    });
+
+    test('reserveFileCode leaves a placeholder that expires', async () => {
+        const database = new MemoryDatabase();
+        const client = withCodes(createClient(database), ['FILE']);
+
+        await client.reserveFileCode();
+        const placeholder = database.get('files/FILE');
+        assert.equal(placeholder.status, 'reserved');
+        assert.equal(placeholder.uid, 'device-a');
+        assert.ok(placeholder.expires > Date.now());
+    });
+});
+
+describe('lookup', () => {
+    test('records the code looked up', async () => {
+        const database = new MemoryDatabase();
+        const client = createClient(database);
+
+        assert.deepEqual(await client.lookup('files', 'ABCD'), { allowed: true });
+        const record = database.get('lookups/device-a/files');
+        assert.equal(record.code, 'ABCD');
+        assert.equal(record.misses, 0);
+        assert.equal(typeof record.at, 'number');
+    });
+
+    test('looking up the same code again writes nothing', async () => {
+        const database = new MemoryDatabase({ data: { lookups: { 'device-a': { files: { code: 'ABCD', at: Date.now(), misses: 4 } } } } });
+        const client = createClient(database);
+
+        assert.deepEqual(await client.lookup('files', 'ABCD'), { allowed: true });
+        assert.deepEqual(database.writes, []);
+    });
+
+    test('counts a miss when the last code does not exist and resets on a hit', async () => {
+        const at = Date.now() - 60000;
+        const database = new MemoryDatabase({
+            data: {
+                files: { HERE: { expires: Date.now() + 60000 } },
+                lookups: { 'device-a': { files: { code: 'GONE', at, misses: 2 }, rooms: { code: 'HERE', at, misses: 2 } } }
+            }
+        });
+        const client = createClient(database);
+
+        await client.lookup('files', 'NEXT');
+        assert.equal(database.get('lookups/device-a/files/misses'), 3);
+
+        // HERE is a file, not a room, so for rooms it counts as a miss as well
+        await client.lookup('rooms', 'NEXT');
+        assert.equal(database.get('lookups/device-a/rooms/misses'), 3);
+
+        database.put('lookups/device-a/files/at', at);
+        database.put('files/NEXT', { expires: Date.now() + 60000 });
+        await client.lookup('files', 'LAST');
+        assert.equal(database.get('lookups/device-a/files/misses'), 0);
+    });
+
+    test('refuses when the wait is longer than maxWait', async () => {
+        const database = new MemoryDatabase({ data: { lookups: { 'device-a': { files: { code: 'GONE', at: Date.now(), misses: 9 } } } } });
+        const client = createClient(database);
+
+        const result = await client.lookup('files', 'NEXT');
+        assert.equal(result.allowed, false);
+        assert.ok(result.wait > 55000 && result.wait <= 60000);
+        assert.deepEqual(database.writes, []);
+    });
+
+    test('sits out a short wait', async () => {
+        const database = new MemoryDatabase({ data: { lookups: { 'device-a': { files: { code: 'GONE', at: Date.now(), misses: 0 } } } } });
+        const client = createClient(database);
+
+        const started = Date.now();
+        assert.deepEqual(await client.lookup('files', 'NEXT'), { allowed: true });
+        assert.ok(Date.now() - started >= 400);
+    });
+
+    test('is skipped without a signed-in uid', async () => {
+        const database = new MemoryDatabase();
+        const client = createClient(database, { uid: null });
+
+        assert.deepEqual(await client.lookup('files', 'ABCD'), { allowed: true });
+        assert.deepEqual(database.writes, []);
+    });
+
+    test('delays grow with the misses', () => {
+        const client = createClient(null);
+        assert.deepEqual([0, 2, 3, 5, 9, 10, 50].map(misses => client.getLookupDelay(misses)),
+            [500, 500, 2000, 10000, 10000, 60000, 60000]);
+    });
+});
+
+describe('upload', () => {
+    test('stores a small file as one object', async () => {
+        const database = new MemoryDatabase();
+        const client = createClient(database);
+        const codes = [];
+
+        const result = await client.upload(new File(['hello'], 'hello.txt', { type: 'text/plain' }), { expiresIn: 3600000 }, {
+            onCode: code => codes.push(code)
+        });
+
+        assert.deepEqual(codes, [result.code]);
+        const record = database.get(`files/${result.code}`);
+        assert.equal(record.name, 'hello.txt');
+        assert.equal(record.status, 'complete');
+        assert.equal(record.sha256, result.sha256);
+        assert.equal(storage.objects.get(record.key).body.toString(), 'hello');
+        assert.equal(await readStream(await client.openStream(record)), 'hello');
+    });
+
+    test('fails when the record is refused, leaving the code to the caller to release', async () => {
+        let reserved = null;
+        const database = new MemoryDatabase({
+            refuse: (method, path) => reserved !== null && method !== 'GET' && path === `files/${reserved}`
+        });
+        const client = createClient(database);
+
+        await assert.rejects(client.upload(new File(['hello'], 'hello.txt'), {}, {
+            onCode: (code) => { reserved = code; }
+        }), /PERMISSION_DENIED/);
+        assert.equal(database.get(`files/${reserved}`).status, 'reserved');
+    });
+
+    test('splits large files into chunks', async () => {
+        const database = new MemoryDatabase();
+        const client = createClient(database, { config: { upload: { chunkThreshold: 8, chunkSize: 4 } } });
+
+        const result = await client.upload(new File(['0123456789'], 'digits.txt'), {});
+        const record = database.get(`files/${result.code}`);
+        assert.equal(record.chunked, true);
+        assert.equal(record.chunkCount, 3);
+        assert.equal(Object.keys(record.chunks).length, 3);
+        assert.equal(storage.objects.size, 3);
+        assert.equal(await readStream(await client.openStream(record)), '0123456789');
+    });
+
+    test('binds encrypted chunks to their position', async () => {
+        const database = new MemoryDatabase();
+        const client = createClient(database, { config: { upload: { chunkSize: 4 } } });
+
+        const result = await client.upload(new File(['abcdefgh'], 'secret.txt'), { encrypt: true });
+        const record = database.get(`files/${result.code}`);
+        assert.equal(record.name, 'encrypted');
+        const cryptoKey = await ClypseCrypto.importKey(result.fileKey);
+        assert.deepEqual(await ClypseCrypto.decryptJson(cryptoKey, record.meta), { name: 'secret.txt', type: '', sha256: result.sha256 });
+        assert.equal(await readStream(await client.openStream(record, { cryptoKey })), 'abcdefgh');
+
+        const swapped = { ...record, chunks: [record.chunks[1], record.chunks[0]] };
+        await assert.rejects(readStream(await client.openStream(swapped, { cryptoKey })));
+
+        // A bundle entry is sealed under its own prefix, so it cannot pass for another entry
+        await assert.rejects(readStream(await client.openStream(record, { cryptoKey, aadPrefix: 'entry:1/' })));
+    });
+
+    test('handles empty files, encrypted or not', async () => {
+        const database = new MemoryDatabase();
+        const client = createClient(database);
+
+        for (const encrypt of [false, true]) {
+            const result = await client.upload(new File([], 'empty.txt'), { encrypt });
+            const record = database.get(`files/${result.code}`);
+            const cryptoKey = encrypt ? await ClypseCrypto.importKey(result.fileKey) : null;
+
+            assert.equal(record.size, 0);
+            assert.equal(await readStream(await client.openStream(record, { cryptoKey })), '');
+        }
+    });
+
+    test('resumes an interrupted chunked upload where it stopped', async () => {
+        const database = new MemoryDatabase();
+        let uploads = 0;
+        let failAt = 2;
+        const createStorage = (name, options) => {
+            const adapter = ClypseStorage.createStorageAdapter(name, options);
+            const upload = adapter.upload.bind(adapter);
+            adapter.upload = (file, context) => {
+                uploads += 1;
+                if (uploads === failAt) return Promise.reject(new Error('connection lost'));
+                return upload(file, context);
+            };
+            return adapter;
+        };
+        const client = createClient(database, { createStorage, config: { upload: { chunkSize: 4 } } });
+        const file = new File(['abcdefghij'], 'resume.txt');
+
+        let pending = null;
+        await assert.rejects(client.upload(file, { encrypt: true }, { onPending: (state) => { pending = state; } }), /connection lost/);
+        assert.equal(pending.confirmed, 1);
+        assert.equal(database.get(`files/${pending.code}/status`), 'uploading');
+
+        uploads = 0;
+        failAt = 0;
+        const result = await client.upload(file, {}, { pending });
+        assert.equal(uploads, 2);
+        assert.equal(result.code, pending.code);
+        assert.equal(result.fileKey, pending.key);
+
+        const record = database.get(`files/${result.code}`);
+        const cryptoKey = await ClypseCrypto.importKey(result.fileKey);
+        assert.equal(record.status, 'complete');
+        assert.equal(await readStream(await client.openStream(record, { cryptoKey })), 'abcdefghij');
+    });
+
+    test('keeps a password-protected file\'s locator where only the password leads', async () => {
+        const database = new MemoryDatabase();
+        const client = createClient(database, { config: { upload: { chunkThreshold: 2, chunkSize: 2 } } });
+
+        const result = await client.upload(new File(['abcde'], 'x.txt'), { password: 'hunter2' });
+        const record = database.get(`files/${result.code}`);
+        assert.deepEqual(Object.keys(record.password).sort(), ['iterations', 'salt']);
+        assert.equal(record.chunks, undefined);
+        assert.equal(record.chunked, true);
+        assert.ok(!JSON.stringify(record).includes('hunter2'));
+
+        const hash = await ClypseCrypto.hashPassword('hunter2', record.password.salt, record.password.iterations);
+        assert.deepEqual(Object.keys(database.get('locators')[result.code]), [hash]);
+
+        assert.equal(await client.unlockFile(result.code, record, 'wrong'), null);
+        const unlocked = await client.unlockFile(result.code, record, 'hunter2');
+        assert.equal(await readStream(await client.openStream(unlocked)), 'abcde');
+
+        // The uploader can purge without the password
+        await client.purge(record, null);
+        assert.equal(database.get('locators'), null);
+        assert.equal(storage.objects.size, 0);
+    });
+
+    test('still opens records that kept the password hash', async () => {
+        const client = createClient(new MemoryDatabase());
+        const password = await client.hashUploadPassword('hunter2');
+        const record = { code: 'OLDX', key: 'object', password };
+
+        assert.equal(await client.unlockFile('OLDX', record, 'wrong'), null);
+        assert.equal(await client.unlockFile('OLDX', record, 'hunter2'), record);
+    });
+});
+
+describe('uploadBundle', () => {
+    const files = () => [
+        { file: new File(['first'], 'a.txt'), path: 'docs/a.txt' },
+        { file: new File(['second'], 'b.txt'), path: 'docs/b.txt' },
+        { file: new File(['third'], 'c.txt'), path: 'c.txt' }
+    ];
+
+    test('stores every file under one code', async () => {
+        const database = new MemoryDatabase();
+        const client = createClient(database);
+        const done = [];
+
+        const result = await client.uploadBundle(files(), { name: 'docs', owner: 'owner-a' }, {
+            onEntryDone: (index, stored) => done.push([index, stored])
+        });
+        assert.deepEqual(done, [[0, 1], [1, 2], [2, 3]]);
+
+        const record = database.get(`files/${result.code}`);
+        assert.equal(record.bundle, true);
+        assert.equal(record.owner, 'owner-a');
+        assert.equal(record.count, 3);
+        assert.equal(record.size, 'firstsecondthird'.length);
+        assert.deepEqual(record.entries.map(entry => entry.path), ['docs/a.txt', 'docs/b.txt', 'c.txt']);
+        assert.equal(await readStream(await client.openStream({ ...record.entries[1], storage: record.storage })), 'second');
+    });
+
+    test('leaves out files that are skipped or fail when onEntryError returns', async () => {
+        const database = new MemoryDatabase();
+        const client = createClient(database);
+        const failed = [];
+        client.storeObject = async function (file, task, context) {
+            if (file.name === 'c.txt') throw new Error('broken');
+            return ClypseClient.prototype.storeObject.call(this, file, task, context);
+        };
+
+        const result = await client.uploadBundle(files(), { name: 'docs' }, {
+            entryTask: index => index === 0 ? null : {},
+            onEntryError: (index, error) => failed.push([index, error.message])
+        });
+        assert.deepEqual(failed, [[2, 'broken']]);
+        assert.deepEqual(database.get(`files/${result.code}`).entries.map(entry => entry.path), ['docs/b.txt']);
+    });
+
+    test('releases the code when nothing was stored or a file fails', async () => {
+        const database = new MemoryDatabase();
+        const client = createClient(database);
+
+        assert.equal(await client.uploadBundle(files(), { name: 'docs' }, { entryTask: () => null }), null);
+        assert.equal(database.get('files'), null);
+
+        client.storeObject = async () => { throw new Error('broken'); };
+        await assert.rejects(client.uploadBundle(files(), { name: 'docs' }), /broken/);
+        assert.equal(database.get('files'), null);
+    });
+});
+
+describe('claimDownload', () => {
+    function seed(file) {
+        return new MemoryDatabase({ data: { files: { CODE: { code: 'CODE', status: 'complete', expires: Date.now() + 60000, ...file } } } });
+    }
+
+    test('counts every download', async () => {
+        const database = seed({});
+        const client = createClient(database);
+
+        assert.deepEqual(await client.claimDownload('CODE'), { allowed: true, last: false });
+        assert.deepEqual(await client.claimDownload('CODE'), { allowed: true, last: false });
+        assert.equal(database.get('files/CODE/downloads'), 2);
+    });
+
+    test('stops at maxDownloads and reports the last one', async () => {
+        const database = seed({ maxDownloads: 2, downloads: 1 });
+        const client = createClient(database);
+
+        assert.deepEqual(await client.claimDownload('CODE'), { allowed: true, last: true });
+        assert.deepEqual(await client.claimDownload('CODE'), { allowed: false, reason: 'limit' });
+        assert.equal(database.get('files/CODE/downloads'), 2);
+    });
+
+    test('refuses missing, expired and unfinished files', async () => {
+        const client = createClient(new MemoryDatabase());
+        assert.deepEqual(await client.claimDownload('CODE'), { allowed: false, reason: 'missing' });
+
+        const expired = createClient(seed({ expires: Date.now() - 1 }));
+        assert.deepEqual(await expired.claimDownload('CODE'), { allowed: false, reason: 'expired' });
+
+        const uploading = createClient(seed({ status: 'uploading' }));
+        assert.deepEqual(await uploading.claimDownload('CODE'), { allowed: false, reason: 'uploading' });
+    });
+
+    test('only ever writes the counter', async () => {
+        const database = seed({ maxDownloads: 3 });
+        const client = createClient(database);
+
+        await client.claimDownload('CODE');
+        assert.deepEqual(database.writes.map(([method, path]) => [method, path]), [['PUT', 'files/CODE/downloads']]);
+    });
+});
+
+describe('handleMessageSnapshot', () => {
+    test('emits plain messages as they are', async () => {
+        const client = createClient(new MemoryDatabase());
+        client.room = 'ROOM';
+        const seen = [];
+        client.on('message', (key, message) => seen.push([key, message.text]));
+
+        await client.handleMessageSnapshot(snapshot('m1', { text: 'hi' }), 'ROOM');
+        assert.deepEqual(seen, [['m1', 'hi']]);
+    });
+
+    test('drops snapshots for a room that was left', async () => {
+        const client = createClient(new MemoryDatabase());
+        client.room = 'OTHR';
+        const seen = [];
+        client.on('message', key => seen.push(key));
+
+        await client.handleMessageSnapshot(snapshot('m1', { text: 'hi' }), 'ROOM');
+        assert.deepEqual(seen, []);
+    });
+
+    test('a newer snapshot for the same key wins over one still decrypting', async () => {
+        const { key } = await createRoomEncryption('passphrase');
+        const client = createClient(new MemoryDatabase());
+        client.room = 'ROOM';
+        client.roomKey = key;
+        const seen = [];
+        client.on('message', (messageKey, message) => seen.push(message.text));
+
+        const first = { encrypted: true, payload: await ClypseCrypto.encryptJson(key, { text: 'first' }) };
+        const slow = client.handleMessageSnapshot(snapshot('m1', first), 'ROOM');
+        const fast = client.handleMessageSnapshot(snapshot('m1', { text: 'edited' }), 'ROOM');
+        await Promise.all([slow, fast]);
+
+        assert.deepEqual(seen, ['edited']);
+    });
+
+    test('marks messages it cannot decrypt as locked', async () => {
+        const { key } = await createRoomEncryption('right');
+        const { key: wrongKey } = await createRoomEncryption('wrong');
+        const client = createClient(new MemoryDatabase());
+        client.room = 'ROOM';
+        client.roomKey = wrongKey;
+        const seen = [];
+        client.on('message', (messageKey, message) => seen.push(message));
+
+        await client.handleMessageSnapshot(snapshot('m1', { encrypted: true, payload: await ClypseCrypto.encryptJson(key, { text: 'secret' }) }), 'ROOM');
+        assert.equal(seen[0].locked, true);
+        assert.equal(seen[0].text, undefined);
+    });
+});
+
+describe('send', () => {
+    test('needs a room', async () => {
+        const client = createClient(new MemoryDatabase());
+        await assert.rejects(client.send('hello'), /Join a room first/);
+    });
+
+    test('writes the message under its push key and reaches watchers', async () => {
+        const database = new MemoryDatabase({ data: { rooms: { ROOM: { created: 1 } } } });
+        const client = createClient(database, { device: 'Test device' });
+        const seen = [];
+        client.on('message', (key, message) => seen.push([key, message.text]));
+
+        await client.joinRoom('room');
+        const key = await client.send('hello', { expiresIn: 60000 });
+        await new Promise(resolve => setImmediate(resolve));
+
+        const record = database.get(`rooms/ROOM/messages/${key}`);
+        assert.equal(record.text, 'hello');
+        assert.equal(record.type, 'text');
+        assert.equal(record.key, key);
+        assert.equal(record.sender, 'device-a');
+        assert.equal(record.device, 'Test device');
+        assert.ok(record.expires > Date.now());
+        assert.equal(typeof database.get('rooms/ROOM/members/device-a'), 'number');
+        assert.equal(typeof database.get('rooms/ROOM/lastActivity'), 'number');
+        assert.deepEqual(seen, [[key, 'hello']]);
+        client.leaveRoom();
+    });
+
+    test('sends code snippets with their language', async () => {
+        const database = new MemoryDatabase({ data: { rooms: { ROOM: { created: 1 } } } });
+        const client = createClient(database);
+
+        await client.joinRoom('ROOM');
+        const key = await client.send('let x = 1;', { language: 'javascript' });
+        assert.equal(database.get(`rooms/ROOM/messages/${key}/type`), 'code');
+        assert.equal(database.get(`rooms/ROOM/messages/${key}/language`), 'javascript');
+        client.leaveRoom();
+    });
+
+    test('seals everything but the routing fields in encrypted rooms', async () => {
+        const { encryption, key: roomKey } = await createRoomEncryption('passphrase');
+        const database = new MemoryDatabase({ data: { rooms: { ROOM: { created: 1, encryption } } } });
+        const client = createClient(database);
+
+        await assert.rejects(client.joinRoom('ROOM', { passphrase: 'wrong' }), /Wrong passphrase/);
+        await client.joinRoom('ROOM', { passphrase: 'passphrase' });
+        const key = await client.send('secret text');
+
+        const record = database.get(`rooms/ROOM/messages/${key}`);
+        assert.equal(record.encrypted, true);
+        assert.equal(record.text, undefined);
+        assert.equal(record.type, undefined);
+        assert.deepEqual(Object.keys(record).sort(), ['device', 'encrypted', 'id', 'key', 'payload', 'sender', 'timestamp']);
+        assert.equal((await ClypseCrypto.decryptJson(roomKey, record.payload)).text, 'secret text');
+        client.leaveRoom();
+    });
+});
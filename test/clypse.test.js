@@ -0,0 +1,185 @@
+'use strict';
+
+const { test, describe, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ClypseClient = require('../client.js');
+const cli = require('../scripts/clypse.js');
+const { MemoryDatabase } = require('./support/memory-database.js');
+const { startStorageServer } = require('./support/storage.js');
+
+const OWNER = { id: 'owner-cli', secret: 'c2VjcmV0LXNlY3JldC1zZWNyZXQtc2VjcmV0LXNlY3I' };
+
+let storage;
+let folder;
+
+before(async () => {
+    storage = await startStorageServer();
+});
+
+after(async () => {
+    await storage.close();
+});
+
+beforeEach(() => {
+    folder = fs.mkdtempSync(path.join(os.tmpdir(), 'clypse-cli-'));
+});
+
+afterEach(() => {
+    fs.rmSync(folder, { recursive: true, force: true });
+});
+
+function createSession(database, argv = [], upload = {}) {
+    const options = cli.parseArgs(['--storage', 'http', '--upload-url', storage.uploadUrl, '--base-url', storage.uploadUrl, ...argv], {});
+    options.output = path.join(folder, 'out');
+    const client = new ClypseClient({
+        database,
+        config: { storage: cli.buildStorageConfig(options), upload: { retries: 0, ...upload } },
+        deviceId: 'cli-device',
+        uid: 'cli-device'
+    });
+    return { client, database, identity: { uid: 'cli-device', owner: OWNER }, options };
+}
+
+function writeFile(name, text) {
+    const file = path.join(folder, name);
+    fs.writeFileSync(file, text);
+    return file;
+}
+
+describe('parseArgs', () => {
+    test('collects every path after send', () => {
+        const options = cli.parseArgs(['send', 'a.txt', 'b.txt', 'c.txt', '--encrypt'], {});
+        assert.equal(options.command, 'send');
+        assert.deepEqual(options.args, ['a.txt', 'b.txt', 'c.txt']);
+        assert.equal(options.encrypt, true);
+    });
+
+    test('takes defaults from the environment', () => {
+        const options = cli.parseArgs(['get', 'ABCD'], { CLYPSE_STORAGE: 'http', CLYPSE_APP_URL: 'https://example.com/' });
+        assert.equal(options.storage, 'http');
+        assert.equal(options.appUrl, 'https://example.com/');
+    });
+
+    test('rejects unknown options and bad numbers', () => {
+        assert.throws(() => cli.parseArgs(['send', '--frobnicate'], {}), /Unknown option/);
+        assert.throws(() => cli.parseArgs(['send', '--expires', '0'], {}), /--expires/);
+        assert.throws(() => cli.parseArgs(['send', '--max-downloads', '1.5'], {}), /--max-downloads/);
+        assert.throws(() => cli.parseArgs(['get', '-o'], {}), /Missing value/);
+    });
+});
+
+describe('share links', () => {
+    test('keep the key in the fragment', () => {
+        assert.equal(cli.buildShareUrl('https://example.com/app/', 'ABCD', 'secret'), 'https://example.com/app/?file=ABCD#key=secret');
+        assert.equal(cli.buildShareUrl(null, 'ABCD', null), '?file=ABCD');
+    });
+
+    test('parse back into code and key', () => {
+        assert.deepEqual(cli.parseFileTarget('https://example.com/?file=abcd#key=secret'), { code: 'ABCD', key: 'secret' });
+        assert.deepEqual(cli.parseFileTarget('abcd'), { code: 'ABCD', key: null });
+    });
+});
+
+describe('send and get', () => {
+    test('a single path is one plain upload', async () => {
+        const database = new MemoryDatabase();
+        const session = createSession(database);
+        const result = await cli.sendFiles(session, [writeFile('notes.txt', 'hello')]);
+
+        const record = database.get(`files/${result.code}`);
+        assert.equal(record.name, 'notes.txt');
+        assert.equal(record.bundle, undefined);
+        assert.ok(database.get(`owners/${OWNER.id}/files/${result.code}`));
+
+        const [saved] = await cli.getFile(session, result.code);
+        assert.equal(path.basename(saved), 'notes.txt');
+        assert.equal(fs.readFileSync(saved, 'utf8'), 'hello');
+    });
+
+    test('several paths share one code as a bundle', async () => {
+        const database = new MemoryDatabase();
+        const session = createSession(database);
+        const paths = [writeFile('a.txt', 'first'), writeFile('b.txt', 'second'), writeFile('c.txt', '')];
+        const result = await cli.sendFiles(session, paths);
+
+        assert.equal(Object.keys(database.get('files')).length, 1);
+        const record = database.get(`files/${result.code}`);
+        assert.equal(record.bundle, true);
+        assert.equal(record.count, 3);
+        assert.equal(record.size, 'firstsecond'.length);
+        assert.deepEqual(record.entries.map(entry => entry.path), ['a.txt', 'b.txt', 'c.txt']);
+
+        const saved = await cli.getFile(session, result.code);
+        assert.deepEqual(saved.map(file => path.relative(session.options.output, file)),
+            ['3 files/a.txt', '3 files/b.txt', '3 files/c.txt']);
+        assert.deepEqual(saved.map(file => fs.readFileSync(file, 'utf8')), ['first', 'second', '']);
+    });
+
+    test('an encrypted bundle only opens with the key from the link', async () => {
+        const database = new MemoryDatabase();
+        const session = createSession(database, ['--encrypt'], { chunkSize: 4 });
+        const result = await cli.sendFiles(session, [writeFile('a.txt', 'sealed text'), writeFile('b.txt', 'more')]);
+
+        const record = database.get(`files/${result.code}`);
+        assert.equal(record.name, 'encrypted');
+        assert.ok(record.entries.every(entry => entry.encrypted && !entry.path && entry.chunked));
+        await assert.rejects(cli.getFile(session, result.code), /end-to-end encrypted/);
+
+        const saved = await cli.getFile(session, `?file=${result.code}#key=${result.fileKey}`);
+        assert.deepEqual(saved.map(file => fs.readFileSync(file, 'utf8')), ['sealed text', 'more']);
+    });
+
+    test('a password-protected bundle is only found with the password', async () => {
+        const database = new MemoryDatabase();
+        const session = createSession(database, ['--password', 'hunter2']);
+        const result = await cli.sendFiles(session, [writeFile('a.txt', 'first'), writeFile('b.txt', 'second')]);
+
+        const record = database.get(`files/${result.code}`);
+        assert.equal(record.entries, undefined);
+        assert.equal(record.password.hash, undefined);
+
+        const reader = createSession(database);
+        await assert.rejects(cli.getFile(reader, result.code), /pass --password/);
+        reader.options.password = 'wrong';
+        await assert.rejects(cli.getFile(reader, result.code), /Wrong password/);
+        assert.equal(database.get(`files/${result.code}/downloads`), 0);
+
+        reader.options.password = 'hunter2';
+        const saved = await cli.getFile(reader, result.code);
+        assert.deepEqual(saved.map(file => fs.readFileSync(file, 'utf8')), ['first', 'second']);
+    });
+
+    test('a failed upload releases the bundle code', async () => {
+        const database = new MemoryDatabase();
+        const session = createSession(database, ['--upload-url', 'http://127.0.0.1:9/files']);
+        const paths = [writeFile('a.txt', 'first'), writeFile('b.txt', 'second')];
+
+        await assert.rejects(cli.sendFiles(session, paths), /Upload of "a.txt" failed/);
+        assert.equal(database.get('files'), null);
+    });
+
+    test('a missing path fails before anything is reserved', async () => {
+        const database = new MemoryDatabase();
+        const session = createSession(database);
+
+        await assert.rejects(cli.sendFiles(session, [writeFile('a.txt', 'first'), path.join(folder, 'nope.txt')]), /ENOENT/);
+        assert.deepEqual(database.writes, []);
+    });
+
+    test('the last allowed download removes the file', async () => {
+        const database = new MemoryDatabase();
+        const session = createSession(database, ['--max-downloads', '1']);
+        const result = await cli.sendFiles(session, [writeFile('once.txt', 'only once')]);
+        const { key } = database.get(`files/${result.code}`);
+        assert.ok(storage.objects.has(key));
+
+        await cli.getFile(session, result.code);
+        assert.equal(database.get(`files/${result.code}`), null);
+        assert.equal(storage.objects.has(key), false);
+        await assert.rejects(cli.getFile(session, result.code), /No file found/);
+    });
+});
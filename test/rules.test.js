@@ -0,0 +1,329 @@
+'use strict';
+
+// The rule checks run against the Realtime Database emulator and are skipped without it:
+//   firebase emulators:exec --only database "npm test"
+
+const { test, describe, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const { render } = require('../scripts/build-rules.js');
+const { RestDatabase } = require('../scripts/rest-database.js');
+
+const ROOT = path.join(__dirname, '..');
+const EMULATOR = process.env.FIREBASE_DATABASE_EMULATOR_HOST;
+const DATABASE_URL = 'https://clypse-rules-test.firebaseio.com/';
+const PROJECT = 'clypse-rules-test';
+const TIMESTAMP = { '.sv': 'timestamp' };
+const HOUR = 60 * 60 * 1000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('database.rules.json is built from the template and limits.js', () => {
+    const template = fs.readFileSync(path.join(ROOT, 'database.rules.template.json'), 'utf8');
+    assert.equal(fs.readFileSync(path.join(ROOT, 'database.rules.json'), 'utf8'), render(template));
+});
+
+test('the rules template refuses unknown limits', () => {
+    assert.throws(() => render('{ "rules": "{{nope}}" }'), /Unknown limit in rules template: nope/);
+});
+
+// The emulator accepts unsigned ID tokens
+function createToken(uid) {
+    const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+    const now = Math.floor(Date.now() / 1000);
+    return [
+        encode({ alg: 'none', typ: 'JWT' }),
+        encode({
+            iss: `https://securetoken.google.com/${PROJECT}`,
+            aud: PROJECT,
+            iat: now,
+            exp: now + 3600,
+            auth_time: now,
+            sub: uid,
+            user_id: uid,
+            firebase: { sign_in_provider: 'anonymous', identities: {} }
+        }),
+        ''
+    ].join('.');
+}
+
+function signIn(uid) {
+    const token = createToken(uid);
+    return new RestDatabase(DATABASE_URL, process.env, { getToken: async () => token });
+}
+
+function refused(promise) {
+    return assert.rejects(promise, /Permission denied/i);
+}
+
+describe('database rules', { skip: !EMULATOR && 'set FIREBASE_DATABASE_EMULATOR_HOST to run against the emulator' }, () => {
+    let admin;
+    let alice;
+    let bob;
+
+    before(async () => {
+        admin = new RestDatabase(DATABASE_URL, process.env);
+        alice = signIn('alice');
+        bob = signIn('bob');
+        await admin.request('PUT', '.settings/rules', { body: JSON.parse(fs.readFileSync(path.join(ROOT, 'database.rules.json'), 'utf8')) });
+    });
+
+    beforeEach(async () => {
+        await admin.ref().set(null);
+    });
+
+    after(() => {
+        [admin, alice, bob].forEach(database => database.close());
+    });
+
+    function seedFile(code, fields = {}) {
+        return admin.ref(`files/${code}`).set({
+            code,
+            uid: 'alice',
+            status: 'complete',
+            name: 'notes.txt',
+            size: 5,
+            key: 'object-key',
+            url: 'https://storage.example/object-key',
+            expires: Date.now() + HOUR,
+            ...fields
+        });
+    }
+
+    function lookUp(database, kind, code, misses = 0) {
+        return database.ref(`lookups/${database === alice ? 'alice' : 'bob'}/${kind}`).set({ code, misses, at: TIMESTAMP });
+    }
+
+    describe('lookup throttling', () => {
+        test('the first lookup needs no wait and starts with no misses', async () => {
+            await lookUp(bob, 'files', 'ABCD');
+            await refused(bob.ref('lookups/bob/files').set({ code: 'ABCD', misses: 0, at: Date.now() - HOUR }));
+        });
+
+        test('the next lookup has to wait and counts the miss', async () => {
+            await lookUp(bob, 'files', 'NOPE');
+            await refused(lookUp(bob, 'files', 'NEXT', 1));
+
+            await sleep(600);
+            await refused(lookUp(bob, 'files', 'NEXT', 0));
+            await lookUp(bob, 'files', 'NEXT', 1);
+        });
+
+        test('a hit resets the misses', async () => {
+            await seedFile('HERE');
+            await admin.ref('lookups/bob/files').set({ code: 'HERE', misses: 4, at: Date.now() - HOUR });
+
+            await refused(lookUp(bob, 'files', 'NEXT', 5));
+            await lookUp(bob, 'files', 'NEXT', 0);
+        });
+
+        test('ten misses in a row mean a minute between lookups', async () => {
+            await admin.ref('lookups/bob/files').set({ code: 'NOPE', misses: 10, at: Date.now() - 30000 });
+            await refused(lookUp(bob, 'files', 'NEXT', 11));
+
+            await admin.ref('lookups/bob/files/at').set(Date.now() - 61000);
+            await lookUp(bob, 'files', 'NEXT', 11);
+        });
+
+        test('records cannot be deleted, backdated or written for someone else', async () => {
+            await lookUp(bob, 'files', 'ABCD');
+            await sleep(600);
+
+            await refused(bob.ref('lookups/bob/files').remove());
+            await refused(bob.ref('lookups/bob/files').set({ code: 'NEXT', misses: 1, at: Date.now() - HOUR }));
+            await refused(lookUp(bob, 'other', 'NEXT'));
+            await refused(bob.ref('lookups/alice/files').set({ code: 'NEXT', misses: 0, at: TIMESTAMP }));
+            await refused(alice.ref('lookups/bob/files').once('value'));
+        });
+    });
+
+    describe('files/{code} reads', () => {
+        test('a free code can be read, so it can be reserved', async () => {
+            assert.equal((await bob.ref('files/FREE').once('value')).val(), null);
+        });
+
+        test('another device needs a lookup for the code', async () => {
+            await seedFile('ABCD');
+            await refused(bob.ref('files/ABCD').once('value'));
+
+            await lookUp(bob, 'files', 'ABCD');
+            assert.equal((await bob.ref('files/ABCD').once('value')).val().name, 'notes.txt');
+
+            await sleep(600);
+            await lookUp(bob, 'files', 'WXYZ', 0);
+            await refused(bob.ref('files/ABCD').once('value'));
+        });
+
+        test('the uploader, the owner\'s devices and room members read without one', async () => {
+            await seedFile('ABCD', { owner: 'owner-1', room: 'ROOM' });
+            assert.ok((await alice.ref('files/ABCD').once('value')).exists());
+            await refused(bob.ref('files/ABCD').once('value'));
+
+            await admin.ref('owners/owner-1/devices/bob').set(true);
+            assert.ok((await bob.ref('files/ABCD').once('value')).exists());
+
+            await admin.ref('owners/owner-1/devices/bob').remove();
+            await admin.ref('rooms/ROOM').set({ created: Date.now(), members: { bob: Date.now() } });
+            assert.ok((await bob.ref('files/ABCD').once('value')).exists());
+        });
+
+        test('the whole list cannot be read', async () => {
+            await seedFile('ABCD');
+            await refused(alice.ref('files').once('value'));
+        });
+    });
+
+    describe('downloads increments', () => {
+        test('a downloader raises the counter by one', async () => {
+            await seedFile('ABCD');
+            await lookUp(bob, 'files', 'ABCD');
+
+            await bob.ref('files/ABCD/downloads').set(1);
+            await bob.ref('files/ABCD/downloads').set(2);
+            await refused(bob.ref('files/ABCD/downloads').set(4));
+            await refused(bob.ref('files/ABCD/downloads').set(1));
+            await refused(bob.ref('files/ABCD/downloads').remove());
+        });
+
+        test('nothing else in the record can be changed by a downloader', async () => {
+            await seedFile('ABCD');
+            await lookUp(bob, 'files', 'ABCD');
+
+            await refused(bob.ref('files/ABCD/maxDownloads').set(100));
+            await refused(bob.ref('files/ABCD/expires').set(Date.now() + 2 * HOUR));
+            await refused(bob.ref('files/ABCD').update({ downloads: 1, name: 'other.txt' }));
+        });
+
+        test('stops at maxDownloads', async () => {
+            await seedFile('ABCD', { maxDownloads: 2, downloads: 1 });
+            await lookUp(bob, 'files', 'ABCD');
+
+            await bob.ref('files/ABCD/downloads').set(2);
+            await refused(bob.ref('files/ABCD/downloads').set(3));
+        });
+
+        test('needs a lookup and a finished, unexpired file', async () => {
+            await seedFile('ABCD');
+            await refused(bob.ref('files/ABCD/downloads').set(1));
+
+            await seedFile('EXPD', { expires: Date.now() - 1 });
+            await lookUp(bob, 'files', 'EXPD');
+            await refused(bob.ref('files/EXPD/downloads').set(1));
+
+            await seedFile('UPLD', { status: 'uploading' });
+            await sleep(600);
+            await lookUp(bob, 'files', 'UPLD');
+            await refused(bob.ref('files/UPLD/downloads').set(1));
+        });
+
+        test('a spent or expired file can be removed by anyone', async () => {
+            await seedFile('ABCD', { maxDownloads: 1, downloads: 1 });
+            await seedFile('EXPD', { expires: Date.now() - 1 });
+            await seedFile('LIVE');
+
+            await bob.ref('files/ABCD').remove();
+            await bob.ref('files/EXPD').remove();
+            await refused(bob.ref('files/LIVE').remove());
+        });
+    });
+
+    describe('password locators', () => {
+        const PROOF = 'p'.repeat(43);
+
+        beforeEach(async () => {
+            await seedFile('LOCK', { key: null, url: null, password: { salt: 'salt', iterations: 1000 }, owner: 'owner-1' });
+            await alice.ref(`locators/LOCK/${PROOF}`).set({ key: 'object-key', url: 'https://storage.example/object-key' });
+        });
+
+        test('a downloader reads the locator only by its hash', async () => {
+            await lookUp(bob, 'files', 'LOCK');
+            assert.equal((await bob.ref('files/LOCK/key').once('value')).val(), null);
+            assert.equal((await bob.ref(`locators/LOCK/${PROOF}`).once('value')).val().key, 'object-key');
+            assert.equal((await bob.ref(`locators/LOCK/${'q'.repeat(43)}`).once('value')).val(), null);
+            await refused(bob.ref('locators/LOCK').once('value'));
+            await refused(bob.ref(`locators/LOCK/${PROOF}/key`).set('other'));
+        });
+
+        test('without a lookup not even the right hash is enough', async () => {
+            await refused(bob.ref(`locators/LOCK/${PROOF}`).once('value'));
+        });
+
+        test('the uploader and the owner\'s devices read them all', async () => {
+            assert.ok((await alice.ref('locators/LOCK').once('value')).exists());
+            await admin.ref('owners/owner-1/devices/bob').set(true);
+            assert.ok((await bob.ref('locators/LOCK').once('value')).exists());
+        });
+
+        test('records no longer take the hash', async () => {
+            await refused(alice.ref('files/LOCK/password/hash').set(PROOF));
+            await refused(alice.ref('locators/LOCK/short').set({ key: 'object-key' }));
+        });
+
+        test('a spent file\'s locators can be removed by anyone', async () => {
+            await refused(bob.ref('locators/LOCK').remove());
+            await admin.ref('files/LOCK/expires').set(Date.now() - 1);
+            await bob.ref('locators/LOCK').remove();
+        });
+    });
+
+    describe('room membership writes', () => {
+        beforeEach(async () => {
+            await alice.ref('rooms/ROOM').set({
+                created: Date.now(),
+                settings: { creator: 'alice', anyoneCanDelete: false },
+                members: { alice: TIMESTAMP }
+            });
+        });
+
+        test('joining needs a lookup of the room code', async () => {
+            await refused(bob.ref('rooms/ROOM/members/bob').set(TIMESTAMP));
+
+            await lookUp(bob, 'rooms', 'ROOM');
+            await bob.ref('rooms/ROOM/members/bob').set(TIMESTAMP);
+        });
+
+        test('membership outlasts the lookup', async () => {
+            await lookUp(bob, 'rooms', 'ROOM');
+            await bob.ref('rooms/ROOM/members/bob').set(TIMESTAMP);
+
+            await sleep(600);
+            await lookUp(bob, 'rooms', 'ELSE', 0);
+            await bob.ref('rooms/ROOM/members/bob').set(TIMESTAMP);
+            assert.ok((await bob.ref('rooms/ROOM/created').once('value')).exists());
+        });
+
+        test('nobody joins for someone else or with a made-up time', async () => {
+            await lookUp(bob, 'rooms', 'ROOM');
+
+            await refused(bob.ref('rooms/ROOM/members/carol').set(TIMESTAMP));
+            await refused(bob.ref('rooms/ROOM/members/bob').set(Date.now() + HOUR));
+        });
+
+        test('members post as themselves with plain device names', async () => {
+            await lookUp(bob, 'rooms', 'ROOM');
+            await bob.ref('rooms/ROOM/members/bob').set(TIMESTAMP);
+            const message = { id: 'm1', key: '-Nabc_1', sender: 'bob', device: '💻 Desktop', timestamp: Date.now(), type: 'text', text: 'hi' };
+
+            await refused(bob.ref('rooms/ROOM/messages/-Nabc_1').set({ ...message, sender: 'alice' }));
+            await refused(bob.ref('rooms/ROOM/messages/-Nabc_1').set({ ...message, device: '<img src=x onerror=alert(1)>' }));
+            await refused(bob.ref('rooms/ROOM/messages/-Nabc_1').set({ ...message, device: 'say "hi"' }));
+            await refused(bob.ref('rooms/ROOM/messages/bad"key').set({ ...message, key: 'bad"key' }));
+            await bob.ref('rooms/ROOM/messages/-Nabc_1').set(message);
+
+            await refused(bob.ref('rooms/ROOM/presence/bob').set({ online: true, lastSeen: Date.now(), device: '<b>' }));
+            await bob.ref('rooms/ROOM/presence/bob').set({ online: true, lastSeen: Date.now(), device: '📱 Mobile' });
+        });
+
+        test('only the creator deletes the room or other members\' messages', async () => {
+            await lookUp(bob, 'rooms', 'ROOM');
+            await bob.ref('rooms/ROOM/members/bob').set(TIMESTAMP);
+            await alice.ref('rooms/ROOM/messages/-Nabc_2').set({ id: 'm2', key: '-Nabc_2', sender: 'alice', timestamp: Date.now(), type: 'text', text: 'mine' });
+
+            await refused(bob.ref('rooms/ROOM/messages/-Nabc_2').remove());
+            await refused(bob.ref('rooms/ROOM').remove());
+            await alice.ref('rooms/ROOM').remove();
+        });
+    });
+});
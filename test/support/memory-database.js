@@ -0,0 +1,332 @@
+/**
+ * In-memory database for tests
+ * The part of the Firebase compat surface ClypseClient uses, the same part
+ * scripts/rest-database.js serves, over a plain object tree: ref() with child(),
+ * push(), once('value'), set(), update(), remove(), transaction(), key-ordered
+ * queries and on()/off() for child events. { '.sv': 'timestamp' } becomes the
+ * current time when written. get() and removePaths() stand in for the admin calls
+ * scripts/cleanup.js makes.
+ *
+ * There are no security rules. refuse(method, path) may throw a permission error
+ * for a request instead, and writes lists every write as [method, path, value].
+ */
+
+'use strict';
+
+let pushCount = 0;
+
+function permissionDenied(path) {
+    const error = new Error(`PERMISSION_DENIED: /${path}`);
+    error.code = 'PERMISSION_DENIED';
+    return error;
+}
+
+function split(path) {
+    return path ? path.split('/') : [];
+}
+
+function clone(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+// Server values resolve on write, empty objects disappear as they do in the real database
+function resolve(value, now) {
+    if (value === null || typeof value !== 'object') {
+        return value === undefined ? null : value;
+    }
+    if (value['.sv'] === 'timestamp') {
+        return now;
+    }
+    // Lists written whole come back as lists, as the SDK returns them
+    if (Array.isArray(value)) {
+        return value.map(child => resolve(child, now));
+    }
+
+    const resolved = {};
+    Object.entries(value).forEach(([key, child]) => {
+        const next = resolve(child, now);
+        if (next !== null) resolved[key] = next;
+    });
+    return Object.keys(resolved).length > 0 ? resolved : null;
+}
+
+class MemorySnapshot {
+    constructor(key, value) {
+        this.key = key;
+        this.value = value === undefined ? null : value;
+    }
+
+    val() {
+        return clone(this.value);
+    }
+
+    exists() {
+        return this.value !== null;
+    }
+}
+
+class MemoryReference {
+    constructor(database, path, query = {}) {
+        this.database = database;
+        this.path = path.replace(/^\/+|\/+$/g, '');
+        this.query = query;
+        this.key = this.path ? this.path.split('/').pop() : null;
+    }
+
+    child(path) {
+        return new MemoryReference(this.database, this.path ? `${this.path}/${path}` : path);
+    }
+
+    // Zero-padded, so keys made in a row sort in the order they were made
+    push() {
+        pushCount += 1;
+        return this.child(`-${String(Date.now()).padStart(15, '0')}${String(pushCount).padStart(6, '0')}`);
+    }
+
+    // QUERIES
+
+    withQuery(changes) {
+        return new MemoryReference(this.database, this.path, { ...this.query, ...changes });
+    }
+
+    orderByKey() {
+        return this.withQuery({ orderBy: '$key' });
+    }
+
+    limitToLast(count) {
+        return this.withQuery({ limitToLast: count });
+    }
+
+    startAt(key) {
+        return this.withQuery({ startAt: key });
+    }
+
+    endBefore(key) {
+        return this.withQuery({ endBefore: key });
+    }
+
+    // The children of value the query lets through, as a sorted list of keys
+    queryKeys(value) {
+        if (!value || typeof value !== 'object') return [];
+
+        let keys = Object.keys(value).sort();
+        if (this.query.startAt !== undefined) keys = keys.filter(key => key >= this.query.startAt);
+        if (this.query.endBefore !== undefined) keys = keys.filter(key => key < this.query.endBefore);
+        if (this.query.limitToLast) keys = keys.slice(-this.query.limitToLast);
+        return keys;
+    }
+
+    // READS AND WRITES
+
+    async once() {
+        if (this.path === '.info/serverTimeOffset') {
+            return new MemorySnapshot(this.key, 0);
+        }
+
+        this.database.check('GET', this.path);
+        const value = this.database.get(this.path);
+        if (!this.query.orderBy || !value || typeof value !== 'object') {
+            return new MemorySnapshot(this.key, value);
+        }
+
+        const shaped = {};
+        this.queryKeys(value).forEach((key) => {
+            shaped[key] = value[key];
+        });
+        return new MemorySnapshot(this.key, Object.keys(shaped).length > 0 ? shaped : null);
+    }
+
+    async set(value) {
+        this.database.write('PUT', this.path, value);
+    }
+
+    async update(values) {
+        this.database.write('PATCH', this.path, values);
+    }
+
+    async remove() {
+        this.database.write('DELETE', this.path, null);
+    }
+
+    // Nothing runs in between, so one round is always enough
+    async transaction(update) {
+        this.database.check('GET', this.path);
+        const current = this.database.get(this.path);
+        const next = update(clone(current));
+
+        if (next === undefined) {
+            return { committed: false, snapshot: new MemorySnapshot(this.key, current) };
+        }
+
+        this.database.write('PUT', this.path, next);
+        return { committed: true, snapshot: new MemorySnapshot(this.key, this.database.get(this.path)) };
+    }
+
+    // EVENTS
+
+    on(event, callback) {
+        this.database.listen(this, event, callback);
+        return callback;
+    }
+
+    off(event, callback) {
+        this.database.unlisten(this, event, callback);
+    }
+}
+
+class MemoryDatabase {
+    constructor({ data = {}, refuse = null } = {}) {
+        this.data = clone(data);
+        this.refuse = refuse;
+        this.writes = [];
+        this.listeners = [];
+    }
+
+    ref(path = '') {
+        return new MemoryReference(this, path);
+    }
+
+    check(method, path) {
+        if (this.refuse && this.refuse(method, path)) {
+            throw permissionDenied(path);
+        }
+    }
+
+    // query takes the REST parameters scripts/cleanup.js sends: shallow, and key-ordered
+    // pages through orderBy="$key" with startAt and limitToFirst
+    get(path, query = {}) {
+        let node = this.data;
+        for (const segment of split(path)) {
+            if (!node || typeof node !== 'object' || !(segment in node)) return null;
+            node = node[segment];
+        }
+        if (node === undefined) return null;
+        if (!node || typeof node !== 'object') return node;
+
+        if (query.shallow) {
+            const keys = {};
+            Object.keys(node).forEach((key) => {
+                keys[key] = true;
+            });
+            return keys;
+        }
+        if (query.orderBy === '"$key"') {
+            let keys = Object.keys(node).sort();
+            if (query.startAt !== undefined) keys = keys.filter(key => key >= JSON.parse(query.startAt));
+            if (query.limitToFirst) keys = keys.slice(0, query.limitToFirst);
+
+            const page = {};
+            keys.forEach((key) => {
+                page[key] = node[key];
+            });
+            return keys.length > 0 ? page : null;
+        }
+        return node;
+    }
+
+    // Replaces the value at path and prunes parents left empty
+    put(path, value) {
+        const segments = split(path);
+        if (segments.length === 0) {
+            this.data = value || {};
+            return;
+        }
+
+        const parents = [this.data];
+        let node = this.data;
+        for (const segment of segments.slice(0, -1)) {
+            if (!node[segment] || typeof node[segment] !== 'object') node[segment] = {};
+            node = node[segment];
+            parents.push(node);
+        }
+
+        const last = segments[segments.length - 1];
+        if (value === null) {
+            delete node[last];
+        } else {
+            node[last] = value;
+        }
+
+        for (let i = parents.length - 1; i > 0; i--) {
+            if (Object.keys(parents[i]).length > 0) break;
+            delete parents[i - 1][segments[i - 1]];
+        }
+    }
+
+    write(method, path, value) {
+        this.check(method, path);
+        this.writes.push([method, path, clone(value)]);
+
+        const before = this.listeners.map(listener => clone(this.get(listener.reference.path)));
+        const now = Date.now();
+        if (method === 'PATCH') {
+            Object.entries(value).forEach(([child, childValue]) => {
+                this.put(path ? `${path}/${child}` : child, resolve(childValue, now));
+            });
+        } else {
+            this.put(path, resolve(value, now));
+        }
+
+        this.listeners.slice().forEach((listener, i) => this.notify(listener, before[i]));
+    }
+
+    // Compares a listened path before and after a write and reports its children that changed
+    notify(listener, before) {
+        const { reference, event, callback } = listener;
+        if (!this.listeners.includes(listener)) return;
+
+        const after = this.get(reference.path);
+        const previous = new Set(reference.queryKeys(before));
+        const current = new Set(reference.queryKeys(after));
+
+        if (event === 'child_added') {
+            current.forEach((key) => {
+                if (!previous.has(key)) callback(new MemorySnapshot(key, after[key]));
+            });
+        } else if (event === 'child_changed') {
+            current.forEach((key) => {
+                if (previous.has(key) && JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+                    callback(new MemorySnapshot(key, after[key]));
+                }
+            });
+        } else if (event === 'child_removed') {
+            previous.forEach((key) => {
+                if (!current.has(key)) callback(new MemorySnapshot(key, before[key]));
+            });
+        }
+    }
+
+    // Like the SDK, child_added first reports the children already there
+    listen(reference, event, callback) {
+        const listener = { reference, event, callback };
+        this.listeners.push(listener);
+        if (event === 'child_added') {
+            this.notify(listener, null);
+        }
+    }
+
+    unlisten(reference, event, callback) {
+        this.listeners = this.listeners.filter(listener => !(
+            listener.reference.path === reference.path &&
+            listener.event === event &&
+            listener.callback === callback
+        ));
+    }
+
+    async removePaths(paths) {
+        const updates = {};
+        paths.forEach((path) => {
+            updates[path] = null;
+        });
+        this.write('PATCH', '', updates);
+    }
+
+    // Writes apply at once; kept for the RestDatabase surface the CLI calls
+    async flush() {}
+
+    close() {
+        this.listeners = [];
+    }
+}
+
+module.exports = { MemoryDatabase, MemoryReference, MemorySnapshot };
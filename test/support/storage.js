@@ -0,0 +1,27 @@
+/**
+ * scripts/storage-server.js on a free local port, for tests
+ */
+
+'use strict';
+
+const { createServer } = require('../../scripts/storage-server.js');
+
+// Resolves { objects, uploadUrl, storage, close() }; storage is the client's storage config
+async function startStorageServer() {
+    const objects = new Map();
+    const server = createServer(objects);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    const uploadUrl = `http://127.0.0.1:${server.address().port}/files`;
+    return {
+        objects,
+        uploadUrl,
+        storage: {
+            backend: 'http',
+            http: { uploadUrl, baseUrl: uploadUrl, method: 'PUT', headers: {} }
+        },
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+module.exports = { startStorageServer };
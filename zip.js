@@ -0,0 +1,167 @@
+/**
+ * Clypse Zip
+ * Streaming ZIP writer for "download all" on bundles. Entries are stored without
+ * compression and written as they arrive, with CRC and sizes in a trailing data
+ * descriptor, so the archive never has to be held in memory. Plain ZIP32 only.
+ */
+
+const ClypseZip = {
+    MAX_SIZE: 0xFFFFFFFF,
+    MAX_ENTRIES: 0xFFFF,
+    crcTable: null,
+
+    // entries: [{ name, size, modified, open() -> ReadableStream or a promise of one }]
+    createStream(entries) {
+        this.checkLimits(entries);
+        const iterator = this.generate(entries);
+
+        return new ReadableStream({
+            async pull(controller) {
+                const { done, value } = await iterator.next();
+                if (done) {
+                    controller.close();
+                } else {
+                    controller.enqueue(value);
+                }
+            },
+            cancel() {
+                return iterator.return();
+            }
+        });
+    },
+
+    checkLimits(entries) {
+        const encoder = new TextEncoder();
+        let total = 22;
+
+        entries.forEach((entry) => {
+            const nameLength = encoder.encode(entry.name).length;
+            total += 30 + nameLength + entry.size + 16 + 46 + nameLength;
+        });
+
+        if (entries.length > this.MAX_ENTRIES || total > this.MAX_SIZE) {
+            throw new Error('Bundle is too large for a ZIP download; download the files one by one');
+        }
+    },
+
+    async *generate(entries) {
+        const encoder = new TextEncoder();
+        const central = [];
+        let offset = 0;
+
+        for (const entry of entries) {
+            const name = encoder.encode(entry.name);
+            const stamp = this.dosDateTime(new Date(entry.modified || Date.now()));
+            const header = this.localHeader(name, stamp);
+            yield header;
+
+            const reader = (await entry.open()).getReader();
+            let crc = 0xFFFFFFFF;
+            let size = 0;
+
+            while (true) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                crc = this.updateCrc(crc, value);
+                size += value.length;
+                yield value;
+            }
+            crc = (crc ^ 0xFFFFFFFF) >>> 0;
+
+            yield this.dataDescriptor(crc, size);
+            central.push({ name, stamp, crc, size, offset });
+            offset += header.length + size + 16;
+        }
+
+        let centralSize = 0;
+        for (const record of central) {
+            const header = this.centralHeader(record);
+            centralSize += header.length;
+            yield header;
+        }
+
+        yield this.endRecord(central.length, centralSize, offset);
+    },
+
+    // General purpose flags: bit 3 (sizes follow the data) and bit 11 (UTF-8 names)
+    localHeader(name, stamp) {
+        const bytes = new Uint8Array(30 + name.length);
+        const view = new DataView(bytes.buffer);
+        view.setUint32(0, 0x04034b50, true);
+        view.setUint16(4, 20, true);
+        view.setUint16(6, 0x0808, true);
+        view.setUint16(8, 0, true);
+        view.setUint16(10, stamp.time, true);
+        view.setUint16(12, stamp.date, true);
+        view.setUint16(26, name.length, true);
+        bytes.set(name, 30);
+        return bytes;
+    },
+
+    dataDescriptor(crc, size) {
+        const bytes = new Uint8Array(16);
+        const view = new DataView(bytes.buffer);
+        view.setUint32(0, 0x08074b50, true);
+        view.setUint32(4, crc, true);
+        view.setUint32(8, size, true);
+        view.setUint32(12, size, true);
+        return bytes;
+    },
+
+    centralHeader({ name, stamp, crc, size, offset }) {
+        const bytes = new Uint8Array(46 + name.length);
+        const view = new DataView(bytes.buffer);
+        view.setUint32(0, 0x02014b50, true);
+        view.setUint16(4, 20, true);
+        view.setUint16(6, 20, true);
+        view.setUint16(8, 0x0808, true);
+        view.setUint16(10, 0, true);
+        view.setUint16(12, stamp.time, true);
+        view.setUint16(14, stamp.date, true);
+        view.setUint32(16, crc, true);
+        view.setUint32(20, size, true);
+        view.setUint32(24, size, true);
+        view.setUint16(28, name.length, true);
+        view.setUint32(42, offset, true);
+        bytes.set(name, 46);
+        return bytes;
+    },
+
+    endRecord(count, centralSize, centralOffset) {
+        const bytes = new Uint8Array(22);
+        const view = new DataView(bytes.buffer);
+        view.setUint32(0, 0x06054b50, true);
+        view.setUint16(8, count, true);
+        view.setUint16(10, count, true);
+        view.setUint32(12, centralSize, true);
+        view.setUint32(16, centralOffset, true);
+        return bytes;
+    },
+
+    // MS-DOS timestamps have two-second resolution and start in 1980
+    dosDateTime(date) {
+        const year = Math.max(date.getFullYear(), 1980);
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+            date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    },
+
+    updateCrc(crc, bytes) {
+        if (!this.crcTable) {
+            this.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                this.crcTable[n] = c >>> 0;
+            }
+        }
+
+        for (let i = 0; i < bytes.length; i++) {
+            crc = this.crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return crc >>> 0;
+    }
+};